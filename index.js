@@ -2,6 +2,22 @@
  * Sakabot Clawdbot Strava Bridge
  * Main entry point - Express server + webhook + polling
  *
+ * CLI:
+ * node index.js backfill --since 2025-01-01 [--until 2025-06-01] [--reset]
+ * node index.js digest weekly|monthly [--date YYYY-MM-DD] [--dry-run]
+ * node index.js chart <activity id> | chart weekly|monthly [--date YYYY-MM-DD] [--out file.png]
+ * node index.js curve power|pace [--date YYYY-MM-DD] [--weeks 6]
+ * node index.js routes [--all] | routes rebuild | routes name <route id> <name>
+ * node index.js plan import <file> [--format json|csv|ics] [--replace] | plan [--from YYYY-MM-DD] [--days 14]
+ *               | plan missed [--date YYYY-MM-DD] [--dry-run]
+ * node index.js profile [--date YYYY-MM-DD] | profile set [--from YYYY-MM-DD] [--ftp 260] [--weight 70.5]
+ *               [--hr-max 190] [--hr-rest 50] [--lthr 172] [--threshold-pace 4:30] [--sex m|f]
+ *               [--hr-zones friel|karvonen|percent_max]
+ * node index.js prompt <activity id> [--template <name>]
+ * node index.js migrate-store [--store ./activity-store.jsonl] [--state ./state.json] [--db ./activity-store.db]
+ * node index.js athletes | athletes set <strava id> [--locale pt-BR|en|es] [--units metric|imperial]
+ * (add --athlete <strava id> to run a command for a connected athlete)
+ *
  * Requires package.json: { "type": "module" }
  * deps: express axios dotenv
  *
@@ -18,22 +34,92 @@
  *
  * ENV (optional):
  * SEND_RAW_TELEGRAM=false          (also send the raw summary directly to Telegram)
+ * SEND_UPDATE_NOTES=false          (send an "activity corrected" note on Strava update events)
+ * SEND_CHARTS=false                (PNG charts to Telegram with each activity and digest)
+ * CHARTS_DIR=./charts              (where the chart images are written)
+ * STORE_BACKEND=jsonl              (jsonl | sqlite — sqlite needs better-sqlite3)
  * STORE_PATH=./activity-store.jsonl
+ * SQLITE_PATH=./activity-store.db  (used when STORE_BACKEND=sqlite)
+ * TOKEN_PATH=./strava-token.json   (cached access token + rotated refresh token)
+ * TOKEN_EXPIRY_MARGIN_SEC=300      (refresh this long before the access token expires)
  * STATE_PATH=./state.json
+ * OUTBOX_PATH=<STATE_PATH dir>/outbox.jsonl (pending Telegram/Clawdbot deliveries)
+ * OUTBOX_INTERVAL_SEC=60           (retry worker interval)
+ * OUTBOX_MAX_ATTEMPTS=8            (then the delivery is dead-lettered)
+ * OUTBOX_RETRY_BASE_SEC=30         (exponential backoff base, capped by OUTBOX_RETRY_MAX_SEC=21600)
+ * OUTBOX_KEEP_SENT=1000            (sent deliveries kept for deduplication)
  * POLL_ENABLED=true
  * POLL_INTERVAL_SEC=600            (10 min)
  * POLL_LOOKBACK_HOURS=24           (first run / safety net lookback)
  * POLL_PAGE_LIMIT=4                (pagination pages, each 50 activities)
+ * POLL_MIN_RATE_BUDGET=20          (skip a poll cycle when fewer Strava requests are left)
+ * STRAVA_RATE_RESERVE=5            (requests kept in reserve before delaying / failing)
+ * STRAVA_MAX_RETRIES=3             (retries for 429 / 5xx / network errors)
+ * STRAVA_RETRY_BASE_MS=2000        (exponential backoff base)
+ * ATHLETE_FTP=250                  (power TSS + zones; default: critical power estimate)
+ * ATHLETE_THRESHOLD_PACE=4:30      (run threshold pace per km; default: critical speed estimate)
+ * CURVE_ESTIMATE_WEEKS=6           (duration-curve window for CP / CS estimates)
+ * ATHLETE_HR_REST=50               (HR TRIMP, Karvonen zones)
+ * ATHLETE_HR_MAX=190               (HR TRIMP, HR zones)
+ * ATHLETE_LTHR=172                 (Friel HR zones)
+ * ATHLETE_WEIGHT_KG=70             (W/kg)
+ * PROFILE_PATH=./athlete-profile.json (dated profile history; overrides the ATHLETE_* values)
+ * ATHLETE_SEX=m                    (m | f — TRIMP weighting)
+ * CTL_DAYS=42 / ATL_DAYS=7         (fitness / fatigue time constants)
+ * TRAINING_LOAD_KEEP_DAYS=365      (daily CTL/ATL/TSB kept in state)
+ * PR_RECENT_DAYS=90                (window for "recent best" PRs)
+ * EF_TREND_WEEKS=6                 (efficiency factor trend window)
+ * SIMILAR_WINDOW_DAYS=90           (similar-session search window)
+ * SIMILAR_TOP_N=5                  (similar sessions in the Clawdbot payload)
+ * SIMILAR_MIN_SCORE=0.6            (minimum similarity score, 0–1)
+ * ROUTE_MATCH_M=150                (max mean GPS deviation for two activities to share a route)
+ * SWIM_POOL_LENGTH_M=25            (pool length for swim sets / SWOLF)
+ * WEATHER_PROVIDER=none            (none | open-meteo | file — weather per outdoor activity)
+ * WEATHER_FILE=./weather.json      (file provider observations)
+ * DIGEST_ENABLED=true              (weekly digest to Telegram + Clawdbot)
+ * DIGEST_WEEKLY_DAY=1              (1 = Monday … 7 = Sunday)
+ * DIGEST_TIME=08:00                (local time in DIGEST_TZ)
+ * DIGEST_TZ=America/Sao_Paulo      (IANA zone, default: system zone)
+ * DIGEST_MONTHLY_ENABLED=true      (monthly digest on the 1st)
+ * SCHEDULER_TICK_SEC=60
+ * PLAN_CHECK_ENABLED=true          (daily report of missed planned sessions)
+ * PLAN_CHECK_TIME=08:00            (local time in DIGEST_TZ)
+ * PROMPT_OVERRIDES_DIR=./prompt-overrides (coaching prompt templates replacing the ones in prompts/)
+ * LOCALE=pt-BR                     (pt-BR | en | es — Telegram messages + coaching language)
+ * UNITS=metric                     (metric | imperial)
+ * TELEGRAM_UPDATES_MODE=off        (off | polling | webhook — bot commands: /last /week /compare /pr /load /plan /profile /routes /reprocess)
+ * TELEGRAM_WEBHOOK_SECRET=...      (required in webhook mode: must match setWebhook secret_token)
+ * STRAVA_CONNECT_KEY=...           (enables /auth/strava?key=...&chat_id=... to connect more athletes)
+ * PUBLIC_BASE_URL=https://...      (OAuth callback base URL, default: the request host)
+ * STRAVA_ATHLETE_ID=...            (the .env athlete's Strava id, routes webhook events by owner_id)
+ * ATHLETES_PATH=./athletes.json    (connected athletes)
+ * ATHLETES_DIR=./athletes          (per-athlete token, state and activity store)
+ * DASHBOARD_TOKEN=...              (enables the read-only dashboard at /dashboard?token=...)
  */
 
 import express from "express";
 import "dotenv/config";
-import { handleActivityId } from "./src/core/activity-handler.js";
+import { handleWebhookEvent } from "./src/core/webhook-events.js";
 import { startPolling } from "./src/core/polling.js";
-import { loadState, saveState, markProcessed } from "./src/storage/store.js";
+import { startOutboxWorker } from "./src/core/delivery.js";
+import { startScheduler } from "./src/core/scheduler.js";
+import { handleTelegramUpdate, startTelegramCommands } from "./src/core/telegram-commands.js";
+import { getRateLimitBudget } from "./src/integrations/strava.js";
+import { connectUrl, completeConnect } from "./src/core/strava-connect.js";
+import { listAthletes } from "./src/storage/athletes.js";
+import { dashboardRouter } from "./src/dashboard/index.js";
+import { isCliCommand, runCli } from "./src/cli/index.js";
 
 
-const { PORT = "3009", STRAVA_VERIFY_TOKEN } = process.env;
+const {
+  PORT = "3009",
+  STRAVA_VERIFY_TOKEN,
+  TELEGRAM_UPDATES_MODE = "off",
+  TELEGRAM_WEBHOOK_SECRET,
+  STRAVA_CONNECT_KEY,
+  PUBLIC_BASE_URL,
+  DASHBOARD_TOKEN,
+} = process.env;
 
 const app = express();
 app.use(express.json());
@@ -43,7 +129,12 @@ app.use(express.json());
 -------------------------------------------------- */
 
 app.get("/health", (_req, res) => {
-  res.json({ ok: true, ts: new Date().toISOString() });
+  res.json({
+    ok: true,
+    ts: new Date().toISOString(),
+    athletes: listAthletes().length,
+    strava_rate_limit: getRateLimitBudget(),
+  });
 });
 
 app.get("/webhook", (req, res) => {
@@ -57,27 +148,86 @@ app.post("/webhook", async (req, res) => {
   // Respond immediately (Strava expects fast ack)
   res.send("ok");
 
-  if (req.body.object_type !== "activity") return;
-  const activityId = req.body.object_id;
-  if (!activityId) return;
-
-  // Idempotency using state
-  const state = loadState();
-  if (state.processed[String(activityId)]) return;
-
   try {
-    await handleActivityId(activityId, "webhook");
-    markProcessed(state, activityId);
-    saveState(state);
+    await handleWebhookEvent(req.body);
   } catch (e) {
     console.error("webhook handle error:", e?.response?.data || e.message);
   }
 });
 
+// Athlete onboarding: share /auth/strava?key=<STRAVA_CONNECT_KEY>&chat_id=<telegram chat>
+if (STRAVA_CONNECT_KEY) {
+  const callbackUrl = (req) => `${PUBLIC_BASE_URL?.replace(/\/$/, "") || `${req.protocol}://${req.get("host")}`}/auth/strava/callback`;
+
+  app.get("/auth/strava", (req, res) => {
+    if (req.query.key !== STRAVA_CONNECT_KEY) return res.sendStatus(403);
+    res.redirect(
+      connectUrl({
+        redirectUri: callbackUrl(req),
+        chatId: req.query.chat_id,
+        sessionKey: req.query.session_key,
+        locale: req.query.locale,
+        units: req.query.units,
+      })
+    );
+  });
+
+  app.get("/auth/strava/callback", async (req, res) => {
+    try {
+      const athlete = await completeConnect(req.query);
+      // Plain text: the name comes from Strava and the error may echo the query
+      res.type("text").send(`Strava connected: ${athlete.name ?? athlete.key}. You can close this page.`);
+    } catch (e) {
+      console.error("strava connect error:", e?.response?.data || e.message);
+      res.status(400).type("text").send(`Could not connect Strava: ${e.message}`);
+    }
+  });
+}
+
+// Read-only dashboard over the activity store: open /dashboard?token=<DASHBOARD_TOKEN> once
+if (DASHBOARD_TOKEN) {
+  app.use("/dashboard", dashboardRouter({ token: DASHBOARD_TOKEN }));
+}
+
+if (TELEGRAM_UPDATES_MODE === "webhook") {
+  if (!TELEGRAM_WEBHOOK_SECRET) {
+    console.error("❌ TELEGRAM_UPDATES_MODE=webhook needs TELEGRAM_WEBHOOK_SECRET; /telegram/webhook rejects every request");
+  }
+
+  app.post("/telegram/webhook", async (req, res) => {
+    // Set with setWebhook's secret_token; Telegram echoes it on every call.
+    // Without it anyone could post commands as any athlete's chat.
+    if (!TELEGRAM_WEBHOOK_SECRET || req.get("X-Telegram-Bot-Api-Secret-Token") !== TELEGRAM_WEBHOOK_SECRET) {
+      return res.sendStatus(403);
+    }
+    res.send("ok");
+
+    try {
+      await handleTelegramUpdate(req.body);
+    } catch (e) {
+      console.error("telegram webhook error:", e?.response?.data || e.message);
+    }
+  });
+}
+
 /* --------------------------------------------------
-   Start server + polling
+   CLI command, or start server + outbox worker + polling + scheduler
 -------------------------------------------------- */
 
-app.listen(PORT, () => console.log(`🚀 Strava webhook listening on ${PORT}`));
+const argv = process.argv.slice(2);
+
+if (argv.length && isCliCommand(argv[0])) {
+  try {
+    await runCli(argv);
+  } catch (e) {
+    console.error(`${argv[0]} error:`, e?.response?.data || e.message);
+    process.exitCode = 1;
+  }
+} else {
+  app.listen(PORT, () => console.log(`🚀 Strava webhook listening on ${PORT}`));
 
-startPolling();
+  startOutboxWorker();
+  startPolling();
+  startScheduler();
+  startTelegramCommands();
+}
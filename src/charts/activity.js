@@ -0,0 +1,273 @@
+/**
+ * Activity chart: pace / speed, HR and elevation over distance (over time
+ * for sessions without distance), the 1 km / 1 mi splits and time in zone,
+ * stacked into one PNG. Panels without data are left out.
+ */
+
+import { createRaster } from "./raster.js";
+import { linePanel, barPanel, shareBar, headline, COLORS, ZONE_COLORS } from "./plots.js";
+import { activityMode } from "../utils/stream-analysis.js";
+import {
+  MILE_M,
+  FOOT_M,
+  YARD_M,
+  fmtDistance,
+  fmtSwimDistance,
+  formatDateTimeLocal,
+  secToHMS,
+} from "../utils/formatters.js";
+import { t } from "../i18n/index.js";
+
+const WIDTH = 1000;
+const GAP = 12;
+const HEADER_H = 64;
+const LINE_PANEL_H = 190;
+const BAR_PANEL_H = 200;
+const ZONE_PANEL_H = 72;
+
+// Streams are averaged into at most this many points per line
+const MAX_POINTS = 300;
+
+// Slower than this (m/s) is standing / resting: no pace for that stretch
+const MIN_MOVING_MS = 0.5;
+const MIN_SWIMMING_MS = 0.2;
+
+// Pace / time axes step in round seconds
+const SECONDS_STEPS = [5, 10, 15, 20, 30, 60, 120, 300, 600];
+
+const mmss = (sec) => {
+  const total = Math.round(sec);
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, "0")}`;
+};
+
+// Average of `ys` per x bin: [[xCenter, avg] | null]
+function binned(xs, ys, xMin, xMax) {
+  const bins = Math.min(MAX_POINTS, xs.length);
+  const sum = new Array(bins).fill(0);
+  const count = new Array(bins).fill(0);
+  const span = xMax - xMin || 1;
+  for (let i = 0; i < xs.length; i++) {
+    if (!Number.isFinite(xs[i]) || !Number.isFinite(ys?.[i])) continue;
+    const b = Math.min(bins - 1, Math.max(0, Math.floor(((xs[i] - xMin) / span) * bins)));
+    sum[b] += ys[i];
+    count[b]++;
+  }
+  return sum.map((s, b) => (count[b] ? [xMin + ((b + 0.5) * span) / bins, s / count[b]] : null));
+}
+
+// Moving average over `k` points each side (gaps stay gaps)
+function smooth(points, k = 2) {
+  return points.map((p, i) => {
+    if (!p) return null;
+    const window = points.slice(Math.max(0, i - k), i + k + 1).filter(Boolean);
+    return [p[0], window.reduce((s, q) => s + q[1], 0) / window.length];
+  });
+}
+
+// y range that ignores the odd spike (GPS glitch, HR dropout), padded
+function robustRange(points, { lo = 0.03, hi = 0.97, minSpan = 0 } = {}) {
+  const values = points.filter(Boolean).map((p) => p[1]).sort((a, b) => a - b);
+  if (!values.length) return null;
+  let min = values[Math.floor(lo * (values.length - 1))];
+  let max = values[Math.ceil(hi * (values.length - 1))];
+  const pad = Math.max((max - min) * 0.1, (minSpan - (max - min)) / 2, 0);
+  min -= pad;
+  max += pad;
+  return { min, max };
+}
+
+/**
+ * Panels of one activity (stored record shape) with its Strava streams.
+ */
+function activityPanels(record, streams, units) {
+  const a = record.activity;
+  const mode = record.derived?.mode ?? activityMode(a.type, a.sport_type, a.distance_m);
+  const imperial = units === "imperial";
+  const time = streams?.time?.data;
+  const dist = streams?.distance?.data;
+
+  // x axis: distance (swims in m / yd), time in minutes for sessions without distance
+  const byDistance = mode !== "time" && Array.isArray(dist) && dist.length > 1 && dist[dist.length - 1] > 0;
+  let xs;
+  let xUnit;
+  if (byDistance) {
+    const unitM = mode === "swim" ? (imperial ? YARD_M : 1) : imperial ? MILE_M : 1000;
+    xUnit = mode === "swim" ? (imperial ? "yd" : "m") : imperial ? "mi" : "km";
+    xs = dist.map((d) => d / unitM);
+  } else if (Array.isArray(time) && time.length > 1) {
+    xUnit = "min";
+    xs = time.map((s) => s / 60);
+  } else {
+    return [];
+  }
+  const xFinite = xs.filter(Number.isFinite);
+  const x = {
+    min: xFinite.reduce((m, v) => Math.min(m, v), Infinity),
+    max: xFinite.reduce((m, v) => Math.max(m, v), -Infinity),
+    unit: xUnit,
+    format: (v) => (Number.isInteger(v) ? String(v) : v.toFixed(1)),
+  };
+
+  const panels = [];
+
+  // Pace (faster up) or speed
+  const velocity = streams?.velocity_smooth?.data;
+  if (byDistance && Array.isArray(velocity)) {
+    const minMs = mode === "swim" ? MIN_SWIMMING_MS : MIN_MOVING_MS;
+    const moving = velocity.map((v) => (v >= minMs ? v : NaN));
+    const v = smooth(binned(xs, moving, x.min, x.max));
+
+    if (mode === "speed") {
+      const factor = imperial ? 3.6 / (MILE_M / 1000) : 3.6;
+      const points = v.map((p) => p && [p[0], p[1] * factor]);
+      const range = robustRange(points, { minSpan: 4 });
+      if (range) {
+        panels.push({
+          h: LINE_PANEL_H,
+          draw: (r, box) =>
+            linePanel(r, box, {
+              title: t("chart.speed", { unit: imperial ? "mph" : "km/h" }),
+              x,
+              y: { ...range, format: (s) => (Number.isInteger(s) ? String(s) : s.toFixed(1)) },
+              series: [{ points, color: COLORS.pace }],
+            }),
+        });
+      }
+    } else {
+      const perM = mode === "swim" ? (imperial ? 100 * YARD_M : 100) : imperial ? MILE_M : 1000;
+      const points = v.map((p) => p && [p[0], perM / p[1]]);
+      const range = robustRange(points, { minSpan: 30 });
+      const unit = mode === "swim" ? (imperial ? "min/100yd" : "min/100m") : imperial ? "min/mi" : "min/km";
+      if (range) {
+        panels.push({
+          h: LINE_PANEL_H,
+          draw: (r, box) =>
+            linePanel(r, box, {
+              title: t("chart.pace", { unit }),
+              x,
+              y: { ...range, invert: true, steps: SECONDS_STEPS, format: mmss },
+              series: [{ points, color: COLORS.pace }],
+            }),
+        });
+      }
+    }
+  }
+
+  const hr = streams?.heartrate?.data;
+  if (Array.isArray(hr)) {
+    const points = smooth(binned(xs, hr.map((b) => (b > 0 ? b : NaN)), x.min, x.max), 1);
+    const range = robustRange(points, { lo: 0.01, hi: 0.99, minSpan: 20 });
+    if (range) {
+      panels.push({
+        h: LINE_PANEL_H,
+        draw: (r, box) =>
+          linePanel(r, box, {
+            title: t("chart.hr"),
+            x,
+            y: { ...range, format: (b) => String(Math.round(b)) },
+            series: [{ points, color: COLORS.hr }],
+          }),
+      });
+    }
+  }
+
+  const alt = streams?.altitude?.data;
+  if (byDistance && (mode === "pace" || mode === "speed") && Array.isArray(alt)) {
+    const toUnit = imperial ? 1 / FOOT_M : 1;
+    const points = binned(xs, alt.map((m) => m * toUnit), x.min, x.max);
+    const range = robustRange(points, { lo: 0, hi: 1, minSpan: imperial ? 60 : 20 });
+    if (range) {
+      panels.push({
+        h: LINE_PANEL_H,
+        draw: (r, box) =>
+          linePanel(r, box, {
+            title: t("chart.elevation", { unit: imperial ? "ft" : "m" }),
+            x,
+            y: { ...range, format: (m) => String(Math.round(m)) },
+            series: [{ points, color: COLORS.elevation, fill: true }],
+          }),
+      });
+    }
+  }
+
+  // Splits: bar height = speed, so faster is taller whatever the label shows
+  const splits = (imperial ? record.derived?.splits_mile : null) ?? record.derived?.splits_1km ?? [];
+  const withSpeed = splits.filter((s) => s.meters > 0 && s.seconds > 0);
+  if (mode !== "time" && withSpeed.length >= 2) {
+    const splitM = withSpeed[0].unit === "mi" ? MILE_M : 1000;
+    const speeds = withSpeed.map((s) => s.meters / s.seconds);
+    const valueText = (s) => String(s.label ?? "").split(mode === "speed" ? " " : "/")[0];
+    const paceOf = mode === "swim" ? (ms) => (imperial ? 100 * YARD_M : 100) / ms : (ms) => splitM / ms;
+    panels.push({
+      h: BAR_PANEL_H,
+      draw: (r, box) =>
+        barPanel(r, box, {
+          title: t("chart.splits", { unit: withSpeed[0].unit === "mi" ? "mi" : "km" }),
+          bars: withSpeed.map((s, i) => ({
+            value: speeds[i],
+            label: String(s.km),
+            text: valueText(s),
+            // A short last split is drawn lighter
+            color: s.meters < splitM * 0.5 ? COLORS.barMuted : COLORS.bar,
+          })),
+          y: {
+            min: Math.min(...speeds) * 0.85,
+            format:
+              mode === "speed"
+                ? (ms) => (ms * (imperial ? 3.6 / (MILE_M / 1000) : 3.6)).toFixed(0)
+                : (ms) => mmss(paceOf(ms)),
+          },
+        }),
+    });
+  }
+
+  // Time in zone: HR first, then power, then pace
+  const zones = record.derived?.zones ?? {};
+  const kind = ["hr", "power", "pace"].find((k) => zones[k]?.seconds?.some((s) => s > 0));
+  if (kind) {
+    panels.push({
+      h: ZONE_PANEL_H,
+      draw: (r, box) =>
+        shareBar(r, box, {
+          title: t(`chart.zones_${kind}`),
+          segments: zones[kind].seconds.map((s, i) => ({
+            value: s,
+            label: `Z${i + 1}`,
+            color: ZONE_COLORS[i % ZONE_COLORS.length],
+          })),
+        }),
+    });
+  }
+
+  return panels;
+}
+
+/**
+ * PNG of one activity (stored record + Strava streams), or null when the
+ * streams have nothing to plot.
+ */
+export function renderActivityChart(record, streams, { units = "metric" } = {}) {
+  const panels = activityPanels(record, streams, units);
+  if (!panels.length) return null;
+
+  const a = record.activity;
+  const mode = record.derived?.mode ?? activityMode(a.type, a.sport_type, a.distance_m);
+  const subtitle = [
+    a.start_date_local ? formatDateTimeLocal(a.start_date_local) : null,
+    mode === "time" ? null : mode === "swim" ? fmtSwimDistance(a.distance_m, units) : fmtDistance(a.distance_m, units),
+    secToHMS(a.moving_time_s),
+  ]
+    .filter(Boolean)
+    .join(" | ");
+
+  const height = HEADER_H + panels.reduce((s, p) => s + p.h + GAP, 0);
+  const r = createRaster(WIDTH, height);
+  headline(r, GAP, GAP, a.name ?? String(a.id), subtitle);
+
+  let y = HEADER_H;
+  for (const p of panels) {
+    p.draw(r, { x: 0, y, w: WIDTH, h: p.h });
+    y += p.h + GAP;
+  }
+  return r.toPng();
+}
@@ -0,0 +1,110 @@
+/**
+ * Digest chart: training time per day (stacked by sport) and the CTL / ATL
+ * trend leading up to the end of the period, in one PNG. The two panels are
+ * also rendered on their own for the dashboard.
+ */
+
+import { createRaster } from "./raster.js";
+import { linePanel, barPanel, headline, COLORS, SERIES_COLORS } from "./plots.js";
+import { fmtDistance, secToHMS } from "../utils/formatters.js";
+import { t } from "../i18n/index.js";
+
+const WIDTH = 1000;
+const GAP = 12;
+const HEADER_H = 64;
+const PANEL_H = 220;
+
+// "2026-10-19" → "19/10"
+const dayLabel = (date) => `${date.slice(8, 10)}/${date.slice(5, 7)}`;
+const hours = (h) => (Number.isInteger(h) ? String(h) : h.toFixed(1));
+
+// Training time per entry ({ date, by_sport: { <sport>: seconds } }), stacked by sport; null when empty
+function volumePanel(entries, title) {
+  const sports = [...new Set(entries.flatMap((d) => Object.keys(d.by_sport)))].sort();
+  if (!entries.some((d) => Object.values(d.by_sport).some((s) => s > 0))) return null;
+
+  const color = (sport) => SERIES_COLORS[sports.indexOf(sport) % SERIES_COLORS.length];
+  return (r, box) =>
+    barPanel(r, box, {
+      title,
+      legend: sports.map((s) => ({ label: s, color: color(s) })),
+      bars: entries.map((d) => ({
+        label: dayLabel(d.date),
+        segments: sports.map((s) => ({ value: (d.by_sport[s] ?? 0) / 3600, color: color(s) })),
+      })),
+      y: { format: hours },
+    });
+}
+
+// CTL / ATL lines over [{ date, ctl, atl }]; null with fewer than two days
+function fitnessPanel(series) {
+  const load = (series ?? []).filter((d) => Number.isFinite(d.ctl) && Number.isFinite(d.atl));
+  if (load.length < 2) return null;
+
+  const values = load.flatMap((d) => [d.ctl, d.atl]);
+  return (r, box) =>
+    linePanel(r, box, {
+      title: t("chart.fitness"),
+      legend: [
+        { label: "CTL", color: COLORS.ctl },
+        { label: "ATL", color: COLORS.atl },
+      ],
+      x: {
+        min: 0,
+        max: load.length - 1,
+        steps: [1, 2, 7, 14, 28],
+        format: (i) => (load[i] ? dayLabel(load[i].date) : ""),
+      },
+      y: { min: Math.min(0, ...values), max: Math.max(...values) * 1.1, format: (v) => String(Math.round(v)) },
+      series: [
+        { points: load.map((d, i) => [i, d.ctl]), color: COLORS.ctl, thickness: 3 },
+        { points: load.map((d, i) => [i, d.atl]), color: COLORS.atl },
+      ],
+    });
+}
+
+function singlePanel(draw) {
+  if (!draw) return null;
+  const r = createRaster(WIDTH, PANEL_H + GAP);
+  draw(r, { x: 0, y: GAP, w: WIDTH, h: PANEL_H });
+  return r.toPng();
+}
+
+/**
+ * Training time per week ({ date: week start, by_sport }), as one panel PNG.
+ */
+export function renderVolumeChart(weeks) {
+  return singlePanel(volumePanel(weeks, t("chart.volume_weekly")));
+}
+
+/**
+ * CTL / ATL trend ([{ date, ctl, atl }]) as one panel PNG.
+ */
+export function renderLoadChart(series) {
+  return singlePanel(fitnessPanel(series));
+}
+
+/**
+ * `data`: { days: [{ date, by_sport: { <sport>: seconds } }], load: [{ date,
+ * ctl, atl }] } (see digestChartData in core/digest.js). Null when there is
+ * nothing to plot.
+ */
+export function renderDigestChart(digest, data, { units = "metric" } = {}) {
+  const days = data.days ?? [];
+  const panels = [volumePanel(days, t("chart.volume")), fitnessPanel(data.load)].filter(Boolean);
+  if (!panels.length) return null;
+
+  const { period, current } = digest;
+  const last = days[days.length - 1]?.date ?? period.end;
+  const subtitle = [
+    `${dayLabel(period.start)} - ${dayLabel(last)}`,
+    t("digest.sessions", { count: current.totals.sessions }),
+    fmtDistance(current.totals.distance_m, units, 1),
+    secToHMS(current.totals.moving_time_s),
+  ].join(" | ");
+
+  const r = createRaster(WIDTH, HEADER_H + panels.length * (PANEL_H + GAP));
+  headline(r, GAP, GAP, t(digest.kind === "monthly" ? "digest.monthly" : "digest.weekly"), subtitle);
+  panels.forEach((draw, i) => draw(r, { x: 0, y: HEADER_H + i * (PANEL_H + GAP), w: WIDTH, h: PANEL_H }));
+  return r.toPng();
+}
@@ -0,0 +1,92 @@
+/**
+ * 5×7 bitmap font for chart labels: digits, A–Z and the punctuation our
+ * labels use. Lowercase is drawn as uppercase and accents are dropped
+ * ("Elevação" → "ELEVACAO"); characters without a glyph (emoji) are skipped.
+ */
+
+export const GLYPH_W = 5;
+export const GLYPH_H = 7;
+// Advance per character (glyph + 1px spacing), at scale 1
+export const ADVANCE = GLYPH_W + 1;
+
+const GLYPHS = {
+  0: [" ### ", "#   #", "#  ##", "# # #", "##  #", "#   #", " ### "],
+  1: ["  #  ", " ##  ", "  #  ", "  #  ", "  #  ", "  #  ", " ### "],
+  2: [" ### ", "#   #", "    #", "   # ", "  #  ", " #   ", "#####"],
+  3: ["#####", "   # ", "  #  ", "   # ", "    #", "#   #", " ### "],
+  4: ["   # ", "  ## ", " # # ", "#  # ", "#####", "   # ", "   # "],
+  5: ["#####", "#    ", "#### ", "    #", "    #", "#   #", " ### "],
+  6: ["  ## ", " #   ", "#    ", "#### ", "#   #", "#   #", " ### "],
+  7: ["#####", "    #", "   # ", "  #  ", " #   ", " #   ", " #   "],
+  8: [" ### ", "#   #", "#   #", " ### ", "#   #", "#   #", " ### "],
+  9: [" ### ", "#   #", "#   #", " ####", "    #", "   # ", " ##  "],
+  A: [" ### ", "#   #", "#   #", "#####", "#   #", "#   #", "#   #"],
+  B: ["#### ", "#   #", "#   #", "#### ", "#   #", "#   #", "#### "],
+  C: [" ### ", "#   #", "#    ", "#    ", "#    ", "#   #", " ### "],
+  D: ["#### ", "#   #", "#   #", "#   #", "#   #", "#   #", "#### "],
+  E: ["#####", "#    ", "#    ", "#### ", "#    ", "#    ", "#####"],
+  F: ["#####", "#    ", "#    ", "#### ", "#    ", "#    ", "#    "],
+  G: [" ### ", "#   #", "#    ", "# ###", "#   #", "#   #", " ####"],
+  H: ["#   #", "#   #", "#   #", "#####", "#   #", "#   #", "#   #"],
+  I: [" ### ", "  #  ", "  #  ", "  #  ", "  #  ", "  #  ", " ### "],
+  J: ["  ###", "   # ", "   # ", "   # ", "   # ", "#  # ", " ##  "],
+  K: ["#   #", "#  # ", "# #  ", "##   ", "# #  ", "#  # ", "#   #"],
+  L: ["#    ", "#    ", "#    ", "#    ", "#    ", "#    ", "#####"],
+  M: ["#   #", "## ##", "# # #", "# # #", "#   #", "#   #", "#   #"],
+  N: ["#   #", "#   #", "##  #", "# # #", "#  ##", "#   #", "#   #"],
+  O: [" ### ", "#   #", "#   #", "#   #", "#   #", "#   #", " ### "],
+  P: ["#### ", "#   #", "#   #", "#### ", "#    ", "#    ", "#    "],
+  Q: [" ### ", "#   #", "#   #", "#   #", "# # #", "#  # ", " ## #"],
+  R: ["#### ", "#   #", "#   #", "#### ", "# #  ", "#  # ", "#   #"],
+  S: [" ####", "#    ", "#    ", " ### ", "    #", "    #", "#### "],
+  T: ["#####", "  #  ", "  #  ", "  #  ", "  #  ", "  #  ", "  #  "],
+  U: ["#   #", "#   #", "#   #", "#   #", "#   #", "#   #", " ### "],
+  V: ["#   #", "#   #", "#   #", "#   #", "#   #", " # # ", "  #  "],
+  W: ["#   #", "#   #", "#   #", "# # #", "# # #", "# # #", " # # "],
+  X: ["#   #", "#   #", " # # ", "  #  ", " # # ", "#   #", "#   #"],
+  Y: ["#   #", "#   #", " # # ", "  #  ", "  #  ", "  #  ", "  #  "],
+  Z: ["#####", "    #", "   # ", "  #  ", " #   ", "#    ", "#####"],
+  " ": ["     ", "     ", "     ", "     ", "     ", "     ", "     "],
+  ".": ["     ", "     ", "     ", "     ", "     ", " ##  ", " ##  "],
+  ",": ["     ", "     ", "     ", "     ", " ##  ", "  #  ", " #   "],
+  ":": ["     ", " ##  ", " ##  ", "     ", " ##  ", " ##  ", "     "],
+  "-": ["     ", "     ", "     ", " ### ", "     ", "     ", "     "],
+  "+": ["     ", "  #  ", "  #  ", "#####", "  #  ", "  #  ", "     "],
+  "=": ["     ", "     ", "#####", "     ", "#####", "     ", "     "],
+  "/": ["    #", "    #", "   # ", "  #  ", " #   ", "#    ", "#    "],
+  "%": ["##   ", "##  #", "   # ", "  #  ", " #   ", "#  ##", "   ##"],
+  "(": ["   # ", "  #  ", " #   ", " #   ", " #   ", "  #  ", "   # "],
+  ")": [" #   ", "  #  ", "   # ", "   # ", "   # ", "  #  ", " #   "],
+  "'": ["  #  ", "  #  ", "     ", "     ", "     ", "     ", "     "],
+  "°": [" ##  ", "#  # ", "#  # ", " ##  ", "     ", "     ", "     "],
+  "#": [" # # ", " # # ", "#####", " # # ", "#####", " # # ", " # # "],
+  "<": ["   # ", "  #  ", " #   ", "#    ", " #   ", "  #  ", "   # "],
+  ">": [" #   ", "  #  ", "   # ", "    #", "   # ", "  #  ", " #   "],
+  "?": [" ### ", "#   #", "    #", "   # ", "  #  ", "     ", "  #  "],
+  "!": ["  #  ", "  #  ", "  #  ", "  #  ", "  #  ", "     ", "  #  "],
+  _: ["     ", "     ", "     ", "     ", "     ", "     ", "#####"],
+};
+
+/**
+ * Text → the characters we can draw (uppercase, no accents, known glyphs).
+ */
+export function drawableText(text) {
+  return [
+    ...String(text ?? "")
+      .normalize("NFD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .toUpperCase()
+      .trim(),
+  ]
+    .filter((ch) => GLYPHS[ch])
+    .join("");
+}
+
+export function glyph(ch) {
+  return GLYPHS[ch] ?? null;
+}
+
+export function textWidth(text, scale = 1) {
+  const n = drawableText(text).length;
+  return n ? (n * ADVANCE - 1) * scale : 0;
+}
@@ -0,0 +1,42 @@
+/**
+ * PNG charts sent to Telegram next to the HTML summaries
+ *
+ * SEND_CHARTS=true queues an activity chart (pace / speed, HR, elevation,
+ * splits, time in zone) for every new activity and a volume + CTL / ATL
+ * chart with each digest. Images are written to CHARTS_DIR (per athlete:
+ * <athlete dir>/charts) and the outbox only carries their path.
+ */
+
+import fs from "fs";
+import path from "path";
+import { currentAthlete } from "../storage/athletes.js";
+
+export { renderActivityChart } from "./activity.js";
+export { renderDigestChart, renderVolumeChart, renderLoadChart } from "./digest.js";
+
+const { SEND_CHARTS = "false", CHARTS_DIR = "./charts" } = process.env;
+
+export function chartsEnabled() {
+  return String(SEND_CHARTS).toLowerCase() === "true";
+}
+
+function chartsDir() {
+  return currentAthlete().paths.chartsDir ?? CHARTS_DIR;
+}
+
+/**
+ * Path of chart `name` in the current athlete's charts dir (may not exist).
+ */
+export function chartFile(name) {
+  return path.join(chartsDir(), `${String(name).replace(/[^\w.-]/g, "_")}.png`);
+}
+
+/**
+ * Write `png` as <charts dir>/<name>.png and return its path.
+ */
+export function saveChart(name, png) {
+  const file = chartFile(name);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, png);
+  return file;
+}
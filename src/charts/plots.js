@@ -0,0 +1,218 @@
+/**
+ * Chart panels drawn into a region of a raster: line / area panels with
+ * axes, bar panels (optionally stacked) and a 100% stacked bar for time in
+ * zone. Each panel gets a box { x, y, w, h } and draws its own title,
+ * grid and tick labels inside it.
+ */
+
+export const COLORS = {
+  text: "#333333",
+  muted: "#888888",
+  grid: "#e6e6e6",
+  axis: "#b0b0b0",
+  pace: "#1f6fb5",
+  hr: "#d62728",
+  elevation: "#8c6d31",
+  bar: "#1f6fb5",
+  barMuted: "#9dbfe0",
+  ctl: "#1f6fb5",
+  atl: "#e377c2",
+};
+
+// Z1 → Z7
+export const ZONE_COLORS = ["#9e9e9e", "#4a90d9", "#5cb85c", "#f0ad4e", "#e8743b", "#d9534f", "#8e44ad"];
+
+// Stacked bars (e.g. one color per sport)
+export const SERIES_COLORS = ["#1f6fb5", "#ff7f0e", "#2ca02c", "#9467bd", "#8c564b", "#17becf", "#bcbd22"];
+
+const TITLE_H = 30;
+const X_LABELS_H = 22;
+const Y_LABELS_W = 72;
+const PAD_RIGHT = 16;
+
+const DEFAULT_STEPS = [1, 2, 2.5, 5];
+
+/**
+ * Round tick values covering [min, max]: { min, max, ticks }. `steps` are
+ * the allowed step sizes; without them 1 / 2 / 2.5 / 5 × a power of ten.
+ */
+export function niceTicks(min, max, count = 4, { steps } = {}) {
+  let lo = min;
+  let hi = max;
+  if (!Number.isFinite(lo) || !Number.isFinite(hi)) return { min: 0, max: 1, ticks: [0, 1] };
+  if (hi <= lo) {
+    lo -= 1;
+    hi += 1;
+  }
+
+  const raw = (hi - lo) / Math.max(1, count);
+  let step;
+  if (steps?.length) {
+    step = steps.find((s) => s >= raw) ?? steps[steps.length - 1] * Math.ceil(raw / steps[steps.length - 1]);
+  } else {
+    const mag = 10 ** Math.floor(Math.log10(raw));
+    step = [...DEFAULT_STEPS, 10].map((m) => m * mag).find((s) => s >= raw);
+  }
+
+  const start = Math.floor(lo / step) * step;
+  const end = Math.ceil(hi / step) * step;
+  const ticks = [];
+  for (let v = start; v <= end + step / 1e6; v += step) ticks.push(Math.round(v * 1e6) / 1e6);
+  return { min: start, max: end, ticks };
+}
+
+function plotArea(box) {
+  return {
+    x: box.x + Y_LABELS_W,
+    y: box.y + TITLE_H,
+    w: box.w - Y_LABELS_W - PAD_RIGHT,
+    h: box.h - TITLE_H - X_LABELS_H,
+  };
+}
+
+function drawTitle(r, box, title, legend = []) {
+  r.text(title, box.x + 8, box.y + 4, COLORS.text);
+  // Legend right-aligned on the title row
+  let x = box.x + box.w - PAD_RIGHT;
+  for (const item of [...legend].reverse()) {
+    const width = r.text(item.label, x, box.y + 4, COLORS.muted, { align: "right" });
+    x -= width + 20;
+    r.fillRect(x + 4, box.y + 5, 12, 12, item.color);
+    x -= 12;
+  }
+}
+
+function drawYAxis(r, area, y, ticks) {
+  for (const v of ticks.ticks) {
+    const py = y(v);
+    r.line(area.x, py, area.x + area.w, py, COLORS.grid);
+    r.text(ticks.format(v), area.x - 8, py - 6, COLORS.muted, { align: "right" });
+  }
+}
+
+/**
+ * Lines over a shared x axis.
+ *
+ * opts: { title, legend, x: { min, max, format, unit }, y: { min, max, format,
+ *   invert, steps }, series: [{ points: [[x, y] | null], color, fill }] }
+ * `invert` puts low values on top (pace: faster is up). Points outside the
+ * y range are clamped to its edges.
+ */
+export function linePanel(r, box, opts) {
+  const area = plotArea(box);
+  const yTicks = { ...niceTicks(opts.y.min, opts.y.max, 4, { steps: opts.y.steps }), format: opts.y.format ?? String };
+  const xTicks = niceTicks(opts.x.min, opts.x.max, 6, { steps: opts.x.steps });
+  const xMax = Math.max(opts.x.max, opts.x.min + 1e-9);
+
+  const px = (v) => area.x + ((v - opts.x.min) / (xMax - opts.x.min)) * area.w;
+  const py = (v) => {
+    const f = (Math.min(yTicks.max, Math.max(yTicks.min, v)) - yTicks.min) / (yTicks.max - yTicks.min);
+    return area.y + (opts.y.invert ? f : 1 - f) * area.h;
+  };
+
+  drawTitle(r, box, opts.title, opts.legend);
+  drawYAxis(r, area, py, yTicks);
+
+  // x unit at the right end of the axis; tick labels that would run into it are skipped
+  const unitW = opts.x.unit ? r.text(opts.x.unit, area.x + area.w, area.y + area.h + 8, COLORS.muted, { align: "right" }) : 0;
+  for (const v of xTicks.ticks) {
+    if (v < opts.x.min || v > xMax) continue;
+    const x = px(v);
+    const label = (opts.x.format ?? String)(v);
+    r.line(x, area.y + area.h, x, area.y + area.h + 4, COLORS.axis);
+    if (unitW && x + label.length * 6 > area.x + area.w - unitW - 12) continue;
+    r.text(label, x, area.y + area.h + 8, COLORS.muted, { align: "center" });
+  }
+
+  const baseY = opts.y.invert ? area.y : area.y + area.h;
+  for (const s of opts.series) {
+    const points = s.points.map((p) => (p && Number.isFinite(p[1]) ? [px(p[0]), py(p[1])] : null));
+    if (s.fill) r.area(points, baseY, s.color);
+    r.polyline(points, s.color, s.thickness ?? 2);
+  }
+  r.line(area.x, area.y + area.h, area.x + area.w, area.y + area.h, COLORS.axis);
+}
+
+/**
+ * Vertical bars, one per entry.
+ *
+ * opts: { title, legend, bars: [{ value, label, text, color } |
+ *   { segments: [{ value, color }], label, text }], y: { min, format } }
+ * `label` goes under the bar, `text` above it (when it fits).
+ */
+export function barPanel(r, box, opts) {
+  const area = plotArea(box);
+  const totals = opts.bars.map((b) => (b.segments ? b.segments.reduce((s, x) => s + (x.value || 0), 0) : b.value || 0));
+  const yTicks = {
+    ...niceTicks(opts.y?.min ?? 0, Math.max(...totals, (opts.y?.min ?? 0) + 1e-9), 4),
+    format: opts.y?.format ?? String,
+  };
+  const py = (v) =>
+    area.y + (1 - (Math.min(yTicks.max, Math.max(yTicks.min, v)) - yTicks.min) / (yTicks.max - yTicks.min)) * area.h;
+
+  drawTitle(r, box, opts.title, opts.legend);
+  drawYAxis(r, area, py, yTicks);
+
+  const n = Math.max(1, opts.bars.length);
+  const slot = area.w / n;
+  const barW = Math.max(2, Math.min(60, slot * 0.7));
+  // Under-bar labels every `every` bars, so they do not overlap
+  const maxLabelW = Math.max(...opts.bars.map((b) => (b.label ? String(b.label).length * 12 : 0)), 1);
+  const every = Math.max(1, Math.ceil((maxLabelW + 8) / slot));
+
+  opts.bars.forEach((b, i) => {
+    const x = area.x + slot * i + (slot - barW) / 2;
+    // Segments stack from 0; the part below the axis minimum is cut off
+    let bottom = 0;
+    for (const seg of b.segments ?? [{ value: b.value, color: b.color }]) {
+      if (!(seg.value > 0)) continue;
+      const top = bottom + seg.value;
+      r.fillRect(x, py(top), barW, py(bottom) - py(top), seg.color ?? COLORS.bar);
+      bottom = top;
+    }
+    if (b.text && String(b.text).length * 12 <= slot) {
+      r.text(b.text, x + barW / 2, py(totals[i]) - 18, COLORS.text, { align: "center" });
+    }
+    if (b.label && i % every === 0) {
+      r.text(b.label, x + barW / 2, area.y + area.h + 8, COLORS.muted, { align: "center" });
+    }
+  });
+  r.line(area.x, area.y + area.h, area.x + area.w, area.y + area.h, COLORS.axis);
+}
+
+/**
+ * One horizontal 100% bar split into segments (time in zone), with the
+ * share of each segment written inside it when it fits.
+ *
+ * opts: { title, segments: [{ value, label, color }] }
+ */
+export function shareBar(r, box, opts) {
+  drawTitle(r, box, opts.title);
+  const total = opts.segments.reduce((s, x) => s + (x.value || 0), 0);
+  if (!total) return;
+
+  const x0 = box.x + 8;
+  const w = box.w - 8 - PAD_RIGHT;
+  const y = box.y + TITLE_H + 4;
+  const h = box.h - TITLE_H - 8;
+  let x = x0;
+  for (const seg of opts.segments) {
+    if (!(seg.value > 0)) continue;
+    const sw = (seg.value / total) * w;
+    r.fillRect(x, y, sw + 1, h, seg.color);
+    const text = `${seg.label} ${Math.round((seg.value / total) * 100)}%`;
+    const short = seg.label;
+    const fits = (s) => s.length * 12 + 8 <= sw;
+    const label = fits(text) ? text : fits(short) ? short : null;
+    if (label) r.text(label, x + sw / 2, y + h / 2 - 7, "#ffffff", { align: "center" });
+    x += sw;
+  }
+}
+
+/**
+ * Large title line at the top of a chart image.
+ */
+export function headline(r, x, y, title, subtitle) {
+  r.text(title, x, y, COLORS.text, { scale: 3 });
+  if (subtitle) r.text(subtitle, x, y + 30, COLORS.muted);
+}
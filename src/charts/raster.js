@@ -0,0 +1,122 @@
+/**
+ * RGB drawing surface for the charts: rectangles, lines, filled areas and
+ * bitmap text, exported as PNG. Coordinates are pixels, origin top-left;
+ * colors are "#rrggbb" with an optional opacity.
+ */
+
+import { encodePng } from "./png.js";
+import { drawableText, glyph, textWidth, ADVANCE, GLYPH_H } from "./font.js";
+
+function parseColor(hex) {
+  const n = parseInt(String(hex).replace("#", ""), 16);
+  return [(n >> 16) & 0xff, (n >> 8) & 0xff, n & 0xff];
+}
+
+export function createRaster(width, height, background = "#ffffff") {
+  const w = Math.max(1, Math.round(width));
+  const h = Math.max(1, Math.round(height));
+  const pixels = Buffer.alloc(w * h * 3);
+  const bg = parseColor(background);
+  for (let i = 0; i < pixels.length; i += 3) pixels.set(bg, i);
+
+  function blend(x, y, rgb, opacity) {
+    if (x < 0 || y < 0 || x >= w || y >= h) return;
+    const i = (y * w + x) * 3;
+    for (let c = 0; c < 3; c++) pixels[i + c] = Math.round(pixels[i + c] * (1 - opacity) + rgb[c] * opacity);
+  }
+
+  function fillRect(x, y, rw, rh, color, opacity = 1) {
+    const rgb = parseColor(color);
+    const x0 = Math.max(0, Math.round(x));
+    const y0 = Math.max(0, Math.round(y));
+    const x1 = Math.min(w, Math.round(x + rw));
+    const y1 = Math.min(h, Math.round(y + rh));
+    for (let py = y0; py < y1; py++) for (let px = x0; px < x1; px++) blend(px, py, rgb, opacity);
+  }
+
+  // Bresenham, stamping a square of `thickness` px per step
+  function line(x0, y0, x1, y1, color, thickness = 1) {
+    const rgb = parseColor(color);
+    let x = Math.round(x0);
+    let y = Math.round(y0);
+    const xe = Math.round(x1);
+    const ye = Math.round(y1);
+    const dx = Math.abs(xe - x);
+    const dy = -Math.abs(ye - y);
+    const sx = x < xe ? 1 : -1;
+    const sy = y < ye ? 1 : -1;
+    const off = Math.floor(thickness / 2);
+    let err = dx + dy;
+    for (;;) {
+      for (let ty = 0; ty < thickness; ty++) for (let tx = 0; tx < thickness; tx++) blend(x - off + tx, y - off + ty, rgb, 1);
+      if (x === xe && y === ye) break;
+      const e2 = 2 * err;
+      if (e2 >= dy) {
+        err += dy;
+        x += sx;
+      }
+      if (e2 <= dx) {
+        err += dx;
+        y += sy;
+      }
+    }
+  }
+
+  // [x, y] points; a null point breaks the line (gaps in the data)
+  function polyline(points, color, thickness = 2) {
+    for (let i = 1; i < points.length; i++) {
+      const a = points[i - 1];
+      const b = points[i];
+      if (a && b) line(a[0], a[1], b[0], b[1], color, thickness);
+    }
+  }
+
+  // Area between the line through `points` (x ascending) and `baseY`
+  function area(points, baseY, color, opacity = 0.35) {
+    const rgb = parseColor(color);
+    const base = Math.round(baseY);
+    for (let i = 1; i < points.length; i++) {
+      const a = points[i - 1];
+      const b = points[i];
+      if (!a || !b) continue;
+      const xa = Math.round(a[0]);
+      const xb = Math.round(b[0]);
+      for (let x = xa; x < Math.max(xa + 1, xb); x++) {
+        const f = xb === xa ? 0 : (x - xa) / (xb - xa);
+        const top = Math.round(a[1] + (b[1] - a[1]) * f);
+        for (let y = Math.min(top, base); y < Math.max(top, base); y++) blend(x, y, rgb, opacity);
+      }
+    }
+  }
+
+  function text(value, x, y, color, { scale = 2, align = "left" } = {}) {
+    const rgb = parseColor(color);
+    const chars = drawableText(value);
+    const width = textWidth(chars, scale);
+    let cx = Math.round(align === "center" ? x - width / 2 : align === "right" ? x - width : x);
+    const cy = Math.round(y);
+    for (const ch of chars) {
+      glyph(ch).forEach((row, gy) => {
+        for (let gx = 0; gx < row.length; gx++) {
+          if (row[gx] !== "#") continue;
+          for (let sy = 0; sy < scale; sy++)
+            for (let sx = 0; sx < scale; sx++) blend(cx + gx * scale + sx, cy + gy * scale + sy, rgb, 1);
+        }
+      });
+      cx += ADVANCE * scale;
+    }
+    return width;
+  }
+
+  return {
+    width: w,
+    height: h,
+    fillRect,
+    line,
+    polyline,
+    area,
+    text,
+    textHeight: (scale = 2) => GLYPH_H * scale,
+    toPng: () => encodePng(w, h, pixels),
+  };
+}
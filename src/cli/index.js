@@ -0,0 +1,205 @@
+/**
+ * Command-line entry points: `node index.js <command> [--flag value ...]`
+ */
+
+import fs from "fs";
+import { backfillActivities } from "../core/backfill.js";
+import { migrateJsonlToSqlite } from "../storage/migrate.js";
+import { sendDigest, buildDigest, renderDigestPng } from "../core/digest.js";
+import { recentVsLastYear, currentThresholds } from "../core/curves.js";
+import { rebuildRoutes, listRoutes, nameRoute } from "../core/routes.js";
+import { importPlan, plannedSessions, checkMissedSessions } from "../core/training-plan.js";
+import { describeSession } from "../core/message-formatter.js";
+import { previewActivityPrompt, previewActivityChart } from "../core/activity-handler.js";
+import { saveChart } from "../charts/index.js";
+import { localParts, addDays } from "../utils/dates.js";
+import { listAthletes, findAthlete, runAsAthlete, upsertAthlete, DEFAULT_ATHLETE_KEY } from "../storage/athletes.js";
+import { loadProfile, profileOn, updateProfile } from "../storage/profile.js";
+import { normalizeLocale, normalizeUnits, LOCALES, UNIT_SYSTEMS } from "../i18n/index.js";
+
+// `profile set` flag → profile field
+const PROFILE_FLAGS = {
+  "hr-max": "hr_max",
+  "hr-rest": "hr_rest",
+  lthr: "lthr",
+  ftp: "ftp_w",
+  "threshold-pace": "threshold_pace_sec_per_km",
+  weight: "weight_kg",
+  sex: "sex",
+  "hr-zones": "hr_zone_model",
+};
+
+export function parseFlags(args) {
+  const flags = { _: [] };
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (!arg.startsWith("--")) {
+      flags._.push(arg);
+      continue;
+    }
+    const [key, inline] = arg.slice(2).split("=", 2);
+    if (inline !== undefined) flags[key] = inline;
+    else if (args[i + 1] != null && !args[i + 1].startsWith("--")) flags[key] = args[++i];
+    else flags[key] = true;
+  }
+  return flags;
+}
+
+const commands = {
+  backfill: {
+    usage: "backfill --since YYYY-MM-DD [--until YYYY-MM-DD] [--reset]",
+    run: (flags) => backfillActivities({ since: flags.since, until: flags.until, reset: flags.reset === true }),
+  },
+  digest: {
+    usage: "digest weekly|monthly [--date YYYY-MM-DD] [--dry-run]",
+    run: async (flags) => {
+      const kind = flags._[0] === "monthly" ? "monthly" : "weekly";
+      const { html } = await sendDigest(kind, { date: flags.date, dryRun: flags["dry-run"] === true });
+      console.log(html);
+    },
+  },
+  curve: {
+    usage: "curve power|pace [--date YYYY-MM-DD] [--weeks 6]",
+    run: (flags) => {
+      const kind = flags._[0] === "pace" ? "pace" : "power";
+      const date = flags.date ?? localParts(new Date(), process.env.DIGEST_TZ).date;
+      const cmp = recentVsLastYear(kind, date, Number(flags.weeks) || undefined);
+      const unit = kind === "power" ? "W" : "m/s";
+      console.log(`${kind} curve ${cmp.range_a.from}..${cmp.range_a.to} vs ${cmp.range_b.from}..${cmp.range_b.to} (${unit})`);
+      for (const p of cmp.points) console.log(`  ${String(p.duration_s).padStart(5)}s  ${p.a ?? "-"}  vs  ${p.b ?? "-"}`);
+      const { estimates, ...thresholds } = currentThresholds(date);
+      console.log(JSON.stringify({ thresholds, estimates }, null, 2));
+    },
+  },
+  routes: {
+    usage: "routes [--all] | routes rebuild | routes name <route id> <name>",
+    run: (flags) => {
+      const [action, id, ...name] = flags._;
+      if (action === "name") {
+        const route = nameRoute(id, name.join(" "));
+        console.log(`${route.id} → ${route.name ?? "(no name)"}`);
+        return;
+      }
+      if (action === "rebuild") console.log(`${rebuildRoutes().length} routes rebuilt from the store`);
+      for (const r of listRoutes({ all: flags.all === true })) {
+        const km = (r.distance_m / 1000).toFixed(1);
+        console.log(`${r.id.padEnd(14)} ${r.type.padEnd(8)} ${km.padStart(6)} km  ${String(r.efforts).padStart(3)}x  ${r.name ?? "-"}`);
+      }
+    },
+  },
+  plan: {
+    usage: "plan import <file> [--format json|csv|ics] [--replace] | plan [--from YYYY-MM-DD] [--days 14] | plan missed [--date YYYY-MM-DD] [--dry-run]",
+    run: async (flags) => {
+      const [action, file] = flags._;
+      const today = localParts(new Date(), process.env.DIGEST_TZ).date;
+      if (action === "import") {
+        if (!file) throw new Error("Usage: plan import <file>");
+        const { sessions, from, to } = importPlan(file, { format: flags.format, replace: flags.replace === true });
+        console.log(`📋 ${sessions} planned sessions imported (${from} → ${to})`);
+        return;
+      }
+      if (action === "missed") {
+        // Reports the day before --date, like the daily check
+        const { day, missed } = await checkMissedSessions(flags.date ?? today, { dryRun: flags["dry-run"] === true });
+        console.log(missed.length ? `${day}: ${missed.map(describeSession).join("; ")}` : `${day}: nothing missed`);
+        return;
+      }
+      const from = flags.from ?? today;
+      for (const s of plannedSessions(from, addDays(from, (Number(flags.days) || 14) - 1))) {
+        console.log(`${s.id.padEnd(14)} ${describeSession(s)}`);
+      }
+    },
+  },
+  profile: {
+    usage:
+      "profile [--date YYYY-MM-DD] | profile set [--from YYYY-MM-DD] [--ftp 260] [--weight 70.5] [--hr-max 190] [--hr-rest 50] [--lthr 172] [--threshold-pace 4:30] [--sex m|f] [--hr-zones friel|karvonen|percent_max]",
+    run: (flags) => {
+      const today = localParts(new Date(), process.env.DIGEST_TZ).date;
+      if (flags._[0] === "set") {
+        // "--ftp none" clears a value from that day on
+        const fields = Object.fromEntries(
+          Object.entries(PROFILE_FLAGS)
+            .filter(([flag]) => flags[flag] != null)
+            .map(([flag, key]) => [key, flags[flag] === "none" ? null : flags[flag] === true ? "" : flags[flag]])
+        );
+        updateProfile(fields, flags.from ?? today);
+      }
+      const date = flags.date ?? today;
+      const { sources, ...profile } = profileOn(date);
+      const { estimates, ...thresholds } = currentThresholds(date, { ...profile, sources });
+      console.log(JSON.stringify({ date, profile, sources, thresholds, history: loadProfile().history }, null, 2));
+    },
+  },
+  prompt: {
+    usage: "prompt <activity id> [--template <name>]",
+    run: (flags) => {
+      const [id] = flags._;
+      if (!id) throw new Error("Usage: prompt <activity id> [--template <name>]");
+      const { template, prompt } = previewActivityPrompt(id, { template: flags.template });
+      console.error(`template: ${template.name} (${template.source}: ${template.file})`);
+      console.log(prompt);
+    },
+  },
+  chart: {
+    usage: "chart <activity id> | chart weekly|monthly [--date YYYY-MM-DD] [--out file.png]",
+    run: async (flags) => {
+      const [target] = flags._;
+      if (!target) throw new Error("Usage: chart <activity id> | chart weekly|monthly [--date YYYY-MM-DD] [--out file.png]");
+      const digest = target === "weekly" || target === "monthly";
+      const png = digest
+        ? renderDigestPng(buildDigest(target, { date: flags.date }))
+        : await previewActivityChart(target);
+      if (!png) throw new Error("Nothing to plot");
+      // Without --out the image goes to the charts dir
+      if (typeof flags.out === "string") fs.writeFileSync(flags.out, png);
+      console.log(
+        typeof flags.out === "string" ? flags.out : saveChart(digest ? `digest-${target}-preview` : `activity-${target}-preview`, png)
+      );
+    },
+  },
+  "migrate-store": {
+    usage: "migrate-store [--store ./activity-store.jsonl] [--state ./state.json] [--db ./activity-store.db]",
+    run: (flags) => migrateJsonlToSqlite({ storePath: flags.store, statePath: flags.state, dbPath: flags.db }),
+  },
+  athletes: {
+    usage: "athletes | athletes set <strava id> [--locale pt-BR|en|es] [--units metric|imperial]",
+    run: (flags) => {
+      if (flags._[0] === "set") {
+        const athlete = findAthlete(flags._[1]);
+        if (!athlete) throw new Error(`Unknown athlete: ${flags._[1]} (see: node index.js athletes)`);
+        if (athlete.key === DEFAULT_ATHLETE_KEY) throw new Error("The default athlete uses LOCALE / UNITS from .env");
+        const locale = flags.locale == null ? null : normalizeLocale(flags.locale);
+        const units = flags.units == null ? null : normalizeUnits(flags.units);
+        if (flags.locale != null && !locale) throw new Error(`Invalid locale: ${flags.locale} (${LOCALES.join(", ")})`);
+        if (flags.units != null && !units) throw new Error(`Invalid units: ${flags.units} (${UNIT_SYSTEMS.join(", ")})`);
+        upsertAthlete({ strava_id: athlete.strava_id, locale, units });
+      }
+      for (const a of listAthletes()) {
+        console.log(
+          `${a.key.padEnd(12)} ${a.name ?? "-"}  chat ${a.telegram_chat_id ?? "-"}  session ${a.clawdbot_session_key}  ${a.locale ?? "LOCALE"}/${a.units ?? "UNITS"}`
+        );
+      }
+    },
+  },
+};
+
+export function isCliCommand(name) {
+  return Object.hasOwn(commands, name) || name === "help" || name === "--help";
+}
+
+export async function runCli([name, ...args]) {
+  const command = commands[name];
+  if (!command) {
+    console.log("Usage: node index.js <command>\n");
+    for (const c of Object.values(commands)) console.log(`  ${c.usage}`);
+    console.log("\n  --athlete <strava id>  run for a connected athlete (default: the .env one)");
+    return;
+  }
+
+  const flags = parseFlags(args);
+  if (flags.athlete == null) return command.run(flags);
+
+  const athlete = findAthlete(flags.athlete);
+  if (!athlete) throw new Error(`Unknown athlete: ${flags.athlete} (see: node index.js athletes)`);
+  await runAsAthlete(athlete, () => command.run(flags));
+}
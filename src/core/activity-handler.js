@@ -6,42 +6,93 @@ import {
   getActivity,
   getActivityStreams,
   getActivityZones,
+  getActivityLaps,
   getToken,
 } from "../integrations/strava.js";
-import { sendTelegram } from "../integrations/telegram.js";
-import { sendToClawdbotAgent } from "../integrations/clawdbot.js";
+import { lookupWeather } from "../integrations/weather.js";
+import { queueTelegram, queueTelegramPhoto, queueClawdbot, flushOutbox } from "./delivery.js";
 import {
-  appendStore,
-  readStore,
+  upsertStore,
+  queryStore,
+  findStoredActivity,
+  tombstoneActivity,
   pickComparableLastWeek,
   compareCurrentVsPrev,
   markProcessed,
   saveState,
   loadState,
 } from "../storage/store.js";
-import { formatMessage } from "./message-formatter.js";
+import { formatMessage, formatUpdateNote, formatStoredRecord, zoneLabels } from "./message-formatter.js";
 import {
   computeSplits1km,
   statsFromStream,
-  isPaceBased,
+  activityMode,
   avgSpeedKmh,
   avgPaceSecPerKm,
   formatZones,
+  computeZones,
+  formatStreamZones,
+  computeTrainingLoad,
+  computeBestEfforts,
+  powerCurve,
+  speedCurve,
+  isRunType,
+  detectIntervals,
+  gradeAdjustedPace,
+  elevationChange,
+  computeEfficiency,
+  swimLaps,
+  summarizeSession,
+  temperatureStats,
 } from "../utils/stream-analysis.js";
-import { escapeHtml, htmlToPlainText, safeNum, msToKmh } from "../utils/formatters.js";
+import { recordLocalDate } from "../utils/dates.js";
+import { routeSignature } from "../utils/geo.js";
+import { updateTrainingLoad, trainingLoadOn } from "./training-load.js";
+import { detectPersonalRecords, newRecords } from "./personal-records.js";
+import { currentThresholds, recentVsLastYear } from "./curves.js";
+import { profileOn } from "../storage/profile.js";
+import { efficiencyTrend } from "./efficiency.js";
+import { findSimilarActivities, similarityTrend } from "./similar-activities.js";
+import { assignRoute, removeFromRoute, routeEfforts, activityRoute } from "./routes.js";
+import { renderActivityPrompt } from "./prompts.js";
+import { currentAthlete } from "../storage/athletes.js";
+import { planCompliance } from "./training-plan.js";
+import { chartsEnabled, renderActivityChart, saveChart } from "../charts/index.js";
+import { escapeHtml, htmlToPlainText, safeNum, msToKmh, MILE_M } from "../utils/formatters.js";
+import { t, currentUnits, answerInstruction } from "../i18n/index.js";
 
-const { SEND_RAW_TELEGRAM = "false" } = process.env;
+const { SEND_RAW_TELEGRAM = "false", SEND_UPDATE_NOTES = "false", SWIM_POOL_LENGTH_M = "25" } = process.env;
 
-export async function handleActivityId(activityId, source = "webhook") {
-  const token = await getToken();
+// FTP comes from the thresholds (profile, or the critical power estimate)
+function loadSettings(thresholds, profile) {
+  return { ftp: thresholds?.ftp_w ?? null, hrRest: profile.hr_rest, hrMax: profile.hr_max, sex: profile.sex };
+}
 
+/**
+ * Fetch an activity from Strava and build the record shape we persist.
+ * Returns the raw activity and its streams plus the extras formatMessage() needs.
+ */
+export async function buildActivityRecord(activityId, source, token) {
   const activity = await getActivity(activityId, token);
   const streams = await getActivityStreams(activityId, token);
-  const zones = await getActivityZones(activityId, token);
+  const laps = await getActivityLaps(activityId, token);
 
-  const paceBased = isPaceBased(activity.type, activity.sport_type);
-  const splitMode = paceBased ? "pace" : "speed";
-  const splits = computeSplits1km(streams, splitMode);
+  // Swims get sets / SWOLF, sessions without distance an HR summary, the rest splits + intervals
+  const mode = activityMode(activity.type, activity.sport_type, activity.distance);
+  const paceBased = mode === "pace";
+  const distanceBased = mode === "pace" || mode === "speed";
+  const splitMode = mode === "time" ? null : mode;
+  const splits = splitMode ? computeSplits1km(streams, splitMode) : [];
+  const imperial = currentUnits() === "imperial";
+  const splitsMile = splitMode && imperial ? computeSplits1km(streams, splitMode, { splitM: MILE_M }) : null;
+  const intervals = distanceBased ? detectIntervals(streams, laps, splitMode) : null;
+  const gapSecPerKm = paceBased ? gradeAdjustedPace(streams, activity.moving_time) : null;
+  const elevation = elevationChange(streams.altitude?.data);
+  // Decoupling only makes sense for steady efforts, not interval sessions
+  const efficiency = distanceBased ? computeEfficiency(streams, splitMode, { steady: !intervals }) : null;
+  // No GPS track: a pool swim
+  const swim =
+    mode === "swim" ? swimLaps(laps, { poolLengthM: Number(SWIM_POOL_LENGTH_M), pool: !streams.latlng?.data?.length }) : null;
 
   const hrStats = statsFromStream(streams.heartrate?.data);
   const hrAvg = hrStats.avg != null ? Math.round(hrStats.avg) : null;
@@ -55,10 +106,40 @@ export async function handleActivityId(activityId, source = "webhook") {
   const speedAvgKmh = speedStats.avg != null ? msToKmh(speedStats.avg) : null;
   const speedMaxKmh = speedStats.max != null ? msToKmh(speedStats.max) : null;
 
+  // Device temperature from the stream + the provider's weather (outdoor activities)
+  const environment = { ...temperatureStats(streams.temp?.data), weather: await lookupWeather(activity) };
+
   const cadStats = statsFromStream(streams.cadence?.data);
   const cadenceAvg = cadStats.avg != null ? Math.round(cadStats.avg) : safeNum(activity.average_cadence);
 
-  const zonesText = formatZones(zones, escapeHtml);
+  // Profile + thresholds as of the activity day (a reprocessed old activity
+  // gets the FTP / zones / weight of back then), estimates from the history before it
+  const activityDay = String(activity.start_date_local ?? activity.start_date ?? "").slice(0, 10) || undefined;
+  const profile = profileOn(activityDay);
+  const thresholds = currentThresholds(activityDay, profile);
+  const load = computeTrainingLoad(streams, loadSettings(thresholds, profile));
+
+  const session =
+    mode === "time"
+      ? summarizeSession(streams, {
+          hrMax: profile.hr_max,
+          movingTimeS: activity.moving_time,
+          elapsedTimeS: activity.elapsed_time,
+        })
+      : null;
+
+  const powerWkg = powerAvg != null && profile.weight_kg ? Math.round((powerAvg / profile.weight_kg) * 100) / 100 : null;
+
+  // Time in zone from the streams; Strava's /zones only when we have no zones to apply
+  const streamZones = computeZones(streams, {
+    hr: thresholds.hr_zones_bpm ? { model: thresholds.hr_zone_model, bounds: thresholds.hr_zones_bpm } : null,
+    power: thresholds.power_zones_w,
+    pace: isRunType(activity.type, activity.sport_type) ? thresholds.pace_zones_ms : null,
+  });
+  const hasStreamZones = Object.values(streamZones).some(Boolean);
+  const zonesText = hasStreamZones
+    ? formatStreamZones(streamZones, escapeHtml, zoneLabels())
+    : formatZones(await getActivityZones(activityId, token), escapeHtml, zoneLabels());
 
   const record = {
     stored_at: new Date().toISOString(),
@@ -71,6 +152,8 @@ export async function handleActivityId(activityId, source = "webhook") {
       start_date: activity.start_date ?? null,
       start_date_local: activity.start_date_local ?? null,
       timezone: activity.timezone ?? null,
+      private: activity.private ?? null,
+      start_latlng: activity.start_latlng?.length === 2 ? activity.start_latlng : null,
 
       distance_m: activity.distance ?? null,
       moving_time_s: activity.moving_time ?? null,
@@ -86,67 +169,283 @@ export async function handleActivityId(activityId, source = "webhook") {
       device_watts: activity.device_watts ?? null,
     },
     derived: {
-      mode: paceBased ? "pace" : "speed",
+      mode,
       hr_avg_stream: hrAvg,
       hr_max_stream: hrMax,
       power_avg: powerAvg,
       power_max: powerMax,
+      power_wkg: powerWkg,
       speed_avg_kmh: speedAvgKmh ?? avgSpeedKmh(activity.distance, activity.moving_time),
       speed_max_kmh: speedMaxKmh ?? (safeNum(activity.max_speed) != null ? msToKmh(activity.max_speed) : null),
-      avg_pace_sec_per_km: paceBased ? avgPaceSecPerKm(activity.distance, activity.moving_time) : null,
+      avg_pace_sec_per_km: paceBased || mode === "swim" ? avgPaceSecPerKm(activity.distance, activity.moving_time) : null,
+      gap_sec_per_km: gapSecPerKm,
+      elevation_gain_stream_m: elevation.gain,
+      elevation_loss_stream_m: elevation.loss,
+      temp_avg_c: environment.temp_avg_c,
+      environment,
+      route_signature: routeSignature(streams.latlng?.data),
       splits_1km: splits,
+      splits_mile: splitsMile,
+      swim,
+      session,
+      zones: hasStreamZones ? streamZones : null,
+      intervals,
+      efficiency,
+      load,
+      best_efforts: computeBestEfforts(streams, activity.type, activity.sport_type),
+      curves: {
+        power: powerCurve(streams),
+        pace: isRunType(activity.type, activity.sport_type) ? speedCurve(streams) : null,
+      },
+      thresholds: {
+        ftp_w: thresholds.ftp_w,
+        ftp_source: thresholds.ftp_source,
+        threshold_pace_sec_per_km: thresholds.threshold_pace_sec_per_km,
+        threshold_pace_source: thresholds.threshold_pace_source,
+        weight_kg: thresholds.weight_kg,
+        ftp_wkg: thresholds.ftp_wkg,
+        hr_zone_model: thresholds.hr_zone_model,
+      },
     },
     zones: { text: htmlToPlainText(zonesText) },
   };
 
-  appendStore(record);
+  // Needs the derived metrics above (GAP, HR / power averages) and the streams
+  record.derived.plan = planCompliance(record, streams, thresholds);
 
-  const history = readStore(2500);
+  return {
+    activity,
+    record,
+    streams,
+    extras: {
+      splits: splitsMile ?? splits,
+      intervals,
+      swim,
+      session,
+      environment,
+      gapSecPerKm,
+      efficiency,
+      plan: record.derived.plan,
+      hrAvg: hrAvg ?? "n/d",
+      hrMax: hrMax ?? "n/d",
+      zonesText,
+      speedAvgKmh,
+      speedMaxKmh,
+      powerAvg,
+      powerWkg,
+      cadenceAvg,
+      load,
+      thresholds,
+    },
+  };
+}
+
+/**
+ * Everything around a stored record that the coaching prompt uses:
+ * { prs, efTrend, dataPayload }.
+ */
+function coachingContext(record, { fitness, route, thresholds }) {
+  // Only the comparison window is needed (7–14 days back, same type)
+  const curStart = new Date(record.activity.start_date_local ?? record.activity.start_date ?? Date.now());
+  const history = queryStore({
+    type: record.activity.type,
+    from: new Date(curStart.getTime() - 14 * 24 * 3600 * 1000),
+    to: curStart,
+  });
   const prev = pickComparableLastWeek(record, history);
   const comparison = compareCurrentVsPrev(record, prev);
 
-  const html = formatMessage(activity, {
-    splits,
-    hrAvg: hrAvg ?? "n/d",
-    hrMax: hrMax ?? "n/d",
-    zonesText,
-    speedAvgKmh,
-    speedMaxKmh,
-    powerAvg,
-    cadenceAvg,
-  });
+  const prs = detectPersonalRecords(record);
 
-  if (String(SEND_RAW_TELEGRAM).toLowerCase() === "true") {
-    await sendTelegram(html);
-  }
+  const day = recordLocalDate(record);
+  const curveKind = record.derived.curves?.pace ? "pace" : record.derived.curves?.power ? "power" : null;
+  const curveTrend = curveKind && day ? recentVsLastYear(curveKind, day) : null;
+
+  const efTrend = efficiencyTrend(record);
 
-  const plain = htmlToPlainText(html);
+  const similar = findSimilarActivities(record);
 
   const dataPayload = {
     current: record,
     last_week_comparable: prev,
     deltas_vs_last_week: comparison,
+    similar_activities: similar.length
+      ? {
+          matches: similar.map(({ record: r, score, components }) => ({
+            activity_id: r.activity.id,
+            name: r.activity.name ?? null,
+            date: recordLocalDate(r),
+            score,
+            components,
+          })),
+          trend: similarityTrend(record, similar),
+        }
+      : null,
+    training_load: {
+      activity: record.derived.load,
+      fitness_after_activity: fitness,
+    },
+    personal_records: prs ? { ...prs, new_records: newRecords(prs) } : null,
+    efficiency: record.derived.efficiency ? { ...record.derived.efficiency, trend: efTrend } : null,
+    route,
+    plan: record.derived.plan,
+    thresholds: {
+      ...thresholds,
+      // power curve: W, pace curve: m/s — positive delta = better than last year
+      curve_recent_vs_last_year: curveTrend,
+    },
   };
 
-  const prompt = [
-    "New Strava activity received.",
-    "",
-    plain,
-    "",
-    "DATA (json):",
-    "```json",
-    JSON.stringify(dataPayload, null, 2),
-    "```",
-    "",
-    "Task:",
-    "- Compare this activity vs last week (use the comparable activity in DATA when present).",
-    "- If this is a ride, explicitly compare speed + power + HR (efficiency).",
-    "- If this is a run, compare pace + HR and mention pacing pattern from splits.",
-    "- Give 1–2 concrete coaching takeaways.",
-    "- Suggest the next workout based on the trend.",
-    "",
-    "If there is no comparable activity, say so and give a standalone coaching summary + next workout.",
-  ].join("\n");
-
-  await sendToClawdbotAgent(prompt, dataPayload);
+  return { prs, efTrend, dataPayload };
+}
+
+/**
+ * Template variables of the coaching prompt (see core/prompts.js): the
+ * plain-text summary, the DATA payload and shortcuts into it.
+ */
+function promptVariables(record, html, { dataPayload }) {
+  const athlete = currentAthlete();
+  return {
+    summary: htmlToPlainText(html),
+    data: dataPayload,
+    activity: record.activity,
+    derived: record.derived,
+    comparable: dataPayload.last_week_comparable,
+    deltas: dataPayload.deltas_vs_last_week,
+    similar: dataPayload.similar_activities,
+    load: dataPayload.training_load,
+    prs: dataPayload.personal_records,
+    // new_records is { allTime, recent }: flatten it so {{#if new_prs}} means "set a PR"
+    new_prs: [
+      ...(dataPayload.personal_records?.new_records?.allTime ?? []),
+      ...(dataPayload.personal_records?.new_records?.recent ?? []),
+    ],
+    efficiency: dataPayload.efficiency,
+    route: dataPayload.route,
+    plan: dataPayload.plan,
+    // Records from before the environment block only have the average
+    environment:
+      record.derived.environment ??
+      (record.derived.temp_avg_c != null ? { temp_avg_c: record.derived.temp_avg_c, weather: null } : null),
+    conditions_differ: dataPayload.deltas_vs_last_week?.conditions?.differ ?? false,
+    thresholds: dataPayload.thresholds,
+    athlete: { key: athlete.key, name: athlete.name },
+    language: t("language.name"),
+    units: currentUnits(),
+    answer_in: answerInstruction(),
+  };
+}
+
+/**
+ * Activity chart as a Telegram photo. Chart errors are logged, never thrown:
+ * the summary and the coaching prompt go out anyway.
+ */
+function queueActivityChart(record, streams, deliveryKey) {
+  try {
+    const png = renderActivityChart(record, streams, { units: currentUnits() });
+    if (!png) return;
+    const file = saveChart(`activity-${record.activity.id}`, png);
+    queueTelegramPhoto(`${deliveryKey}:chart`, file, `📈 <b>${escapeHtml(record.activity.name ?? "")}</b>`);
+  } catch (e) {
+    console.warn(`chart for activity ${record.activity.id} failed:`, e.message);
+  }
+}
+
+/**
+ * Full pipeline for one activity. `deliveryKey` prefixes the outbox ids, so a
+ * deliberate reprocess can pass a fresh key to get new messages out.
+ */
+export async function handleActivityId(activityId, source = "webhook", { deliveryKey = `activity:${activityId}` } = {}) {
+  const token = await getToken();
+  const { activity, record, streams, extras } = await buildActivityRecord(activityId, source, token);
+
+  upsertStore(record);
+  const route = routeEfforts(record, assignRoute(record));
+
+  const fitness = updateTrainingLoad(recordLocalDate(record) ?? undefined);
+  const context = coachingContext(record, { fitness, route, thresholds: extras.thresholds });
+
+  const html = formatMessage(activity, {
+    ...extras,
+    fitness,
+    prs: context.prs,
+    efficiencyTrend: context.efTrend,
+    route,
+  });
+
+  if (String(SEND_RAW_TELEGRAM).toLowerCase() === "true") {
+    queueTelegram(`${deliveryKey}:telegram`, html);
+  }
+  if (chartsEnabled()) queueActivityChart(record, streams, deliveryKey);
+
+  const { prompt } = renderActivityPrompt(promptVariables(record, html, context));
+
+  // Deliveries go through the outbox: a failed send is retried later instead
+  // of failing the whole activity (which would re-store it on the next poll).
+  queueClawdbot(`${deliveryKey}:clawdbot`, prompt, context.dataPayload);
+  await flushOutbox();
+}
+
+/**
+ * Chart PNG of a stored activity (streams fetched again from Strava), or null
+ * when there is nothing to plot. Nothing is sent.
+ */
+export async function previewActivityChart(activityId) {
+  const record = findStoredActivity(activityId);
+  if (!record) throw new Error(`Activity not stored: ${activityId}`);
+  const streams = await getActivityStreams(activityId, await getToken());
+  return renderActivityChart(record, streams, { units: currentUnits() });
+}
+
+/**
+ * Dry run of the coaching prompt for a stored activity: the template the
+ * activity gets (or `template`) rendered with today's view of its context,
+ * nothing fetched from Strava or sent. { template, prompt, data }.
+ */
+export function previewActivityPrompt(activityId, { template } = {}) {
+  const record = findStoredActivity(activityId);
+  if (!record) throw new Error(`Activity not stored: ${activityId}`);
+
+  const day = recordLocalDate(record) ?? undefined;
+  const fitness = day ? trainingLoadOn(day) : null;
+  const route = routeEfforts(record, activityRoute(record.activity.id));
+  const context = coachingContext(record, { fitness, route, thresholds: currentThresholds(day) });
+
+  const html = formatStoredRecord(record, { fitness, prs: context.prs, efficiencyTrend: context.efTrend, route });
+  const rendered = renderActivityPrompt(promptVariables(record, html, context), { name: template });
+  return { ...rendered, data: context.dataPayload };
+}
+
+/**
+ * Strava "update" event: re-fetch the activity and append a fresh record that
+ * supersedes the stored one (rename, sport type fix, privacy change...).
+ * Activities we never stored are handled as new ones.
+ */
+export async function handleActivityUpdate(activityId, updates = {}, source = "webhook") {
+  const existing = findStoredActivity(activityId);
+  if (!existing) return handleActivityId(activityId, source);
+
+  const token = await getToken();
+  const { record } = await buildActivityRecord(activityId, source, token);
+  record.updated_from = existing.stored_at ?? null;
+  upsertStore(record);
+  assignRoute(record);
+  updateTrainingLoad();
+
+  if (String(SEND_UPDATE_NOTES).toLowerCase() === "true") {
+    queueTelegram(`activity:${activityId}:update:${record.stored_at}`, formatUpdateNote(existing, record, updates));
+    await flushOutbox();
+  }
+}
+
+/**
+ * Strava "delete" event: tombstone the stored record so it no longer shows up
+ * in history or comparisons.
+ */
+export function handleActivityDelete(activityId, source = "webhook") {
+  if (!findStoredActivity(activityId)) return false;
+  tombstoneActivity(activityId, source);
+  removeFromRoute(activityId);
+  updateTrainingLoad();
+  return true;
 }
@@ -0,0 +1,108 @@
+/**
+ * Historical import: page through Strava and store records without sending
+ * anything. Progress lives in state.backfill so an interrupted run resumes.
+ */
+
+import { getToken, listActivities } from "../integrations/strava.js";
+import { upsertStore, readStore, loadState, saveState, markProcessed } from "../storage/store.js";
+import { buildActivityRecord } from "./activity-handler.js";
+import { updateTrainingLoad } from "./training-load.js";
+import { assignRoute } from "./routes.js";
+
+function toUnix(dateLike) {
+  if (dateLike == null) return null;
+  const ms = typeof dateLike === "number" ? dateLike : new Date(dateLike).getTime();
+  if (Number.isNaN(ms)) throw new Error(`Invalid date: ${dateLike}`);
+  return Math.floor(ms / 1000);
+}
+
+/**
+ * @param {object} opts
+ * @param {string} opts.since   ISO date (inclusive)
+ * @param {string} [opts.until] ISO date (exclusive), defaults to now
+ * @param {boolean} [opts.reset] ignore a saved cursor and start over
+ * @param {(msg: string) => void} [opts.log]
+ */
+export async function backfillActivities({ since, until, reset = false, log = console.log } = {}) {
+  const afterUnix = toUnix(since);
+  if (afterUnix == null) throw new Error("backfill requires a --since date");
+  const untilUnix = toUnix(until);
+
+  const state = loadState();
+  const saved = state.backfill;
+  // Without --until the range ends "now", which a resumed run keeps from the first run
+  const sameRange = saved && saved.after === afterUnix && (untilUnix == null || saved.before === untilUnix);
+  const beforeUnix = untilUnix ?? (sameRange && !reset && !saved.done ? saved.before : Math.floor(Date.now() / 1000));
+
+  const progress =
+    !reset && sameRange && !saved.done
+      ? saved
+      : { after: afterUnix, before: beforeUnix, cursor: afterUnix, imported: 0, skipped: 0, failed_ids: [], done: false };
+
+  if (progress !== saved) log(`📥 Backfill ${new Date(afterUnix * 1000).toISOString()} → ${new Date(beforeUnix * 1000).toISOString()}`);
+  else log(`📥 Resuming backfill from ${new Date(progress.cursor * 1000).toISOString()}`);
+
+  const stored = new Set(readStore(Number.MAX_SAFE_INTEGER).map((r) => String(r?.activity?.id)));
+  const save = () => {
+    const latest = loadState();
+    latest.backfill = progress;
+    Object.assign(latest.processed, state.processed);
+    saveState(latest);
+  };
+
+  try {
+    for (;;) {
+      const token = await getToken();
+      // With `after`, Strava lists oldest first; the cursor moves past each page.
+      const cursorBefore = progress.cursor;
+      const list = await listActivities(token, { after: progress.cursor, before: beforeUnix, page: 1 });
+      if (!Array.isArray(list) || list.length === 0) break;
+
+      const page = [...list].sort((a, b) => new Date(a.start_date) - new Date(b.start_date));
+      for (const a of page) {
+        const id = a?.id;
+        const startUnix = toUnix(a?.start_date) ?? progress.cursor;
+
+        if (id && !stored.has(String(id))) {
+          try {
+            const { record } = await buildActivityRecord(id, "backfill", await getToken());
+            upsertStore(record);
+            // Oldest first, so each route keeps the id of its first effort
+            assignRoute(record);
+            stored.add(String(id));
+            progress.imported += 1;
+            log(`  ✓ ${id} ${record.activity.start_date_local ?? ""} ${record.activity.name ?? ""}`);
+          } catch (e) {
+            if (e?.code === "STRAVA_RATE_LIMITED") throw e;
+            progress.failed_ids.push(id);
+            console.error(`  ✗ ${id}:`, e?.response?.data || e.message);
+          }
+        } else {
+          progress.skipped += 1;
+        }
+
+        // Polling must not treat backfilled activities as new
+        if (id) markProcessed(state, id);
+        progress.cursor = Math.max(progress.cursor, startUnix);
+        save();
+      }
+
+      if (list.length < 50 || progress.cursor <= cursorBefore) break;
+    }
+
+    progress.done = true;
+    save();
+    updateTrainingLoad();
+    log(`✅ Backfill done: ${progress.imported} imported, ${progress.skipped} already stored, ${progress.failed_ids.length} failed`);
+    if (progress.failed_ids.length) log(`   failed ids: ${progress.failed_ids.join(", ")}`);
+  } catch (e) {
+    save();
+    if (e?.code === "STRAVA_RATE_LIMITED") {
+      log(`⏸️ ${e.message}. Run the same command again to resume.`);
+      return progress;
+    }
+    throw e;
+  }
+
+  return progress;
+}
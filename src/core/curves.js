@@ -0,0 +1,117 @@
+/**
+ * Power / pace duration curves across the store + threshold estimates
+ *
+ * Each record keeps its own curves in `derived.curves` ({ power, pace }).
+ * Here they are merged into best curves for a date range, compared between
+ * ranges, and fitted with the critical power / critical speed model.
+ */
+
+import { queryStore } from "../storage/store.js";
+import { addDays, localParts } from "../utils/dates.js";
+import { mergeCurves, fitCriticalModel, powerZoneBounds, paceZoneBounds, hrZoneBounds } from "../utils/stream-analysis.js";
+import { profileOn } from "../storage/profile.js";
+
+const { CURVE_ESTIMATE_WEEKS = "6", DIGEST_TZ } = process.env;
+
+/**
+ * Best curve of `kind` ("power" | "pace") for local dates [from, to], inclusive.
+ */
+export function bestCurve(kind, { from, to } = {}) {
+  const records = queryStore({
+    from: from ? `${from}T00:00:00.000Z` : undefined,
+    to: to ? `${to}T23:59:59.999Z` : undefined,
+  });
+  return mergeCurves(records.map((r) => r.derived?.curves?.[kind]));
+}
+
+/**
+ * Curve of `kind` for two ranges side by side, with the delta per duration
+ * (positive = range A better).
+ */
+export function compareCurves(kind, rangeA, rangeB) {
+  const a = bestCurve(kind, rangeA);
+  const b = bestCurve(kind, rangeB);
+  const durations = [...new Set([...(a?.durations ?? []), ...(b?.durations ?? [])])].sort((x, y) => x - y);
+  const valueAt = (c, d) => {
+    const i = c?.durations?.indexOf(d) ?? -1;
+    return i >= 0 ? c.values[i] : null;
+  };
+
+  return {
+    kind,
+    range_a: rangeA,
+    range_b: rangeB,
+    points: durations.map((d) => {
+      const va = valueAt(a, d);
+      const vb = valueAt(b, d);
+      return { duration_s: d, a: va, b: vb, delta: va != null && vb != null ? Math.round((va - vb) * 100) / 100 : null };
+    }),
+  };
+}
+
+/**
+ * The last N weeks up to `date` vs the same weeks one year earlier.
+ */
+export function recentVsLastYear(kind, date, weeks = Number(CURVE_ESTIMATE_WEEKS) || 6) {
+  const from = addDays(date, -7 * weeks + 1);
+  return compareCurves(kind, { from, to: date }, { from: addDays(from, -364), to: addDays(date, -364) });
+}
+
+/**
+ * CP / W' and critical speed / D' from the best curves of the N weeks before
+ * `date` (the day itself excluded: an activity is never scored against
+ * thresholds it raised).
+ */
+export function estimateThresholds(date, weeks = Number(CURVE_ESTIMATE_WEEKS) || 6) {
+  const range = { from: addDays(date, -7 * weeks), to: addDays(date, -1) };
+
+  const power = fitCriticalModel(bestCurve("power", range));
+  // Running: 3–30 min efforts are typical for the critical speed model
+  const pace = fitCriticalModel(bestCurve("pace", range), { minSec: 180, maxSec: 1800 });
+
+  return {
+    window: range,
+    cycling: power ? { cp_w: Math.round(power.critical), w_prime_j: Math.round(power.reserve) } : null,
+    running: pace
+      ? {
+          critical_speed_ms: Math.round(pace.critical * 100) / 100,
+          d_prime_m: Math.round(pace.reserve),
+          threshold_pace_sec_per_km: Math.round(1000 / pace.critical),
+        }
+      : null,
+  };
+}
+
+/**
+ * Thresholds in effect on `date`: the athlete profile of that day (or its
+ * .env fallback) wins, estimates fill in.
+ * { ftp_w, ftp_source, threshold_pace_sec_per_km, threshold_pace_source,
+ *   weight_kg, ftp_wkg, power_zones_w, pace_zones_ms, hr_zones_bpm,
+ *   hr_zone_model, estimates }
+ */
+export function currentThresholds(date = localParts(new Date(), DIGEST_TZ).date, profile = profileOn(date)) {
+  const estimates = estimateThresholds(date);
+
+  const configuredFtp = profile.ftp_w;
+  const ftp = configuredFtp ?? estimates.cycling?.cp_w ?? null;
+
+  const configuredPace = profile.threshold_pace_sec_per_km;
+  const pace = configuredPace ?? estimates.running?.threshold_pace_sec_per_km ?? null;
+
+  const hrZones = hrZoneBounds(profile, profile.hr_zone_model);
+
+  return {
+    ftp_w: ftp,
+    ftp_source: configuredFtp != null ? profile.sources.ftp_w : ftp != null ? "critical_power_estimate" : null,
+    threshold_pace_sec_per_km: pace,
+    threshold_pace_source:
+      configuredPace != null ? profile.sources.threshold_pace_sec_per_km : pace != null ? "critical_speed_estimate" : null,
+    weight_kg: profile.weight_kg,
+    ftp_wkg: ftp && profile.weight_kg ? Math.round((ftp / profile.weight_kg) * 100) / 100 : null,
+    power_zones_w: powerZoneBounds(ftp),
+    pace_zones_ms: paceZoneBounds(pace),
+    hr_zones_bpm: hrZones?.bounds ?? null,
+    hr_zone_model: hrZones?.model ?? null,
+    estimates,
+  };
+}
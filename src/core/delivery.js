@@ -0,0 +1,158 @@
+/**
+ * Outbound delivery worker (Telegram + Clawdbot via the persisted outbox)
+ */
+
+import fs from "fs";
+import { sendTelegram, sendTelegramPhoto } from "../integrations/telegram.js";
+import { sendToClawdbotAgent } from "../integrations/clawdbot.js";
+import { enqueueDelivery, dueDeliveries, updateDelivery, loadOutbox } from "../storage/outbox.js";
+import { currentAthlete, DEFAULT_ATHLETE_KEY } from "../storage/athletes.js";
+
+const {
+  OUTBOX_INTERVAL_SEC = "60",
+  OUTBOX_MAX_ATTEMPTS = "8",
+  OUTBOX_RETRY_BASE_SEC = "30",
+  OUTBOX_RETRY_MAX_SEC = "21600",
+} = process.env;
+
+// Entries queued before multi-athlete support carry no target: the .env one applies
+const senders = {
+  telegram: (payload) => sendTelegram(payload.html, payload.chat_id ?? undefined),
+  // The image stays on disk (charts dir); a missing file fails like any send error
+  telegram_photo: (payload) =>
+    sendTelegramPhoto(fs.readFileSync(payload.path), { caption: payload.caption, chatId: payload.chat_id ?? undefined }),
+  clawdbot: (payload) =>
+    sendToClawdbotAgent(payload.message, payload.meta, {
+      sessionKey: payload.session_key ?? undefined,
+      to: payload.to ?? undefined,
+    }),
+};
+
+let flushing = null;
+let flushAgain = false;
+
+function retryDelayMs(attempts) {
+  const base = Math.max(1, Number(OUTBOX_RETRY_BASE_SEC) || 30);
+  const max = Math.max(base, Number(OUTBOX_RETRY_MAX_SEC) || 21600);
+  return Math.min(max, base * 2 ** Math.max(0, attempts - 1)) * 1000;
+}
+
+// The outbox is shared: ids of connected athletes get their key as prefix
+// (the default athlete keeps the ids it always had)
+function scopedId(athlete, id) {
+  return athlete.key === DEFAULT_ATHLETE_KEY ? id : `${athlete.key}:${id}`;
+}
+
+// A connected athlete without a chat of their own gets nothing queued: the
+// senders' fallback is the .env chat, which belongs to the default athlete
+function hasChat(athlete, id) {
+  if (athlete.key === DEFAULT_ATHLETE_KEY || athlete.telegram_chat_id != null) return true;
+  console.warn(`delivery ${scopedId(athlete, id)} skipped: athlete ${athlete.key} has no Telegram chat`);
+  return false;
+}
+
+/**
+ * Queue a Telegram HTML message for the current athlete's chat. `id` must be
+ * stable for the logical message (e.g. `activity:123:telegram`) so retries
+ * and restarts never duplicate it.
+ */
+export function queueTelegram(id, html) {
+  const athlete = currentAthlete();
+  if (!hasChat(athlete, id)) return false;
+  return enqueueDelivery({
+    id: scopedId(athlete, id),
+    channel: "telegram",
+    payload: { html, chat_id: athlete.telegram_chat_id },
+  });
+}
+
+/**
+ * Queue a PNG already written to `filePath` (see charts/index.js saveChart)
+ * as a Telegram photo with an HTML caption.
+ */
+export function queueTelegramPhoto(id, filePath, caption) {
+  const athlete = currentAthlete();
+  if (!hasChat(athlete, id)) return false;
+  return enqueueDelivery({
+    id: scopedId(athlete, id),
+    channel: "telegram_photo",
+    payload: { path: filePath, caption: caption ?? null, chat_id: athlete.telegram_chat_id },
+  });
+}
+
+export function queueClawdbot(id, message, meta) {
+  const athlete = currentAthlete();
+  if (!hasChat(athlete, id)) return false;
+  return enqueueDelivery({
+    id: scopedId(athlete, id),
+    channel: "clawdbot",
+    payload: { message, meta, session_key: athlete.clawdbot_session_key, to: athlete.telegram_chat_id },
+  });
+}
+
+async function deliver(entry) {
+  const send = senders[entry.channel];
+  if (!send) {
+    updateDelivery(entry.id, { status: "dead", last_error: `unknown channel: ${entry.channel}` });
+    return;
+  }
+
+  const attempts = (entry.attempts ?? 0) + 1;
+  try {
+    await send(entry.payload ?? {});
+    updateDelivery(entry.id, { status: "sent", attempts, sent_at: Date.now(), last_error: null });
+  } catch (e) {
+    const error = e?.response?.data ? JSON.stringify(e.response.data) : e.message;
+    const maxAttempts = Math.max(1, Number(OUTBOX_MAX_ATTEMPTS) || 8);
+
+    if (attempts >= maxAttempts) {
+      updateDelivery(entry.id, { status: "dead", attempts, last_error: error });
+      console.error(`💀 delivery ${entry.id} dead-lettered after ${attempts} attempts:`, error);
+      return;
+    }
+
+    const delayMs = retryDelayMs(attempts);
+    updateDelivery(entry.id, { attempts, next_attempt_at: Date.now() + delayMs, last_error: error });
+    console.error(`delivery ${entry.id} failed (attempt ${attempts}), retry in ${Math.round(delayMs / 1000)}s:`, error);
+  }
+}
+
+/**
+ * The current athlete's deliveries whose id starts with `prefix` (unscoped,
+ * e.g. `activity:123:`), newest first, in any status.
+ */
+export function athleteDeliveries(prefix) {
+  const scoped = scopedId(currentAthlete(), prefix);
+  return loadOutbox()
+    .filter((e) => String(e.id).startsWith(scoped))
+    .sort((a, b) => (b.created_at ?? 0) - (a.created_at ?? 0));
+}
+
+/**
+ * Send every due delivery, oldest first. Only one flush runs at a time;
+ * callers arriving mid-flush get one more pass so their new entries go out.
+ */
+export function flushOutbox() {
+  if (flushing) {
+    flushAgain = true;
+  } else {
+    flushing = (async () => {
+      do {
+        flushAgain = false;
+        for (const entry of dueDeliveries()) await deliver(entry);
+      } while (flushAgain);
+    })()
+      .catch((e) => console.error("outbox flush error:", e.message))
+      .finally(() => {
+        flushing = null;
+      });
+  }
+  return flushing;
+}
+
+export function startOutboxWorker() {
+  const intervalSec = Math.max(10, Number(OUTBOX_INTERVAL_SEC || "60"));
+
+  flushOutbox();
+  setInterval(flushOutbox, intervalSec * 1000);
+}
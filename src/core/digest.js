@@ -0,0 +1,210 @@
+/**
+ * Weekly / monthly training digest built from the activity store
+ */
+
+import { queryStore } from "../storage/store.js";
+import { safeNum, htmlToPlainText, escapeHtml } from "../utils/formatters.js";
+import { activityMode, avgPaceSecPerKm, avgSpeedKmh, pctDiff } from "../utils/stream-analysis.js";
+import { addDays, addMonths, localParts, recordLocalDate } from "../utils/dates.js";
+import { formatDigest } from "./message-formatter.js";
+import { t, answerInstruction, currentUnits } from "../i18n/index.js";
+import { queueTelegram, queueTelegramPhoto, queueClawdbot, flushOutbox } from "./delivery.js";
+import { trainingLoadRange } from "./training-load.js";
+import { chartsEnabled, renderDigestChart, saveChart } from "../charts/index.js";
+
+const { DIGEST_TZ } = process.env;
+
+// Days of CTL / ATL trend in the digest chart, up to the end of the period
+const CHART_TREND_DAYS = { weekly: 42, monthly: 90 };
+
+/**
+ * Period covered by a digest sent on `date` (local "YYYY-MM-DD"):
+ * weekly = the 7 days before `date`, monthly = the previous calendar month.
+ * `end` is exclusive.
+ */
+export function digestPeriod(kind, date) {
+  if (kind === "monthly") {
+    const end = addMonths(date, 0);
+    const start = addMonths(date, -1);
+    return { start, end, prevStart: addMonths(date, -2), prevEnd: start };
+  }
+  const end = date;
+  const start = addDays(date, -7);
+  return { start, end, prevStart: addDays(date, -14), prevEnd: start };
+}
+
+function recordsBetween(start, end) {
+  return queryStore({
+    from: `${start}T00:00:00.000Z`,
+    to: new Date(Date.parse(`${end}T00:00:00.000Z`) - 1),
+  }).filter((r) => {
+    const d = recordLocalDate(r);
+    return d != null && d >= start && d < end;
+  });
+}
+
+function sportKey(record) {
+  return record.activity.sport_type ?? record.activity.type ?? "Other";
+}
+
+function effort(record) {
+  const a = record.activity;
+  const mode = activityMode(a.type, a.sport_type, a.distance_m);
+  const paceLike = mode === "pace" || mode === "swim";
+  return {
+    id: a.id,
+    name: a.name ?? null,
+    date: recordLocalDate(record),
+    distance_m: safeNum(a.distance_m),
+    moving_time_s: safeNum(a.moving_time_s),
+    mode,
+    avg_pace_sec_per_km: paceLike ? avgPaceSecPerKm(a.distance_m, a.moving_time_s) : null,
+    avg_speed_kmh: mode === "speed" ? avgSpeedKmh(a.distance_m, a.moving_time_s) : null,
+  };
+}
+
+function emptyTotals() {
+  return { sessions: 0, distance_m: 0, moving_time_s: 0, elevation_gain_m: 0 };
+}
+
+function addTotals(t, a) {
+  t.sessions += 1;
+  t.distance_m += safeNum(a.distance_m) ?? 0;
+  t.moving_time_s += safeNum(a.moving_time_s) ?? 0;
+  t.elevation_gain_m += safeNum(a.total_elevation_gain_m) ?? 0;
+}
+
+export function summarizeRecords(records) {
+  const totals = emptyTotals();
+  const bySport = {};
+
+  for (const r of records) {
+    const key = sportKey(r);
+    const sport = (bySport[key] ??= { ...emptyTotals(), longest: null, fastest: null });
+    addTotals(totals, r.activity);
+    addTotals(sport, r.activity);
+
+    const e = effort(r);
+    // Sessions without distance are longest by time
+    const size = (x) => (x.mode === "time" ? x.moving_time_s : x.distance_m);
+    if (size(e) != null && (sport.longest == null || size(e) > size(sport.longest))) sport.longest = e;
+
+    // Fastest only counts efforts of at least 1 km (swims: 400 m), so a short stroll/spin does not win
+    if (e.mode === "time" || (e.distance_m ?? 0) < (e.mode === "swim" ? 400 : 1000)) continue;
+    const faster =
+      e.mode === "pace" || e.mode === "swim"
+        ? e.avg_pace_sec_per_km != null &&
+          (sport.fastest?.avg_pace_sec_per_km == null || e.avg_pace_sec_per_km < sport.fastest.avg_pace_sec_per_km)
+        : e.avg_speed_kmh != null &&
+          (sport.fastest?.avg_speed_kmh == null || e.avg_speed_kmh > sport.fastest.avg_speed_kmh);
+    if (faster) sport.fastest = e;
+  }
+
+  return { totals, bySport };
+}
+
+function deltaTotals(cur, prev) {
+  const out = {};
+  for (const k of ["sessions", "distance_m", "moving_time_s", "elevation_gain_m"]) {
+    const c = cur?.[k] ?? 0;
+    const p = prev?.[k] ?? 0;
+    out[k] = c - p;
+    out[`${k}_pct`] = pctDiff(c, p);
+  }
+  return out;
+}
+
+export function buildDigest(kind = "weekly", { date, timeZone = DIGEST_TZ } = {}) {
+  const day = date ?? localParts(new Date(), timeZone).date;
+  const period = digestPeriod(kind, day);
+
+  const current = summarizeRecords(recordsBetween(period.start, period.end));
+  const previous = summarizeRecords(recordsBetween(period.prevStart, period.prevEnd));
+
+  const sports = new Set([...Object.keys(current.bySport), ...Object.keys(previous.bySport)]);
+  const deltas = {
+    totals: deltaTotals(current.totals, previous.totals),
+    bySport: Object.fromEntries([...sports].map((s) => [s, deltaTotals(current.bySport[s], previous.bySport[s])])),
+  };
+
+  return { kind, period, current, previous, deltas };
+}
+
+/**
+ * Data of the digest chart: training time per day and sport over the period,
+ * and the stored CTL / ATL series of the CHART_TREND_DAYS before its end.
+ */
+export function digestChartData(digest) {
+  const { start, end } = digest.period;
+  const days = [];
+  for (let d = start; d < end; d = addDays(d, 1)) days.push({ date: d, by_sport: {} });
+  const byDate = Object.fromEntries(days.map((d) => [d.date, d]));
+
+  for (const r of recordsBetween(start, end)) {
+    const day = byDate[recordLocalDate(r)];
+    if (!day) continue;
+    const sport = sportKey(r);
+    day.by_sport[sport] = (day.by_sport[sport] ?? 0) + (safeNum(r.activity.moving_time_s) ?? 0);
+  }
+
+  const last = addDays(end, -1);
+  const load = trainingLoadRange(addDays(last, 1 - (CHART_TREND_DAYS[digest.kind] ?? 42)), last);
+  return { days, load };
+}
+
+export function renderDigestPng(digest) {
+  return renderDigestChart(digest, digestChartData(digest), { units: currentUnits() });
+}
+
+export function digestPrompt(digest, html) {
+  const label = digest.kind === "monthly" ? "month" : "week";
+  return [
+    `${digest.kind === "monthly" ? "Monthly" : "Weekly"} training digest (${digest.period.start} → ${digest.period.end}, end exclusive).`,
+    "",
+    htmlToPlainText(html),
+    "",
+    "DATA (json):",
+    "```json",
+    JSON.stringify(digest, null, 2),
+    "```",
+    "",
+    "Task:",
+    `- Comment on the ${label}: volume per sport, consistency and the change vs the previous ${label}.`,
+    "- Call out the standout sessions (longest / fastest).",
+    "- Flag any sudden jump in load or missing sport.",
+    `- Suggest the focus for the next ${label}.`,
+    "",
+    answerInstruction(),
+  ].join("\n");
+}
+
+/**
+ * Build the digest and queue it for Telegram + Clawdbot. Queue ids are per
+ * period, so a digest is only ever delivered once.
+ */
+export async function sendDigest(kind = "weekly", { date, dryRun = false } = {}) {
+  const digest = buildDigest(kind, { date });
+  const html = formatDigest(digest);
+  const prompt = digestPrompt(digest, html);
+
+  if (dryRun) return { digest, html, prompt };
+
+  const id = `digest:${kind}:${digest.period.start}`;
+  queueTelegram(`${id}:telegram`, html);
+  if (chartsEnabled()) {
+    // A broken chart must not hold the digest back
+    try {
+      const png = renderDigestPng(digest);
+      if (png) {
+        const title = t(kind === "monthly" ? "digest.monthly" : "digest.weekly");
+        queueTelegramPhoto(`${id}:chart`, saveChart(`digest-${kind}-${digest.period.start}`, png), `<b>${escapeHtml(title)}</b>`);
+      }
+    } catch (e) {
+      console.warn("digest chart failed:", e.message);
+    }
+  }
+  queueClawdbot(`${id}:clawdbot`, prompt, digest);
+  await flushOutbox();
+
+  return { digest, html, prompt };
+}
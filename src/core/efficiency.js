@@ -0,0 +1,70 @@
+/**
+ * Efficiency factor trend over the stored activities
+ *
+ * Each record keeps its own `derived.efficiency`; here the same sport's
+ * values of the past weeks are averaged per week and compared with the
+ * current activity.
+ */
+
+import { queryStore } from "../storage/store.js";
+import { addDays, recordLocalDate } from "../utils/dates.js";
+
+const { EF_TREND_WEEKS = "6" } = process.env;
+
+const round = (x, d = 1000) => (x != null ? Math.round(x * d) / d : null);
+const avg = (xs) => (xs.length ? xs.reduce((a, b) => a + b, 0) / xs.length : null);
+
+/**
+ * EF of `record` vs the same activity type (and EF metric) over the previous
+ * N weeks:
+ * { weeks, metric, unit, baseline_ef, change_pct,
+ *   by_week: [{ week_start, sessions, ef_avg, decoupling_avg }] }
+ * or null when the record has no EF.
+ */
+export function efficiencyTrend(record, weeks = Number(EF_TREND_WEEKS) || 6) {
+  const current = record?.derived?.efficiency;
+  const day = recordLocalDate(record);
+  if (!current?.ef || !day) return null;
+
+  const from = addDays(day, -7 * weeks + 1);
+  const history = queryStore({
+    type: record.activity.type,
+    from: `${from}T00:00:00.000Z`,
+    to: `${day}T23:59:59.999Z`,
+  }).filter(
+    (r) =>
+      String(r.activity.id) !== String(record.activity.id) &&
+      r.derived?.efficiency?.metric === current.metric &&
+      Number.isFinite(r.derived.efficiency.ef)
+  );
+
+  // Week buckets counted back from the activity day (week 0 = the 7 days up to it)
+  const buckets = new Map();
+  for (const r of history) {
+    const d = recordLocalDate(r);
+    if (!d || d < from || d > day) continue;
+    const idx = Math.min(weeks - 1, Math.floor((Date.parse(day) - Date.parse(d)) / (7 * 86400000)));
+    const b = buckets.get(idx) ?? { week_start: addDays(day, -7 * idx - 6), efs: [], decouplings: [] };
+    b.efs.push(r.derived.efficiency.ef);
+    if (Number.isFinite(r.derived.efficiency.decoupling_pct)) b.decouplings.push(r.derived.efficiency.decoupling_pct);
+    buckets.set(idx, b);
+  }
+
+  const baseline = avg(history.map((r) => r.derived.efficiency.ef));
+
+  return {
+    weeks,
+    metric: current.metric,
+    unit: current.unit,
+    baseline_ef: round(baseline),
+    change_pct: baseline ? round(((current.ef - baseline) / baseline) * 100, 10) : null,
+    by_week: [...buckets.values()]
+      .sort((a, b) => a.week_start.localeCompare(b.week_start))
+      .map((b) => ({
+        week_start: b.week_start,
+        sessions: b.efs.length,
+        ef_avg: round(avg(b.efs)),
+        decoupling_avg: round(avg(b.decouplings), 10),
+      })),
+  };
+}
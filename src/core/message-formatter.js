@@ -7,19 +7,74 @@ import {
   msToKmh,
   secToHMS,
   secToPace,
+  secToSwimPace,
   fmtKmh,
+  fmtDistance,
+  fmtSwimDistance,
+  fmtElevation,
+  fmtTemp,
+  fmtTempDelta,
   formatDateTimeLocal,
+  FOOT_M,
+  MILE_M,
+  YARD_M,
 } from "../utils/formatters.js";
-import { isPaceBased, avgPaceSecPerKm, avgSpeedKmh, pacingInsight } from "../utils/stream-analysis.js";
+import {
+  activityMode,
+  avgPaceSecPerKm,
+  avgSpeedKmh,
+  pacingPattern,
+  swolfPattern,
+  isHilly,
+  formatStreamZones,
+} from "../utils/stream-analysis.js";
 import { safeNum } from "../utils/formatters.js";
+import { addDays } from "../utils/dates.js";
+import { t, currentUnits } from "../i18n/index.js";
+import { newRecords } from "./personal-records.js";
+
+// Stored labels are in the units of the day they were computed; rebuild them
+const splitLabel = (s, units) =>
+  s.mode === "pace"
+    ? secToPace(s.secPerKm ?? NaN, units)
+    : s.mode === "swim"
+    ? secToSwimPace(s.secPerKm != null ? s.secPerKm / 10 : NaN, units)
+    : s.speedKmh != null
+    ? fmtKmh(s.speedKmh, units)
+    : t("common.na");
+
+/**
+ * Zone block titles and model names in the current language (for
+ * formatZones / formatStreamZones).
+ */
+export function zoneLabels() {
+  return Object.fromEntries(["hr", "power", "pace", "other", "percent_max"].map((k) => [k, t(`zones.${k}`)]));
+}
+
+// EF of speed-based efforts is stored per meter; imperial shows it per yard
+function fmtEfficiency(eff, units) {
+  return units === "imperial" && eff.unit === "m/min/bpm"
+    ? `${(eff.ef / YARD_M).toFixed(2)} yd/min/bpm`
+    : `${eff.ef.toFixed(2)} ${eff.unit}`;
+}
 
 export function formatMessage(activity, extras) {
+  const units = currentUnits();
+  const na = t("common.na");
   const distanceKm = (activity.distance ?? 0) / 1000;
   const dateTime = formatDateTimeLocal(activity.start_date_local);
 
-  const paceBased = isPaceBased(activity.type, activity.sport_type);
+  const mode = activityMode(activity.type, activity.sport_type, activity.distance);
+  const paceBased = mode === "pace";
+  // Lower is better: pace per km, or per 100 m for swims
+  const paceLike = paceBased || mode === "swim";
 
-  const paceAvg = paceBased && distanceKm > 0 ? secToPace(activity.moving_time / distanceKm) : null;
+  const paceAvg =
+    paceLike && distanceKm > 0
+      ? paceBased
+        ? secToPace(activity.moving_time / distanceKm, units)
+        : secToSwimPace(activity.moving_time / distanceKm / 10, units)
+      : null;
 
   const avgSpeedKmhVal =
     extras.speedAvgKmh != null
@@ -39,22 +94,34 @@ export function formatMessage(activity, extras) {
   const cadence = extras.cadenceAvg ?? safeNum(activity.average_cadence);
 
   const splits = extras.splits ?? [];
-  const labelTitle = paceBased ? "Pace" : "Speed";
+  const splitUnit = (splits[0]?.unit ?? "km").toUpperCase();
+  // Km splits of a record stored under metric units keep km paces
+  const splitUnits = splits.length ? (splits[0].unit === "mi" ? "imperial" : "metric") : units;
+  const labelTitle = paceLike ? t("activity.metric_pace") : t("activity.metric_speed");
 
+  // On hilly runs / hikes, show grade-adjusted pace and climb per split
+  const hilly = paceBased && isHilly(activity.distance, activity.total_elevation_gain);
+
+  const climb = (m) => (units === "imperial" ? Math.round(m / FOOT_M) : m);
   const splitsText = splits.length
     ? splits
         .map((s) => {
-          const hr = s.hrAvg ? ` (HR ${s.hrAvg}/${s.hrMax})` : "";
+          const gap = hilly && s.gapSecPerKm ? ` [GAP ${secToPace(s.gapSecPerKm, splitUnits)}]` : "";
+          const elev =
+            hilly && s.elevGain != null
+              ? ` ↑${climb(s.elevGain)}/↓${climb(s.elevLoss)} ${units === "imperial" ? "ft" : "m"}`
+              : "";
+          const hr = s.hrAvg ? ` (${t("activity.split_hr")} ${s.hrAvg}/${s.hrMax})` : "";
           const pw = s.powerAvg ? ` (P ${s.powerAvg}W)` : "";
-          return `KM${s.km}: ${s.label}${hr}${pw}`;
+          return `${splitUnit}${s.km}: ${splitLabel(s, splitUnits)}${gap}${elev}${hr}${pw}`;
         })
         .join("\n")
-    : "n/d";
+    : na;
 
   const best =
     splits.length > 0
       ? splits.reduce((a, b) => {
-          if (paceBased) return (b.secPerKm ?? Infinity) < (a.secPerKm ?? Infinity) ? b : a;
+          if (paceLike) return (b.secPerKm ?? Infinity) < (a.secPerKm ?? Infinity) ? b : a;
           return (b.speedKmh ?? -Infinity) > (a.speedKmh ?? -Infinity) ? b : a;
         }, splits[0])
       : null;
@@ -62,46 +129,657 @@ export function formatMessage(activity, extras) {
   const worst =
     splits.length > 0
       ? splits.reduce((a, b) => {
-          if (paceBased) return (b.secPerKm ?? -Infinity) > (a.secPerKm ?? -Infinity) ? b : a;
+          if (paceLike) return (b.secPerKm ?? -Infinity) > (a.secPerKm ?? -Infinity) ? b : a;
           return (b.speedKmh ?? Infinity) < (a.speedKmh ?? Infinity) ? b : a;
         }, splits[0])
       : null;
 
-  const insight = paceBased ? pacingInsight(splits) : null;
+  const intervals = extras.intervals?.reps?.length ? extras.intervals : null;
+  const swimSets = mode === "swim" && extras.swim?.sets?.length ? extras.swim : null;
+  const session = mode === "time" ? extras.session ?? null : null;
+  const pattern = paceLike && !intervals && !swimSets ? pacingPattern(splits) : null;
+  const swolf = swimSets ? swolfPattern(swimSets.sets) : null;
+  const insight = intervals
+    ? intervalInsight(intervals)
+    : swolf
+    ? t(`insight.swolf_${swolf}`)
+    : session?.intensity
+    ? t(`insight.session_${session.intensity}`)
+    : pattern
+    ? t(`insight.${pattern}`)
+    : null;
 
-  const metricLine = paceBased
-    ? `⚡ Pace médio: ${escapeHtml(paceAvg)}`
-    : `🚴 Speed: ${escapeHtml(fmtKmh(avgSpeedKmhVal ?? NaN))} avg | ${escapeHtml(fmtKmh(maxSpeedKmhVal ?? NaN))} max`;
+  const gapLine = hilly && extras.gapSecPerKm ? ` | GAP ${secToPace(extras.gapSecPerKm, units)}` : "";
+  const metricLine = mode === "time"
+    ? ""
+    : paceLike
+    ? escapeHtml(t("activity.pace", { pace: `${paceAvg ?? ""}${gapLine}` }))
+    : escapeHtml(
+        t("activity.speed", { avg: fmtKmh(avgSpeedKmhVal ?? NaN, units), max: fmtKmh(maxSpeedKmhVal ?? NaN, units) })
+      );
 
-  const powerLine = !paceBased && pwrAvg != null ? `⚡ Power: ${Math.round(pwrAvg)} W avg` : "";
-  const cadenceLine = cadence != null ? `🦵 Cadência: ${cadence}` : "";
-  const extraInfo = [powerLine, cadenceLine].filter(Boolean).join(" | ");
+  const wkg = extras.powerWkg != null ? ` (${extras.powerWkg.toFixed(2)} W/kg)` : "";
+  const powerLine = !paceBased && pwrAvg != null ? `${t("activity.power", { watts: Math.round(pwrAvg) })}${wkg}` : "";
+  const cadenceLine = cadence != null ? t("activity.cadence", { cadence }) : "";
+  // Swim cadence is strokes per minute, shown with the sets instead
+  const extraInfo = [powerLine, mode === "swim" ? "" : cadenceLine].filter(Boolean).join(" | ");
   const extraInfoLine = extraInfo ? `ℹ️ ${escapeHtml(extraInfo)}` : "";
 
+  const load = extras.load;
+  const fit = extras.fitness;
+  const loadParts = [
+    load ? `${load.method === "tss" ? "TSS" : "TRIMP"} ${Math.round(load.value)}` : "",
+    fit ? `CTL ${Math.round(fit.ctl)} | ATL ${Math.round(fit.atl)} | TSB ${Math.round(fit.tsb)}` : "",
+  ].filter(Boolean);
+  const loadLine = loadParts.length ? escapeHtml(t("activity.load", { parts: loadParts.join(" | ") })) : "";
+
+  const eff = extras.efficiency;
+  const effTrend = extras.efficiencyTrend;
+  const effParts = [
+    eff?.ef != null
+      ? `EF ${fmtEfficiency(eff, units)}${
+          effTrend?.change_pct != null
+            ? ` ${t("activity.ef_trend", {
+                change: `${effTrend.change_pct > 0 ? "+" : ""}${effTrend.change_pct}`,
+                weeks: effTrend.weeks,
+              })}`
+            : ""
+        }`
+      : "",
+    eff?.decoupling_pct != null ? t("activity.decoupling", { pct: eff.decoupling_pct }) : "",
+  ].filter(Boolean);
+  const efficiencyLine = effParts.length ? `🫀 ${escapeHtml(effParts.join(" | "))}` : "";
+
+  const weatherLine = formatWeatherLine(extras.environment, units);
+  const routeLine = formatRouteLine(extras.route);
+  const planLine = formatPlanLine(extras.plan);
+
+  const prText = formatPersonalRecords(extras.prs);
+
+  // Interval sessions show their reps; fixed km splits would hide the structure.
+  // Swims show their sets, sessions without distance have no splits at all.
+  const splitsBlock = intervals
+    ? formatIntervals(intervals, paceBased ? "pace" : "speed")
+    : swimSets
+    ? formatSwimSets(swimSets)
+    : mode === "time"
+    ? ""
+    : [
+        `<b>${escapeHtml(t("activity.splits", { unit: splitUnit.toLowerCase(), metric: labelTitle }))}</b>`,
+        escapeHtml(splitsText),
+        best && worst
+          ? [
+              `<b>${escapeHtml(t("activity.best_split", { unit: splitUnit }))}</b> ${best.km} (${escapeHtml(splitLabel(best, splitUnits))})`,
+              `<b>${escapeHtml(t("activity.worst_split", { unit: splitUnit }))}</b> ${worst.km} (${escapeHtml(splitLabel(worst, splitUnits))})`,
+            ].join("\n")
+          : "",
+      ].join("\n");
+
+  // "n/d" placeholders from older records read as "not available" in any language
+  const hrValue = (v) => (v == null || v === "n/d" ? na : v);
+
+  const distanceText =
+    mode === "swim" ? fmtSwimDistance(activity.distance ?? 0, units) : fmtDistance(activity.distance ?? 0, units);
+  const headLines = [
+    mode === "time" ? "" : `📏 ${escapeHtml(distanceText)}`,
+    escapeHtml(t("activity.time", { moving: secToHMS(activity.moving_time), elapsed: secToHMS(activity.elapsed_time) })),
+    metricLine,
+    escapeHtml(t("activity.hr", { avg: hrValue(extras.hrAvg), max: hrValue(extras.hrMax) })),
+    session ? formatSessionLine(session) : "",
+    // Pool lengths and gym floors have no climbing
+    mode === "pace" || mode === "speed"
+      ? escapeHtml(t("activity.elevation", { elevation: fmtElevation(activity.total_elevation_gain ?? 0, units) }))
+      : "",
+  ].filter(Boolean);
+
   return `
-<b>🏁 Nova atividade no Strava</b>
+<b>${escapeHtml(t("activity.title"))}</b>
 🏷️ ${escapeHtml(activity.name)}
 🧩 ${escapeHtml(activity.type)}
 🕒 ${escapeHtml(dateTime)}
 
-📏 ${distanceKm.toFixed(2)} km
-⏱️ Moving: ${secToHMS(activity.moving_time)} | Elapsed: ${secToHMS(activity.elapsed_time)}
-${metricLine}
-❤️ FC: ${escapeHtml(extras.hrAvg ?? "n/d")} avg | ${escapeHtml(extras.hrMax ?? "n/d")} max
-⬆️ Elevação: ${escapeHtml(Math.round(activity.total_elevation_gain ?? 0))} m
-${extraInfoLine}
+${headLines.join("\n")}
+${[extraInfoLine, weatherLine, loadLine, efficiencyLine, routeLine, planLine].filter(Boolean).join("\n")}
 
-<b>📌 Splits (≈1km) — ${escapeHtml(labelTitle)}</b>
-${escapeHtml(splitsText)}
-${
-  best && worst
-    ? `<b>🏁 Best KM:</b> ${best.km} (${escapeHtml(best.label)})\n<b>🐢 Worst KM:</b> ${worst.km} (${escapeHtml(worst.label)})`
-    : ""
+${splitsBlock ? `${splitsBlock}\n\n` : ""}<b>${escapeHtml(t("activity.insight"))}</b>
+${escapeHtml(insight ?? na)}
+${prText ? `\n${prText}\n` : ""}
+${extras.zonesText ?? ""}
+`.trim();
 }
 
-<b>🧠 Insight</b>
-${escapeHtml(insight ?? "n/d")}
+/**
+ * "🔥" line of a session without distance: % of max HR and effort blocks.
+ */
+function formatSessionLine(session) {
+  const parts = [
+    session.hr_avg_pct_max != null ? t("activity.hr_pct_max", { pct: session.hr_avg_pct_max }) : "",
+    session.efforts?.count
+      ? t("activity.hr_efforts", { count: session.efforts.count, time: secToHMS(session.efforts.seconds) })
+      : "",
+  ].filter(Boolean);
+  return parts.length ? `🔥 ${escapeHtml(parts.join(" | "))}` : "";
+}
 
-${extras.zonesText ?? ""}
+/**
+ * "🏊 Séries" block of a swim: one line per set (or lap) with pace per 100 m,
+ * SWOLF and the rest after it, then the totals.
+ */
+export function formatSwimSets(swim) {
+  const units = currentUnits();
+  const lines = swim.sets.map((r) => {
+    const swolf = r.swolf != null ? ` (SWOLF ${Math.round(r.swolf)})` : "";
+    const hr = r.hrAvg ? ` (${t("activity.split_hr")} ${r.hrAvg})` : "";
+    const rest = r.restAfterS > 0 ? ` ${t("swim.rest", { time: secToHMS(r.restAfterS) })}` : "";
+    const size = t("swim.row", { distance: fmtSwimDistance(r.meters, units), time: secToHMS(r.seconds) });
+    return `#${r.set}: ${size} — ${secToSwimPace(r.secPer100m ?? NaN, units)}${swolf}${hr}${rest}`;
+  });
+
+  const totals = [
+    swim.lengths ? t("swim.lengths", { count: swim.lengths }) : "",
+    swim.swolf != null ? t("swim.swolf", { swolf: swim.swolf }) : "",
+    swim.strokes_per_length != null ? t("swim.strokes", { strokes: swim.strokes_per_length }) : "",
+    swim.rest_s > 0 ? t("swim.rest_total", { time: secToHMS(swim.rest_s) }) : "",
+  ].filter(Boolean);
+
+  const title = swim.pool
+    ? t("swim.title_pool", { pool: fmtSwimDistance(swim.pool_length_m, units) })
+    : t("swim.title");
+  return [`<b>${escapeHtml(title)}</b>`, escapeHtml(lines.join("\n")), totals.length ? escapeHtml(totals.join(" | ")) : ""]
+    .filter(Boolean)
+    .join("\n");
+}
+
+const wind = (kmh, units) =>
+  units === "imperial" ? `${Math.round(kmh / (MILE_M / 1000))} mph` : `${Math.round(kmh)} km/h`;
+
+/**
+ * "🌡️" line: the provider's weather, or the device temperature without it.
+ */
+function formatWeatherLine(env, units) {
+  if (!env) return "";
+  const w = env.weather;
+  const parts = w
+    ? [
+        [w.conditions ? t(`weather.${w.conditions}`) : "", w.temp_c != null ? fmtTemp(w.temp_c, units) : ""]
+          .filter(Boolean)
+          .join(" "),
+        w.feels_like_c != null && Math.abs(w.feels_like_c - (w.temp_c ?? w.feels_like_c)) >= 2
+          ? t("weather.feels_like", { temp: fmtTemp(w.feels_like_c, units) })
+          : "",
+        w.wind_kmh != null ? t("weather.wind", { speed: wind(w.wind_kmh, units) }) : "",
+        w.humidity_pct != null ? t("weather.humidity", { pct: Math.round(w.humidity_pct) }) : "",
+      ]
+    : [
+        env.temp_avg_c != null
+          ? `${t("weather.device", { avg: fmtTemp(env.temp_avg_c, units) })}${
+              env.temp_max_c != null ? ` ${t("weather.max", { max: fmtTemp(env.temp_max_c, units) })}` : ""
+            }`
+          : "",
+      ];
+  const text = parts.filter(Boolean).join(" | ");
+  return text ? `🌡️ ${escapeHtml(text)}` : "";
+}
+
+const signedHMS = (sec) => `${sec > 0 ? "+" : sec < 0 ? "−" : "±"}${secToHMS(Math.abs(sec))}`;
+
+/**
+ * "🗺️ Rota" line: rank on a recurring route and time vs best / previous.
+ */
+function formatRouteLine(route) {
+  if (!route?.rank) return "";
+  const parts = [
+    t("route.rank", { rank: route.rank, efforts: route.efforts }),
+    route.delta_vs_best_s != null ? t("route.vs_best", { delta: signedHMS(route.delta_vs_best_s) }) : "",
+    route.delta_vs_previous_s != null ? t("route.vs_previous", { delta: signedHMS(route.delta_vs_previous_s) }) : "",
+  ].filter(Boolean);
+  return escapeHtml(t("route.line", { name: route.name ?? route.route_id, parts: parts.join(" | ") }));
+}
+
+/**
+ * Recurring routes for /routes.
+ */
+export function formatRoutes(routes) {
+  if (!routes.length) return escapeHtml(t("route.empty"));
+  const units = currentUnits();
+  const lines = routes.map(
+    (r) => `${r.id} — ${r.name ?? t("route.unnamed")} · ${r.type} ${fmtDistance(r.distance_m, units, 1)} · ${r.efforts}x`
+  );
+  return `<b>${escapeHtml(t("route.list_title"))}</b>\n${escapeHtml(lines.join("\n"))}\n\n${escapeHtml(
+    t("route.name_hint", { usage: t("bot.syntax_route") })
+  )}`;
+}
+
+/**
+ * "Tempo (10 km, pace 4:30-4:45)" / "Run 10 km Z2" label of a planned session.
+ */
+export function describeSession(s) {
+  const target = s.target?.text ?? (s.target?.zone ? `${s.target.metric} Z${s.target.zone}` : "");
+  const units = currentUnits();
+  const whole = units === "imperial" ? s.distance_m % MILE_M === 0 : s.distance_m % 1000 === 0;
+  const details = [
+    s.distance_m ? fmtDistance(s.distance_m, units, whole ? 0 : 1) : "",
+    s.duration_s ? secToHMS(s.duration_s) : "",
+    // Targets read from the title are the title itself
+    target !== s.title ? target : "",
+  ].filter(Boolean);
+  if (!s.title) return [s.sport, ...details].filter(Boolean).join(" ");
+  return details.length ? `${s.title} (${details.join(", ")})` : s.title;
+}
+
+const PLAN_STATUS = { done: "✅", partial: "🟡", off: "⚠️" };
+
+/**
+ * "📋 Plano" line: planned session + compliance score with its parts.
+ */
+function formatPlanLine(plan) {
+  if (!plan?.session) return "";
+  const parts = [
+    plan.volume ? t("plan.volume", { score: plan.volume.score }) : "",
+    plan.intensity ? t("plan.intensity", { score: plan.intensity.score }) : "",
+    plan.time_in_zone ? t("plan.in_zone", { pct: plan.time_in_zone.pct }) : "",
+  ].filter(Boolean);
+  const score = plan.score != null ? ` — ${plan.score}/100 ${PLAN_STATUS[plan.status] ?? ""}`.trimEnd() : "";
+  const session = `${describeSession(plan.session)}${score}${parts.length ? ` (${parts.join(" | ")})` : ""}`;
+  return escapeHtml(t("plan.line", { session }));
+}
+
+/**
+ * Daily check message for sessions that were planned but not done.
+ */
+export function formatMissedSessions(day, sessions) {
+  return [
+    `<b>${escapeHtml(t("plan.missed", { day }))}</b>`,
+    ...sessions.map((s) => `• ${escapeHtml(describeSession(s))}`),
+  ].join("\n");
+}
+
+/**
+ * Planned sessions for /plan, grouped by day.
+ */
+export function formatPlan(sessions) {
+  if (!sessions.length) return escapeHtml(t("plan.empty"));
+  const lines = sessions.map((s) => `${s.date}: ${describeSession(s)}`);
+  return `<b>${escapeHtml(t("plan.title"))}</b>\n${escapeHtml(lines.join("\n"))}`;
+}
+
+const HR_MODEL_LABELS = { friel: () => "Friel, % LTHR", karvonen: () => "Karvonen", percent_max: () => t("zones.percent_max") };
+
+// "4:00 / 4:30 / 5:00 /km": zone bounds in m/s, the unit written once
+function paceZones(zonesMs, units) {
+  const unit = units === "imperial" ? "/mi" : "/km";
+  return `${zonesMs.map((ms) => secToPace(1000 / ms, units).replace(unit, "")).join(" / ")} ${unit}`;
+}
+
+/**
+ * Athlete profile for /profile: the numbers valid today, the zone upper
+ * bounds they give and the dated changes.
+ */
+export function formatProfile(profile, thresholds, history = []) {
+  const units = currentUnits();
+  const source = (s) => (s === "env" ? " (.env)" : "");
+  const estimated = ` ${t("profile.estimated")}`;
+  const lines = [
+    [
+      profile.hr_max ? `${t("profile.hr_max", { bpm: profile.hr_max })}${source(profile.sources.hr_max)}` : "",
+      profile.hr_rest ? `${t("profile.hr_rest", { bpm: profile.hr_rest })}${source(profile.sources.hr_rest)}` : "",
+      profile.lthr ? `${t("profile.lthr", { bpm: profile.lthr })}${source(profile.sources.lthr)}` : "",
+    ]
+      .filter(Boolean)
+      .join(" | "),
+    thresholds.ftp_w
+      ? `FTP ${Math.round(thresholds.ftp_w)} W${thresholds.ftp_wkg ? ` (${thresholds.ftp_wkg.toFixed(2)} W/kg)` : ""}${
+          thresholds.ftp_source === "critical_power_estimate" ? estimated : source(thresholds.ftp_source)
+        }`
+      : "",
+    thresholds.threshold_pace_sec_per_km
+      ? `${t("profile.threshold_pace", { pace: secToPace(thresholds.threshold_pace_sec_per_km, units) })}${
+          thresholds.threshold_pace_source === "critical_speed_estimate" ? estimated : source(thresholds.threshold_pace_source)
+        }`
+      : "",
+    profile.weight_kg ? `${t("profile.weight", { kg: profile.weight_kg })}${source(profile.sources.weight_kg)}` : "",
+    thresholds.hr_zones_bpm
+      ? `${t("zones.hr")} (${HR_MODEL_LABELS[thresholds.hr_zone_model]?.() ?? thresholds.hr_zone_model}): ${thresholds.hr_zones_bpm.join(" / ")} bpm`
+      : "",
+    thresholds.power_zones_w ? `${t("zones.power")} (Coggan): ${thresholds.power_zones_w.join(" / ")} W` : "",
+    thresholds.pace_zones_ms ? `${t("zones.pace")}: ${paceZones(thresholds.pace_zones_ms, units)}` : "",
+  ].filter(Boolean);
+
+  const changes = history
+    .slice(-5)
+    .reverse()
+    .map(({ from, ...fields }) => `${from}: ${Object.entries(fields).map(([k, v]) => `${k}=${v ?? "—"}`).join(", ")}`);
+
+  return [
+    `<b>${escapeHtml(t("profile.title"))}</b>${
+      profile.valid_from ? ` ${escapeHtml(t("profile.since", { date: profile.valid_from }))}` : ""
+    }`,
+    escapeHtml(lines.length ? lines.join("\n") : t("profile.empty")),
+    changes.length ? `\n<b>${escapeHtml(t("profile.changes"))}</b>\n${escapeHtml(changes.join("\n"))}` : "",
+  ]
+    .filter(Boolean)
+    .join("\n");
+}
+
+function intervalInsight(intervals) {
+  const fade = intervals.fade_pct;
+  if (fade == null) return null;
+  if (fade >= 5) return t("insight.reps_fade", { fade });
+  if (fade <= -3) return t("insight.reps_progressive");
+  return t("insight.reps_consistent");
+}
+
+/**
+ * "📌 Intervalos" block: one line per rep (replaces the km splits).
+ */
+export function formatIntervals(intervals, mode = "pace") {
+  const units = currentUnits();
+  const lines = intervals.reps.map((r) => {
+    const size =
+      intervals.kind === "time"
+        ? secToHMS(r.seconds)
+        : t("intervals.distance", { meters: r.meters ?? "?", time: secToHMS(r.seconds) });
+    const output =
+      intervals.metric === "power" && r.powerAvg != null
+        ? `${r.powerAvg} W`
+        : splitLabel({ ...r, mode }, units);
+    const hr = r.hrAvg ? ` (${t("activity.split_hr")} ${r.hrAvg}/${r.hrMax})` : "";
+    return `#${r.rep}: ${size} — ${output}${hr}`;
+  });
+
+  const rec = intervals.recoveries?.length
+    ? t("intervals.recovery", {
+        time: secToHMS(
+          Math.round(intervals.recoveries.reduce((a, r) => a + (r.seconds ?? 0), 0) / intervals.recoveries.length)
+        ),
+      })
+    : "";
+
+  return [
+    `<b>${escapeHtml(t("intervals.title", { pattern: intervals.pattern }))}</b>`,
+    escapeHtml(lines.join("\n")),
+    rec ? escapeHtml(rec) : "",
+  ]
+    .filter(Boolean)
+    .join("\n");
+}
+
+export function formatUpdateNote(prevRecord, record, updates = {}) {
+  const before = prevRecord?.activity ?? {};
+  const after = record?.activity ?? {};
+
+  const lines = [];
+  if (before.name !== after.name) {
+    lines.push(`🏷️ ${escapeHtml(before.name ?? "n/d")} → ${escapeHtml(after.name ?? "n/d")}`);
+  }
+  if (before.type !== after.type || before.sport_type !== after.sport_type) {
+    const fmt = (a) => [a.type, a.sport_type].filter(Boolean).join(" / ") || "n/d";
+    lines.push(`🧩 ${escapeHtml(fmt(before))} → ${escapeHtml(fmt(after))}`);
+  }
+  if ("private" in updates || (before.private != null && before.private !== after.private)) {
+    lines.push(`🔒 ${t(after.private ? "update.private" : "update.public")}`);
+  }
+  if (!lines.length) lines.push(escapeHtml(t("update.refreshed")));
+
+  return `
+<b>${escapeHtml(t("update.title"))}</b>
+🆔 ${escapeHtml(after.id)}
+${lines.join("\n")}
+`.trim();
+}
+
+function fmtDelta(value, fmt) {
+  if (!Number.isFinite(value) || value === 0) return "";
+  return ` (${value > 0 ? "+" : "−"}${fmt(Math.abs(value))})`;
+}
+
+function fmtEffort(e, units) {
+  const na = t("common.na");
+  if (!e) return na;
+  if (e.mode === "time") return `${e.name ?? e.id} — ${secToHMS(e.moving_time_s)} (${e.date ?? na})`;
+  const metric =
+    e.mode === "pace"
+      ? secToPace(e.avg_pace_sec_per_km ?? NaN, units)
+      : e.mode === "swim"
+      ? secToSwimPace((e.avg_pace_sec_per_km ?? NaN) / 10, units)
+      : fmtKmh(e.avg_speed_kmh ?? NaN, units);
+  const distance = e.mode === "swim" ? fmtSwimDistance(e.distance_m ?? 0, units) : fmtDistance(e.distance_m ?? 0, units, 1);
+  return `${e.name ?? e.id} — ${distance}, ${metric} (${e.date ?? na})`;
+}
+
+export function formatDigest(digest) {
+  const { current, deltas, period } = digest;
+  const units = currentUnits();
+  const km = (m) => fmtDistance(m, units, 1);
+  const meters = (m) => fmtElevation(m, units);
+  const count = (n) => String(n);
+
+  const title = t(digest.kind === "monthly" ? "digest.monthly" : "digest.weekly");
+  const lastDay = addDays(period.end, -1); // end is exclusive
+
+  const totals = current.totals;
+  const dT = deltas.totals;
+
+  const sportBlocks = Object.entries(current.bySport)
+    .sort((a, b) => b[1].moving_time_s - a[1].moving_time_s)
+    .map(([sport, s]) => {
+      const d = deltas.bySport[sport] ?? {};
+      const time = `⏱️ ${escapeHtml(secToHMS(s.moving_time_s))}${escapeHtml(fmtDelta(d.moving_time_s, secToHMS))}`;
+      // Gym / yoga sessions: time only
+      const timeOnly = !(s.distance_m > 0);
+      return [
+        `<b>${escapeHtml(sport)}</b> — ${escapeHtml(t("digest.sessions", { count: s.sessions }))}${escapeHtml(
+          fmtDelta(d.sessions, count)
+        )}`,
+        timeOnly
+          ? time
+          : `📏 ${escapeHtml(km(s.distance_m))}${escapeHtml(fmtDelta(d.distance_m, km))} | ${time} | ⬆️ ${escapeHtml(
+              meters(s.elevation_gain_m)
+            )}`,
+        `${escapeHtml(t("digest.longest"))} ${escapeHtml(fmtEffort(s.longest, units))}`,
+        timeOnly ? "" : `${escapeHtml(t("digest.fastest"))} ${escapeHtml(fmtEffort(s.fastest, units))}`,
+      ]
+        .filter(Boolean)
+        .join("\n");
+    });
+
+  return `
+<b>${escapeHtml(title)}</b>
+🗓️ ${escapeHtml(period.start)} → ${escapeHtml(lastDay)}
+
+🔢 ${escapeHtml(t("digest.sessions", { count: totals.sessions }))}${escapeHtml(fmtDelta(dT.sessions, count))}
+📏 ${escapeHtml(km(totals.distance_m))}${escapeHtml(fmtDelta(dT.distance_m, km))}
+⏱️ ${escapeHtml(secToHMS(totals.moving_time_s))}${escapeHtml(fmtDelta(dT.moving_time_s, secToHMS))}
+⬆️ ${escapeHtml(meters(totals.elevation_gain_m))}${escapeHtml(fmtDelta(dT.elevation_gain_m, meters))}
+
+${sportBlocks.length ? sportBlocks.join("\n\n") : escapeHtml(t("digest.empty"))}
+`.trim();
+}
+
+function fmtEffortValue(kind, value) {
+  return kind === "run" ? secToHMS(value) : `${Math.round(value)} W`;
+}
+
+/**
+ * "🏆 Recordes" block for new all-time / recent PRs (empty when none).
+ */
+export function formatPersonalRecords(prs) {
+  if (!prs) return "";
+  const { allTime, recent } = newRecords(prs);
+  if (!allTime.length && !recent.length) return "";
+
+  const line = (key, label, prevBest) => {
+    const e = prs.efforts[key];
+    const prev = prevBest ? ` ${t("prs.before", { value: fmtEffortValue(prs.kind, prevBest.value) })}` : "";
+    return `${label} ${key}: ${fmtEffortValue(prs.kind, e.value)}${prev}`;
+  };
+
+  const lines = [
+    ...allTime.map((k) => line(k, t("prs.all_time"), prs.efforts[k].all_time_best)),
+    ...recent.map((k) => line(k, t("prs.recent", { days: prs.recent_days }), prs.efforts[k].recent_best)),
+  ];
+
+  return `<b>${escapeHtml(t("prs.title"))}</b>\n${escapeHtml(lines.join("\n"))}`;
+}
+
+/**
+ * Rebuild the activity summary from a stored record (no Strava call).
+ */
+export function formatStoredRecord(record, extras = {}) {
+  const a = record.activity;
+  const d = record.derived ?? {};
+  // Zones from the streams are rebuilt in today's language; Strava's /zones
+  // buckets were only stored as text
+  const zonesText = d.zones
+    ? formatStreamZones(d.zones, escapeHtml, zoneLabels())
+    : record.zones?.text
+    ? `\n\n${escapeHtml(record.zones.text)}`
+    : "";
+
+  return formatMessage(
+    {
+      name: a.name,
+      type: a.type,
+      sport_type: a.sport_type,
+      start_date_local: a.start_date_local,
+      distance: a.distance_m,
+      moving_time: a.moving_time_s,
+      elapsed_time: a.elapsed_time_s,
+      total_elevation_gain: a.total_elevation_gain_m,
+      average_speed: a.average_speed_ms,
+      max_speed: a.max_speed_ms,
+      average_watts: a.average_watts,
+      average_cadence: a.average_cadence,
+    },
+    {
+      // Mile splits are only stored while the athlete uses imperial units
+      splits: (currentUnits() === "imperial" ? d.splits_mile : null) ?? d.splits_1km ?? [],
+      intervals: d.intervals ?? null,
+      swim: d.swim ?? null,
+      session: d.session ?? null,
+      // Records from before the environment block only have the average
+      environment: d.environment ?? (d.temp_avg_c != null ? { temp_avg_c: d.temp_avg_c, temp_max_c: null, weather: null } : null),
+      gapSecPerKm: d.gap_sec_per_km ?? null,
+      efficiency: d.efficiency ?? null,
+      plan: d.plan ?? null,
+      hrAvg: d.hr_avg_stream ?? "n/d",
+      hrMax: d.hr_max_stream ?? "n/d",
+      zonesText,
+      speedAvgKmh: d.speed_avg_kmh ?? null,
+      speedMaxKmh: d.speed_max_kmh ?? null,
+      powerAvg: d.power_avg ?? null,
+      powerWkg: d.power_wkg ?? null,
+      load: d.load ?? null,
+      ...extras,
+    }
+  );
+}
+
+/**
+ * Two stored activities side by side (`comparison` from compareCurrentVsPrev,
+ * positive deltas = A more than B).
+ */
+export function formatComparison(recordA, recordB, comparison) {
+  const a = recordA.activity;
+  const b = recordB.activity;
+  const d = comparison?.delta ?? {};
+  const units = currentUnits();
+  const signed = (v, fmt) => (Number.isFinite(v) ? `${v > 0 ? "+" : v < 0 ? "−" : "±"}${fmt(Math.abs(v))}` : t("common.na"));
+  // pctDiff() returns a fraction
+  const pct = (v) => (Number.isFinite(v) ? ` (${v > 0 ? "+" : ""}${(v * 100).toFixed(1)}%)` : "");
+
+  const mode = comparison?.mode;
+  const lines = [
+    mode === "time"
+      ? ""
+      : t("compare.distance", {
+          delta: signed(d.distance_m, (m) => (mode === "swim" ? fmtSwimDistance(m, units) : fmtDistance(m, units))),
+        }),
+    t("compare.moving", { delta: signed(d.moving_time_s, secToHMS) }),
+    mode === "time" || mode === "swim"
+      ? ""
+      : t("compare.elevation", { delta: signed(d.elevation_gain_m, (m) => fmtElevation(m, units)) }),
+    mode === "pace"
+      ? `⚡ ${comparison?.pace_basis === "grade_adjusted" ? "GAP" : t("activity.metric_pace")}: ${signed(
+          d.avg_pace_sec_per_km,
+          (v) => secToPace(v, units)
+        )}${pct(d.avg_pace_pct)}`
+      : mode === "swim"
+      ? `⚡ ${t("activity.metric_pace")}: ${signed(d.avg_pace_sec_per_km, (v) => secToSwimPace(v / 10, units))}${pct(
+          d.avg_pace_pct
+        )}`
+      : mode === "time"
+      ? ""
+      : `🚴 ${t("activity.metric_speed")}: ${signed(d.avg_speed_kmh, (v) => fmtKmh(v, units))}${pct(d.avg_speed_pct)}`,
+    t("compare.hr", { delta: signed(d.hr_avg, (v) => `${Math.round(v)} bpm`) }),
+    d.power_avg_w != null
+      ? `${t("compare.power", { delta: signed(d.power_avg_w, (v) => `${Math.round(v)} W`) })}${pct(d.power_avg_pct)}`
+      : "",
+    d.efficiency_factor != null ? `🫀 EF: ${signed(d.efficiency_factor, (v) => v.toFixed(2))}${pct(d.efficiency_factor_pct)}` : "",
+    formatConditionsDelta(comparison?.conditions, units),
+  ].filter(Boolean);
+
+  const label = (x) => `${x.name ?? x.id} (${formatDateTimeLocal(x.start_date_local)})`;
+
+  return `
+<b>${escapeHtml(t("compare.title"))}</b>
+🅰️ ${escapeHtml(label(a))}
+🅱️ ${escapeHtml(label(b))}
+
+${escapeHtml(lines.join("\n"))}
+`.trim();
+}
+
+const CONDITION_REASONS = new Set(["hotter", "colder", "windier", "calmer", "wet", "dry"]);
+
+/**
+ * "🌦️ Condições diferentes" line of a comparison (empty when they were alike).
+ */
+function formatConditionsDelta(conditions, units) {
+  if (!conditions?.differ) return "";
+  const temp = conditions.temp_delta_c != null ? fmtTempDelta(conditions.temp_delta_c, units) : "";
+  const windDelta =
+    conditions.wind_delta_kmh != null && conditions.reasons.some((r) => r === "windier" || r === "calmer")
+      ? t("weather.wind", {
+          speed: `${conditions.wind_delta_kmh > 0 ? "+" : "−"}${wind(Math.abs(conditions.wind_delta_kmh), units)}`,
+        })
+      : "";
+  const details = [temp, windDelta].filter(Boolean).join(", ");
+  const reasons = conditions.reasons.map((r) => (CONDITION_REASONS.has(r) ? t(`weather.${r}`) : r)).join(", ");
+  return `${t("weather.differ", { reasons })}${details ? ` (${details})` : ""}`;
+}
+
+/**
+ * Current bests per effort key (from personalBests), one block per kind.
+ */
+export function formatPersonalBests(bestsByKind) {
+  const blocks = bestsByKind
+    .filter((b) => Object.values(b.efforts).some((e) => e.all_time_best))
+    .map((b) => {
+      const lines = Object.entries(b.efforts)
+        .filter(([, e]) => e.all_time_best)
+        .map(([key, e]) => {
+          const all = e.all_time_best;
+          const na = t("common.na");
+          const recent = e.recent_best ? fmtEffortValue(b.kind, e.recent_best.value) : na;
+          return `${key}: ${fmtEffortValue(b.kind, all.value)} (${all.date ?? na}) | ${b.recent_days}d: ${recent}`;
+        });
+      return `<b>${escapeHtml(t(b.kind === "run" ? "prs.run" : "prs.ride"))}</b>\n${escapeHtml(lines.join("\n"))}`;
+    });
+
+  return `<b>${escapeHtml(t("prs.title"))}</b>\n\n${blocks.length ? blocks.join("\n\n") : escapeHtml(t("prs.empty"))}`;
+}
+
+/**
+ * CTL / ATL / TSB for `today` plus the recent daily series.
+ */
+export function formatTrainingLoad(today, days) {
+  const fmt = (x) => `CTL ${Math.round(x.ctl)} | ATL ${Math.round(x.atl)} | TSB ${Math.round(x.tsb)}`;
+  const lines = days.map((x) => t("load.day", { date: x.date, load: Math.round(x.load), fitness: fmt(x) }));
+
+  return `
+<b>${escapeHtml(t("load.title"))}</b>
+${escapeHtml(today ? fmt(today) : t("load.empty"))}
+${lines.length ? `\n${escapeHtml(lines.join("\n"))}` : ""}
 `.trim();
 }
@@ -0,0 +1,98 @@
+/**
+ * Personal records: compare an activity's best efforts against the store
+ */
+
+import { readStore } from "../storage/store.js";
+import { addDays, recordLocalDate } from "../utils/dates.js";
+import { RUN_EFFORT_DISTANCES, RIDE_EFFORT_DURATIONS } from "../utils/stream-analysis.js";
+
+const { PR_RECENT_DAYS = "90" } = process.env;
+
+// Runs: lower time wins. Rides: higher power wins.
+const better = (kind, a, b) => (kind === "run" ? a < b : a > b);
+
+function bestOf(kind, key, records) {
+  let best = null;
+  for (const r of records) {
+    const v = r.derived?.best_efforts?.values?.[key];
+    if (typeof v !== "number") continue;
+    if (best == null || better(kind, v, best.value)) {
+      best = { value: v, activity_id: r.activity.id, name: r.activity.name ?? null, date: recordLocalDate(r) };
+    }
+  }
+  return best;
+}
+
+/**
+ * For each best effort of `record`:
+ * { value, all_time_best, recent_best, is_pr_all_time, is_pr_recent, first_effort }
+ * where the bests are the previous ones (this activity excluded). A first
+ * effort at a distance/duration is not flagged as a PR.
+ * Returns null when the activity has no best efforts.
+ */
+export function detectPersonalRecords(record, history = readStore(Number.MAX_SAFE_INTEGER)) {
+  const efforts = record?.derived?.best_efforts;
+  if (!efforts?.values) return null;
+
+  const day = recordLocalDate(record);
+  const recentFrom = day ? addDays(day, -Math.max(1, Number(PR_RECENT_DAYS) || 90)) : null;
+
+  const previous = history.filter(
+    (r) =>
+      r?.activity?.id != null &&
+      String(r.activity.id) !== String(record.activity.id) &&
+      r.derived?.best_efforts?.kind === efforts.kind &&
+      (day == null || (recordLocalDate(r) ?? "") <= day)
+  );
+  const recent = recentFrom ? previous.filter((r) => (recordLocalDate(r) ?? "") >= recentFrom) : previous;
+
+  const out = {};
+  for (const [key, value] of Object.entries(efforts.values)) {
+    const allTime = bestOf(efforts.kind, key, previous);
+    const recentBest = bestOf(efforts.kind, key, recent);
+    out[key] = {
+      value,
+      all_time_best: allTime,
+      recent_best: recentBest,
+      is_pr_all_time: allTime != null && better(efforts.kind, value, allTime.value),
+      is_pr_recent: recentBest != null && better(efforts.kind, value, recentBest.value),
+      first_effort: allTime == null,
+    };
+  }
+
+  return { kind: efforts.kind, recent_days: Number(PR_RECENT_DAYS) || 90, efforts: out };
+}
+
+/**
+ * Keys that set a new record (all-time first, then recent-only).
+ */
+export function newRecords(prs) {
+  if (!prs) return { allTime: [], recent: [] };
+  const entries = Object.entries(prs.efforts);
+  return {
+    allTime: entries.filter(([, e]) => e.is_pr_all_time).map(([k]) => k),
+    recent: entries.filter(([, e]) => !e.is_pr_all_time && e.is_pr_recent).map(([k]) => k),
+  };
+}
+
+/**
+ * Current bests per effort key for `kind` ("run" | "ride"), all-time and
+ * over the last PR_RECENT_DAYS up to `date`:
+ * { kind, recent_days, efforts: { key: { all_time_best, recent_best } } }
+ */
+export function personalBests(kind, date, history = readStore(Number.MAX_SAFE_INTEGER)) {
+  const days = Number(PR_RECENT_DAYS) || 90;
+  const recentFrom = addDays(date, -days);
+
+  const records = history.filter(
+    (r) => r.derived?.best_efforts?.kind === kind && (recordLocalDate(r) ?? "") <= date
+  );
+  const recent = records.filter((r) => (recordLocalDate(r) ?? "") >= recentFrom);
+  const keys = Object.keys(kind === "run" ? RUN_EFFORT_DISTANCES : RIDE_EFFORT_DURATIONS);
+
+  const efforts = {};
+  for (const key of keys) {
+    efforts[key] = { all_time_best: bestOf(kind, key, records), recent_best: bestOf(kind, key, recent) };
+  }
+  return { kind, recent_days: days, efforts };
+}
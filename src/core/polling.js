@@ -2,32 +2,60 @@
  * Polling fallback for catching up after Mac sleep
  */
 
-import { getToken, listActivities } from "../integrations/strava.js";
+import { getToken, listActivities, hasRateBudget, getRateLimitBudget } from "../integrations/strava.js";
 import { loadState, saveState, markProcessed } from "../storage/store.js";
 import { handleActivityId } from "./activity-handler.js";
+import { listAthletes, runAsAthlete, DEFAULT_ATHLETE_KEY } from "../storage/athletes.js";
 
 const {
   POLL_ENABLED = "true",
   POLL_INTERVAL_SEC = "600",
   POLL_LOOKBACK_HOURS = "24",
   POLL_PAGE_LIMIT = "4",
+  POLL_MIN_RATE_BUDGET = "20",
 } = process.env;
 
+// Strava calls made by handleActivityId (activity + streams + zones + laps)
+const REQUESTS_PER_ACTIVITY = 4;
+
+function logBudgetSkip(what) {
+  const { short, daily } = getRateLimitBudget();
+  console.warn(
+    `⏸️ ${what}: Strava budget low (15min ${short.remaining}/${short.limit}, daily ${daily.remaining}/${daily.limit})`
+  );
+}
+
+/**
+ * One poll cycle for the current athlete. The state read here only decides
+ * where to start: every save re-reads it first, since handling an activity
+ * writes to it too (routes, training load).
+ */
 export async function pollNewActivities() {
   const state = loadState();
   const now = Date.now();
 
+  if (state.deauthorized) {
+    console.warn("poll skipped: Strava athlete deauthorized the app");
+    return;
+  }
+
   const lookbackMs = Number(POLL_LOOKBACK_HOURS) * 3600 * 1000;
   const afterMs = state.lastCheckedAt ? state.lastCheckedAt - 5 * 60 * 1000 : now - lookbackMs;
   const afterUnix = Math.floor(afterMs / 1000);
 
+  if (!hasRateBudget(Math.max(1, Number(POLL_MIN_RATE_BUDGET) || 0))) {
+    logBudgetSkip("poll cycle skipped");
+    return;
+  }
+
   const token = await getToken();
 
   const pageLimit = Math.max(1, Number(POLL_PAGE_LIMIT || "4"));
   let page = 1;
   let fetchedAny = false;
+  let complete = true;
 
-  while (page <= pageLimit) {
+  pages: while (page <= pageLimit) {
     const list = await listActivities(token, { after: afterUnix, page });
 
     if (!Array.isArray(list) || list.length === 0) break;
@@ -37,14 +65,34 @@ export async function pollNewActivities() {
       const id = a?.id;
       if (!id) continue;
 
-      if (state.processed[String(id)]) continue;
+      // Fresh state per activity: the webhook, the scheduler or a plan import may
+      // have written to it since this cycle started (processed ids, deauthorized...)
+      const current = loadState();
+      if (current.deauthorized) {
+        console.warn("poll stopped: Strava athlete deauthorized the app");
+        return;
+      }
+      if (current.processed[String(id)]) continue;
+
+      if (!hasRateBudget(REQUESTS_PER_ACTIVITY)) {
+        // Leave lastCheckedAt alone so the next cycle picks up from here
+        logBudgetSkip("poll stopped early");
+        complete = false;
+        break pages;
+      }
 
       try {
         await handleActivityId(id, "poll");
-        markProcessed(state, id);
-        saveState(state);
+        // Re-read: the handler wrote routes / training load to the state meanwhile
+        const latest = loadState();
+        markProcessed(latest, id);
+        saveState(latest);
       } catch (e) {
         console.error("poll handle error:", e?.response?.data || e.message);
+        if (e?.code === "STRAVA_RATE_LIMITED") {
+          complete = false;
+          break pages;
+        }
       }
     }
 
@@ -52,8 +100,26 @@ export async function pollNewActivities() {
     page += 1;
   }
 
-  state.lastCheckedAt = now;
-  saveState(state);
+  if (!complete) return;
+
+  const latest = loadState();
+  latest.lastCheckedAt = now;
+  saveState(latest);
+}
+
+/**
+ * One poll cycle per connected athlete, one after the other (they share the
+ * Strava rate limit).
+ */
+export async function pollAllAthletes() {
+  for (const athlete of listAthletes()) {
+    try {
+      await runAsAthlete(athlete, pollNewActivities);
+    } catch (e) {
+      const who = athlete.key === DEFAULT_ATHLETE_KEY ? "" : ` [athlete ${athlete.key}]`;
+      console.error(`poll error${who}:`, e?.response?.data || e.message);
+    }
+  }
 }
 
 export function startPolling() {
@@ -64,9 +130,6 @@ export function startPolling() {
   const intervalSec = Math.max(60, Number(POLL_INTERVAL_SEC || "600"));
   console.log(`🕵️ Polling enabled: every ${intervalSec}s`);
 
-  pollNewActivities().catch((e) => console.error("poll boot error:", e?.response?.data || e.message));
-
-  setInterval(() => {
-    pollNewActivities().catch((e) => console.error("poll interval error:", e?.response?.data || e.message));
-  }, intervalSec * 1000);
+  pollAllAthletes();
+  setInterval(pollAllAthletes, intervalSec * 1000);
 }
@@ -0,0 +1,159 @@
+/**
+ * Coaching prompt templates
+ *
+ * The Clawdbot prompt for an activity is rendered from a template in
+ * prompts/activity/ (shipped) or in the athlete's override dir
+ * (PROMPT_OVERRIDES_DIR; connected athletes: prompts/ in their data dir),
+ * which wins file by file. The template is picked by sport:
+ *   <sport_type>.md → <sport group>.md (ride, run, swim, strength, mobility) → default.md
+ *
+ * Syntax:
+ *   {{activity.name}}            value (objects / arrays as JSON, missing → "")
+ *   {{#if plan}} ... {{else}} ... {{/if}}   block on a truthy value (empty arrays are false)
+ *   {{> _context}}               another template of the same set (partial)
+ * Lines holding only a block tag are dropped, so conditional lines leave no gaps.
+ */
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { currentAthlete } from "../storage/athletes.js";
+
+const { PROMPT_OVERRIDES_DIR = "./prompt-overrides" } = process.env;
+
+const BUILTIN_DIR = fileURLToPath(new URL("../../prompts/", import.meta.url));
+const MAX_PARTIAL_DEPTH = 8;
+
+// sport_type → template group, when there is no template for the sport_type itself
+const SPORT_GROUPS = {
+  ride: ["Ride", "VirtualRide", "GravelRide", "MountainBikeRide", "EBikeRide", "EMountainBikeRide", "Velomobile", "Handcycle"],
+  run: ["Run", "TrailRun", "VirtualRun", "Walk", "Hike"],
+  swim: ["Swim"],
+  strength: ["WeightTraining", "Crossfit", "Workout", "HighIntensityIntervalTraining"],
+  mobility: ["Yoga", "Pilates"],
+};
+
+export function sportGroup(activity) {
+  for (const [group, sports] of Object.entries(SPORT_GROUPS)) {
+    if (sports.includes(activity?.sport_type) || sports.includes(activity?.type)) return group;
+  }
+  return null;
+}
+
+function overridesDir() {
+  return currentAthlete().paths.promptsDir ?? PROMPT_OVERRIDES_DIR;
+}
+
+const validName = (name) => /^[A-Za-z0-9_-]+$/.test(String(name ?? ""));
+
+/**
+ * Template `<kind>/<name>.md`, the athlete override first:
+ * { name, source: "override" | "builtin", file, text } or null.
+ */
+export function loadTemplate(kind, name) {
+  if (!validName(kind) || !validName(name)) return null;
+  for (const [source, dir] of [
+    ["override", overridesDir()],
+    ["builtin", BUILTIN_DIR],
+  ]) {
+    const file = path.join(dir, kind, `${name}.md`);
+    if (fs.existsSync(file)) return { name, source, file, text: fs.readFileSync(file, "utf8") };
+  }
+  return null;
+}
+
+/**
+ * Template names tried for an activity, most specific first.
+ */
+export function templateCandidates(activity) {
+  return [activity?.sport_type, sportGroup(activity), "default"].filter((n, i, all) => n && all.indexOf(n) === i);
+}
+
+function lookup(vars, dotted) {
+  return dotted.split(".").reduce((v, key) => (v == null ? undefined : v[key]), vars);
+}
+
+function truthy(value) {
+  return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+function show(value) {
+  if (value == null) return "";
+  return typeof value === "object" ? JSON.stringify(value, null, 2) : String(value);
+}
+
+const TAG = /{{\s*([#/>]?)\s*([^}]*?)\s*}}/g;
+
+// Tokens → tree of text / var / if / partial nodes
+function parse(text) {
+  const root = { body: [] };
+  const stack = [root];
+  const push = (node) => stack.at(-1).body.push(node);
+  // Standalone block tags take their line with them
+  const source = text.replace(/^[ \t]*({{\s*(?:#if\b[^}]*|\/if|else)\s*}})[ \t]*\r?\n/gm, "$1");
+
+  let last = 0;
+  for (const m of source.matchAll(TAG)) {
+    if (m.index > last) push({ text: source.slice(last, m.index) });
+    last = m.index + m[0].length;
+    const [, sigil, expr] = m;
+    const block = stack.at(-1);
+
+    if (sigil === "#") {
+      const [keyword, key] = expr.split(/\s+/, 2);
+      if (keyword !== "if" || !key) throw new Error(`Unknown block: {{#${expr}}}`);
+      const node = { if: key, then: [], otherwise: [] };
+      push(node);
+      stack.push({ node, body: node.then });
+    } else if (sigil === "/") {
+      if (stack.length < 2 || expr !== "if") throw new Error(`Unexpected {{/${expr}}}`);
+      stack.pop();
+    } else if (sigil === ">") {
+      push({ partial: expr });
+    } else if (expr === "else") {
+      if (!block.node || block.body === block.node.otherwise) throw new Error("Unexpected {{else}}");
+      block.body = block.node.otherwise;
+    } else {
+      push({ var: expr });
+    }
+  }
+  if (last < source.length) push({ text: source.slice(last) });
+  if (stack.length > 1) throw new Error(`Unclosed {{#if ${stack.at(-1).node.if}}}`);
+  return root.body;
+}
+
+/**
+ * Render a template string. `partial(name)` returns another template's text
+ * (or null); missing variables render empty.
+ */
+export function renderTemplate(text, vars, { partial = () => null, depth = 0 } = {}) {
+  const render = (nodes) =>
+    nodes
+      .map((node) => {
+        if (node.text != null) return node.text;
+        if (node.var != null) return show(lookup(vars, node.var));
+        if (node.partial != null) {
+          if (depth >= MAX_PARTIAL_DEPTH) throw new Error(`Partials nested too deep at {{> ${node.partial}}}`);
+          const inner = partial(node.partial);
+          if (inner == null) throw new Error(`Unknown partial: ${node.partial}`);
+          return renderTemplate(inner, vars, { partial, depth: depth + 1 }).replace(/\r?\n$/, "");
+        }
+        return render(truthy(lookup(vars, node.if)) ? node.then : node.otherwise);
+      })
+      .join("");
+  return render(parse(text));
+}
+
+/**
+ * Coaching prompt for an activity: { template: { name, source, file }, prompt }.
+ * `name` forces a template instead of the sport-based choice.
+ */
+export function renderActivityPrompt(vars, { name } = {}) {
+  const names = name ? [name] : templateCandidates(vars.activity);
+  const template = names.map((n) => loadTemplate("activity", n)).find(Boolean);
+  if (!template) throw new Error(`No prompt template found (tried: ${names.join(", ")})`);
+
+  const prompt = renderTemplate(template.text, vars, { partial: (p) => loadTemplate("activity", p)?.text ?? null });
+  const { text, ...info } = template;
+  return { template: info, prompt: prompt.trimEnd() };
+}
@@ -0,0 +1,199 @@
+/**
+ * Recurring routes: GPS activities clustered by their route signature
+ *
+ * Each record keeps `derived.route_signature` (the track resampled to a few
+ * points, as an encoded polyline). An activity joins the route whose first
+ * effort's signature is closest, when the mean deviation is under
+ * ROUTE_MATCH_M and the distance within ROUTE_DISTANCE_TOLERANCE; otherwise
+ * it starts a new route. Routes live in state.routes, keyed by
+ * "r<first activity id>" so a rebuild from the store keeps the same ids (and
+ * the names given with `routes name` / /route).
+ */
+
+import { queryStore, loadState, saveState } from "../storage/store.js";
+import { safeNum } from "../utils/formatters.js";
+import { recordLocalDate } from "../utils/dates.js";
+import { signatureDeviationM } from "../utils/geo.js";
+
+const { ROUTE_MATCH_M = "150" } = process.env;
+
+const ROUTE_DISTANCE_TOLERANCE = 0.1;
+
+const routeId = (record) => `r${record.activity.id}`;
+const startIso = (r) => String(r.activity.start_date ?? r.activity.start_date_local ?? "");
+
+/**
+ * Closest route of the same activity type: { route, deviation_m } or null.
+ */
+export function matchRoute(record, routes) {
+  const sig = record?.derived?.route_signature;
+  if (!sig) return null;
+
+  const maxDeviation = Number(ROUTE_MATCH_M) || 150;
+  let best = null;
+  for (const route of Object.values(routes ?? {})) {
+    if (route.type !== record.activity.type) continue;
+    const d = route.signature.distance_m;
+    if (Math.abs(sig.distance_m - d) / Math.max(d, 1) > ROUTE_DISTANCE_TOLERANCE) continue;
+    const deviation = signatureDeviationM(sig, route.signature);
+    if (deviation == null || deviation > maxDeviation) continue;
+    if (!best || deviation < best.deviation_m) best = { route, deviation_m: Math.round(deviation) };
+  }
+  return best;
+}
+
+function addToRoutes(routes, record) {
+  const id = String(record.activity.id);
+  const existing = Object.values(routes).find((r) => r.activity_ids.includes(id));
+  if (existing) return existing;
+
+  const match = matchRoute(record, routes);
+  if (match) {
+    match.route.activity_ids.push(id);
+    return match.route;
+  }
+
+  const route = {
+    id: routeId(record),
+    name: null,
+    type: record.activity.type,
+    signature: record.derived.route_signature,
+    activity_ids: [id],
+    first_date: recordLocalDate(record),
+  };
+  routes[route.id] = route;
+  return route;
+}
+
+/**
+ * Put a new activity on its route (a new one if nothing matches). Returns the
+ * route, or null for activities without GPS.
+ */
+export function assignRoute(record) {
+  if (!record?.derived?.route_signature) return null;
+  const state = loadState();
+  state.routes = state.routes ?? {};
+  const route = addToRoutes(state.routes, record);
+  saveState(state);
+  return route;
+}
+
+/**
+ * Take a deleted activity off its route; a route left without efforts goes
+ * away. Returns the route it was on, or null.
+ */
+export function removeFromRoute(activityId) {
+  const id = String(activityId);
+  const state = loadState();
+  const route = Object.values(state.routes ?? {}).find((r) => r.activity_ids.includes(id));
+  if (!route) return null;
+  route.activity_ids = route.activity_ids.filter((x) => x !== id);
+  if (!route.activity_ids.length) delete state.routes[route.id];
+  saveState(state);
+  return route;
+}
+
+/**
+ * Cluster every stored activity again, oldest first, from the signatures in
+ * the store (no Strava calls). Names of routes that still exist are kept.
+ */
+export function rebuildRoutes() {
+  const state = loadState();
+  const previous = state.routes ?? {};
+
+  const routes = {};
+  const records = queryStore({})
+    .filter((r) => r.derived?.route_signature)
+    .sort((a, b) => startIso(a).localeCompare(startIso(b)));
+  for (const r of records) addToRoutes(routes, r);
+  for (const route of Object.values(routes)) route.name = previous[route.id]?.name ?? null;
+
+  state.routes = routes;
+  saveState(state);
+  return Object.values(routes);
+}
+
+/**
+ * Recurring routes (2+ efforts) first, most efforts first.
+ */
+export function listRoutes({ all = false } = {}) {
+  return Object.values(loadState().routes ?? {})
+    .filter((r) => all || r.activity_ids.length > 1)
+    .sort((a, b) => b.activity_ids.length - a.activity_ids.length || a.id.localeCompare(b.id))
+    .map((r) => ({
+      id: r.id,
+      name: r.name,
+      type: r.type,
+      distance_m: r.signature.distance_m,
+      efforts: r.activity_ids.length,
+      first_date: r.first_date,
+    }));
+}
+
+/**
+ * Route an activity was put on, or null.
+ */
+export function activityRoute(activityId) {
+  const id = String(activityId);
+  return Object.values(loadState().routes ?? {}).find((r) => r.activity_ids.includes(id)) ?? null;
+}
+
+export function nameRoute(id, name) {
+  const state = loadState();
+  const route = state.routes?.[id];
+  if (!route) throw new Error(`Unknown route: ${id}`);
+  route.name = String(name ?? "").trim() || null;
+  saveState(state);
+  return route;
+}
+
+function effortSummary(r) {
+  const a = r.activity;
+  return {
+    activity_id: a.id,
+    name: a.name ?? null,
+    date: recordLocalDate(r),
+    start_time_local: String(a.start_date_local ?? "").slice(11, 16) || null,
+    moving_time_s: safeNum(a.moving_time_s),
+    hr_avg: safeNum(r.derived?.hr_avg_stream ?? a.average_heartrate),
+    power_avg: safeNum(r.derived?.power_avg ?? a.average_watts),
+    temp_avg_c: safeNum(r.derived?.temp_avg_c),
+  };
+}
+
+/**
+ * This activity against the efforts on its route up to it:
+ * { route_id, name, distance_m, efforts, rank, best, previous,
+ *   delta_vs_best_s, delta_vs_previous_s, history: [...fastest first] }
+ * Each effort carries its conditions (time of day, temperature, HR, power).
+ * Null when the route has no earlier effort.
+ */
+export function routeEfforts(record, route) {
+  if (!route || route.activity_ids.length < 2) return null;
+
+  const ids = new Set(route.activity_ids);
+  const efforts = queryStore({ type: record.activity.type })
+    .filter((r) => ids.has(String(r.activity.id)) && startIso(r) <= startIso(record))
+    .filter((r) => safeNum(r.activity.moving_time_s) != null);
+  if (efforts.length < 2) return null;
+
+  const byTime = [...efforts].sort((a, b) => a.activity.moving_time_s - b.activity.moving_time_s);
+  const earlier = efforts.filter((r) => String(r.activity.id) !== String(record.activity.id));
+  const best = [...earlier].sort((a, b) => a.activity.moving_time_s - b.activity.moving_time_s)[0];
+  const previous = [...earlier].sort((a, b) => startIso(b).localeCompare(startIso(a)))[0];
+  const time = record.activity.moving_time_s;
+  const rank = byTime.findIndex((r) => String(r.activity.id) === String(record.activity.id));
+
+  return {
+    route_id: route.id,
+    name: route.name,
+    distance_m: route.signature.distance_m,
+    efforts: efforts.length,
+    rank: rank >= 0 ? rank + 1 : null,
+    best: best ? effortSummary(best) : null,
+    previous: previous ? effortSummary(previous) : null,
+    delta_vs_best_s: best && time != null ? time - best.activity.moving_time_s : null,
+    delta_vs_previous_s: previous && time != null ? time - previous.activity.moving_time_s : null,
+    history: byTime.map(effortSummary),
+  };
+}
@@ -0,0 +1,111 @@
+/**
+ * Clock-based jobs (weekly / monthly digest, missed planned sessions),
+ * running next to polling
+ *
+ * Every tick each job is asked for the key of the run that is due "now" in
+ * the configured timezone (e.g. the local date). A key is run once; the last
+ * key per job is kept in state.scheduler so restarts don't repeat a run.
+ * Jobs run for every connected athlete, each with its own state.
+ */
+
+import { loadState, saveState } from "../storage/store.js";
+import { localParts, parseClock } from "../utils/dates.js";
+import { sendDigest } from "./digest.js";
+import { checkMissedSessions } from "./training-plan.js";
+import { listAthletes, runAsAthlete, DEFAULT_ATHLETE_KEY } from "../storage/athletes.js";
+
+const {
+  DIGEST_ENABLED = "true",
+  DIGEST_WEEKLY_DAY = "1",
+  DIGEST_TIME = "08:00",
+  DIGEST_TZ,
+  DIGEST_MONTHLY_ENABLED = "true",
+  PLAN_CHECK_ENABLED = "true",
+  PLAN_CHECK_TIME = "08:00",
+  SCHEDULER_TICK_SEC = "60",
+} = process.env;
+
+/**
+ * Due on the local day when `matchesDay` holds, any time after `clock`
+ * (so a bridge that was asleep at 08:00 still sends later that day).
+ */
+function dailyAt(clock, matchesDay) {
+  const at = parseClock(clock) ?? 8 * 60;
+  return (local) => (matchesDay(local) && local.hour * 60 + local.minute >= at ? local.date : null);
+}
+
+export function scheduledJobs() {
+  const jobs = [];
+
+  if (String(DIGEST_ENABLED).toLowerCase() === "true") {
+    const weekday = Math.min(7, Math.max(1, Number(DIGEST_WEEKLY_DAY) || 1));
+    jobs.push({
+      name: "digest:weekly",
+      due: dailyAt(DIGEST_TIME, (l) => l.weekday === weekday),
+      run: (date) => sendDigest("weekly", { date }),
+    });
+
+    if (String(DIGEST_MONTHLY_ENABLED).toLowerCase() === "true") {
+      jobs.push({
+        name: "digest:monthly",
+        due: dailyAt(DIGEST_TIME, (l) => l.day === 1),
+        run: (date) => sendDigest("monthly", { date }),
+      });
+    }
+  }
+
+  // Reports the previous day; a no-op for athletes without a plan
+  if (String(PLAN_CHECK_ENABLED).toLowerCase() === "true") {
+    jobs.push({
+      name: "plan:missed",
+      due: dailyAt(PLAN_CHECK_TIME, () => true),
+      run: (date) => checkMissedSessions(date),
+    });
+  }
+
+  return jobs;
+}
+
+let running = false;
+
+async function runJobsForAthlete(athlete, jobs, local) {
+  const who = athlete.key === DEFAULT_ATHLETE_KEY ? "" : ` [athlete ${athlete.key}]`;
+  for (const job of jobs) {
+    const key = job.due(local);
+    if (!key || loadState().scheduler?.[job.name] === key) continue;
+
+    try {
+      await job.run(key);
+      const state = loadState();
+      state.scheduler = { ...(state.scheduler ?? {}), [job.name]: key };
+      saveState(state);
+      console.log(`⏰ ${job.name} ran for ${key}${who}`);
+    } catch (e) {
+      console.error(`${job.name} error${who}:`, e?.response?.data || e.message);
+    }
+  }
+}
+
+export async function runDueJobs(jobs, now = new Date()) {
+  if (running) return;
+  running = true;
+  try {
+    const local = localParts(now, DIGEST_TZ);
+    for (const athlete of listAthletes()) {
+      await runAsAthlete(athlete, () => runJobsForAthlete(athlete, jobs, local));
+    }
+  } finally {
+    running = false;
+  }
+}
+
+export function startScheduler() {
+  const jobs = scheduledJobs();
+  if (!jobs.length) return;
+
+  const tickSec = Math.max(15, Number(SCHEDULER_TICK_SEC || "60"));
+  console.log(`⏰ Scheduler enabled: ${jobs.map((j) => j.name).join(", ")}`);
+
+  runDueJobs(jobs);
+  setInterval(() => runDueJobs(jobs), tickSec * 1000);
+}
@@ -0,0 +1,187 @@
+/**
+ * Similar past activities: score every session of the same activity type in
+ * the last SIMILAR_WINDOW_DAYS and keep the best SIMILAR_TOP_N
+ *
+ * Unlike pickComparableLastWeek (7–14 days back, ±20% distance), a match does
+ * not need to fall in a fixed window: sport type, distance, duration,
+ * climbing, workout structure and route (GPS signature, or just the start
+ * location on records stored without one) each add to a 0–1 score.
+ * Components a record cannot provide (older records without a start
+ * location, activities without distance) are left out of its weighted mean.
+ */
+
+import { queryStore } from "../storage/store.js";
+import { safeNum } from "../utils/formatters.js";
+import { addDays, recordLocalDate } from "../utils/dates.js";
+import { activityMode, avgPaceSecPerKm, avgSpeedKmh } from "../utils/stream-analysis.js";
+import { haversineM, isLatLng, signatureDeviationM } from "../utils/geo.js";
+
+const { SIMILAR_WINDOW_DAYS = "90", SIMILAR_TOP_N = "5", SIMILAR_MIN_SCORE = "0.6" } = process.env;
+
+const WEIGHTS = { sport_type: 1, distance: 3, duration: 2, elevation: 1.5, structure: 1.5, location: 1.5 };
+
+// Relative difference (of the larger value) at which a component drops to 0
+const RELATIVE_SPAN = { distance: 0.5, duration: 0.5 };
+// Climbing rate difference (m/km) at which the elevation component drops to 0
+const ELEVATION_SPAN_M_PER_KM = 20;
+// Start points closer than NEAR_M score 1, farther than FAR_M score 0
+const LOCATION_NEAR_M = 300;
+const LOCATION_FAR_M = 5000;
+// Same for the mean deviation between two route signatures
+const ROUTE_NEAR_M = 100;
+const ROUTE_FAR_M = 1500;
+
+const clamp01 = (x) => Math.max(0, Math.min(1, x));
+const round = (x, d = 100) => (x != null ? Math.round(x * d) / d : null);
+
+function relativeScore(a, b, span) {
+  if (safeNum(a) == null || safeNum(b) == null || Math.max(a, b) <= 0) return null;
+  return clamp01(1 - Math.abs(a - b) / Math.max(a, b) / span);
+}
+
+function gainPerKm(activity) {
+  const km = safeNum(activity.distance_m) / 1000;
+  const gain = safeNum(activity.total_elevation_gain_m);
+  return km > 0 && gain != null ? gain / km : null;
+}
+
+const between = (x, near, far) => clamp01(1 - (x - near) / (far - near));
+
+function locationScore(current, candidate) {
+  const deviation = signatureDeviationM(current.derived?.route_signature, candidate.derived?.route_signature);
+  if (deviation != null) return between(deviation, ROUTE_NEAR_M, ROUTE_FAR_M);
+
+  const a = current.activity.start_latlng;
+  const b = candidate.activity.start_latlng;
+  return isLatLng(a) && isLatLng(b) ? between(haversineM(a, b), LOCATION_NEAR_M, LOCATION_FAR_M) : null;
+}
+
+function structureScore(a, b) {
+  // Steady vs steady is a match; an interval session only matches another one,
+  // best with the same pattern ("6x800m") and then the same kind (distance / time reps)
+  if (!a && !b) return 1;
+  if (!a || !b) return 0;
+  if (a.pattern && a.pattern === b.pattern) return 1;
+  return a.kind === b.kind ? 0.6 : 0.3;
+}
+
+/**
+ * Per-component scores (0–1, null = not available) and the weighted total.
+ */
+export function similarityScore(current, candidate) {
+  const cur = current.activity;
+  const old = candidate.activity;
+
+  const curClimb = gainPerKm(cur);
+  const oldClimb = gainPerKm(old);
+
+  const components = {
+    sport_type: cur.sport_type && old.sport_type ? (cur.sport_type === old.sport_type ? 1 : 0.5) : null,
+    distance: relativeScore(cur.distance_m, old.distance_m, RELATIVE_SPAN.distance),
+    duration: relativeScore(cur.moving_time_s, old.moving_time_s, RELATIVE_SPAN.duration),
+    elevation: curClimb != null && oldClimb != null ? clamp01(1 - Math.abs(curClimb - oldClimb) / ELEVATION_SPAN_M_PER_KM) : null,
+    structure: structureScore(current.derived?.intervals, candidate.derived?.intervals),
+    location: locationScore(current, candidate),
+  };
+
+  let sum = 0;
+  let weight = 0;
+  for (const [key, value] of Object.entries(components)) {
+    if (value == null) continue;
+    sum += value * WEIGHTS[key];
+    weight += WEIGHTS[key];
+  }
+
+  return {
+    score: weight ? round(sum / weight) : 0,
+    components: Object.fromEntries(Object.entries(components).map(([k, v]) => [k, round(v)])),
+  };
+}
+
+/**
+ * Best matches for `record` among the same activity type in the window before
+ * it, most similar first: [{ record, score, components }].
+ */
+export function findSimilarActivities(
+  record,
+  {
+    windowDays = Number(SIMILAR_WINDOW_DAYS) || 90,
+    top = Number(SIMILAR_TOP_N) || 5,
+    minScore = Number(SIMILAR_MIN_SCORE) || 0,
+  } = {}
+) {
+  const day = recordLocalDate(record);
+  if (!day) return [];
+
+  const candidates = queryStore({
+    type: record.activity.type,
+    from: `${addDays(day, -windowDays)}T00:00:00.000Z`,
+    to: `${day}T23:59:59.999Z`,
+  }).filter((r) => {
+    if (String(r.activity.id) === String(record.activity.id)) return false;
+    // Same-day sessions only count when they started earlier
+    const a = String(r.activity.start_date ?? "");
+    const b = String(record.activity.start_date ?? "");
+    return !a || !b || a < b;
+  });
+
+  return candidates
+    .map((r) => ({ record: r, ...similarityScore(record, r) }))
+    .filter((m) => m.score >= minScore)
+    .sort((a, b) => b.score - a.score || String(b.record.activity.start_date).localeCompare(String(a.record.activity.start_date)))
+    .slice(0, top);
+}
+
+function sessionSummary(r) {
+  const a = r.activity;
+  const mode = activityMode(a.type, a.sport_type, a.distance_m);
+  return {
+    activity_id: a.id,
+    name: a.name ?? null,
+    date: recordLocalDate(r),
+    distance_m: safeNum(a.distance_m),
+    moving_time_s: safeNum(a.moving_time_s),
+    elevation_gain_m: safeNum(a.total_elevation_gain_m),
+    pace_sec_per_km: mode === "pace" || mode === "swim" ? round(r.derived?.gap_sec_per_km ?? avgPaceSecPerKm(a.distance_m, a.moving_time_s), 1) : null,
+    speed_kmh: mode !== "speed" ? null : round(avgSpeedKmh(a.distance_m, a.moving_time_s), 10),
+    hr_avg: safeNum(r.derived?.hr_avg_stream ?? a.average_heartrate),
+    power_avg: safeNum(r.derived?.power_avg ?? a.average_watts),
+    ef: safeNum(r.derived?.efficiency?.ef),
+  };
+}
+
+const TREND_METRICS = ["pace_sec_per_km", "speed_kmh", "hr_avg", "power_avg", "ef"];
+
+/**
+ * The matches as a trend ending at the current activity:
+ * { sessions: [...oldest first, current last], metrics: { <metric>:
+ *   { current, matches_avg, vs_avg_pct, first, vs_first_pct } } }
+ * Pace is grade-adjusted when the records have it.
+ */
+export function similarityTrend(record, matches) {
+  if (!matches?.length) return null;
+
+  const scoreById = new Map(matches.map((m) => [String(m.record.activity.id), m.score]));
+  const past = matches
+    .map((m) => m.record)
+    .sort((a, b) => String(a.activity.start_date ?? "").localeCompare(String(b.activity.start_date ?? "")))
+    .map((r) => ({ ...sessionSummary(r), score: scoreById.get(String(r.activity.id)) }));
+  const current = { ...sessionSummary(record), current: true };
+
+  const pct = (a, b) => (a != null && b ? round(((a - b) / b) * 100, 10) : null);
+  const metrics = {};
+  for (const key of TREND_METRICS) {
+    const values = past.map((s) => s[key]).filter((v) => v != null);
+    if (current[key] == null || !values.length) continue;
+    const avg = values.reduce((a, b) => a + b, 0) / values.length;
+    metrics[key] = {
+      current: current[key],
+      matches_avg: round(avg, key === "ef" ? 1000 : 10),
+      vs_avg_pct: pct(current[key], avg),
+      first: values[0],
+      vs_first_pct: pct(current[key], values[0]),
+    };
+  }
+
+  return { sessions: [...past, current], metrics };
+}
@@ -0,0 +1,106 @@
+/**
+ * Connect new athletes with Strava OAuth (GET /auth/strava → Strava consent
+ * → GET /auth/strava/callback)
+ *
+ * The connect link carries the Telegram chat the athlete wants messages in
+ * (and optionally their locale / units);
+ * it travels through Strava as a one-time `state` value kept in memory, so a
+ * link has to be completed within STATE_TTL_MS by the same process.
+ */
+
+import crypto from "crypto";
+import { exchangeAuthorizationCode, saveToken } from "../integrations/strava.js";
+import { upsertAthlete, runAsAthlete } from "../storage/athletes.js";
+import { loadState, saveState } from "../storage/store.js";
+import { escapeHtml } from "../utils/formatters.js";
+import { normalizeLocale, normalizeUnits, t } from "../i18n/index.js";
+import { queueTelegram, flushOutbox } from "./delivery.js";
+
+const { STRAVA_CLIENT_ID } = process.env;
+
+const STATE_TTL_MS = 15 * 60 * 1000;
+const SCOPE = "read,activity:read_all";
+
+const pending = new Map(); // state → { chatId, sessionKey, locale, units, expiresAt }
+
+function prunePending(now = Date.now()) {
+  for (const [key, p] of pending) if (p.expiresAt <= now) pending.delete(key);
+}
+
+/**
+ * Strava consent URL for a new athlete.
+ */
+export function connectUrl({ redirectUri, chatId, sessionKey, locale, units } = {}) {
+  if (!STRAVA_CLIENT_ID) throw new Error("Missing env var: STRAVA_CLIENT_ID");
+  prunePending();
+
+  const state = crypto.randomBytes(16).toString("hex");
+  pending.set(state, {
+    chatId: chatId || null,
+    sessionKey: sessionKey || null,
+    locale: normalizeLocale(locale),
+    units: normalizeUnits(units),
+    expiresAt: Date.now() + STATE_TTL_MS,
+  });
+
+  const params = new URLSearchParams({
+    client_id: STRAVA_CLIENT_ID,
+    redirect_uri: redirectUri,
+    response_type: "code",
+    approval_prompt: "auto",
+    scope: SCOPE,
+    state,
+  });
+  return `https://www.strava.com/oauth/authorize?${params}`;
+}
+
+/**
+ * Handle the OAuth callback query ({ code, state, scope, error }): exchange
+ * the code, register the athlete and store their token. Returns the athlete.
+ */
+export async function completeConnect({ code, state, scope, error } = {}) {
+  prunePending();
+  const link = pending.get(String(state ?? ""));
+  if (!link) throw new Error("Connect link expired or unknown, start again");
+  pending.delete(String(state));
+
+  if (error) throw new Error(`Strava authorization failed: ${error}`);
+  if (!code) throw new Error("Missing authorization code");
+  const granted = String(scope ?? "").split(",");
+  if (!granted.includes("activity:read_all") && !granted.includes("activity:read")) {
+    throw new Error("Activity access is required, approve the activity permission");
+  }
+
+  const { token, athlete: summary } = await exchangeAuthorizationCode(code);
+  if (!summary?.id) throw new Error("Strava did not return the athlete");
+
+  const athlete = upsertAthlete({
+    strava_id: summary.id,
+    name: [summary.firstname, summary.lastname].filter(Boolean).join(" ") || null,
+    telegram_chat_id: link.chatId,
+    clawdbot_session_key: link.sessionKey,
+    locale: link.locale,
+    units: link.units,
+    connected_at: new Date().toISOString(),
+  });
+
+  await runAsAthlete(athlete, async () => {
+    saveToken(token);
+
+    // Reconnecting after a deauthorization resumes webhook + polling
+    const st = loadState();
+    if (st.deauthorized) {
+      delete st.deauthorized;
+      saveState(st);
+    }
+
+    queueTelegram(
+      `athlete:${athlete.key}:connected:${Date.now()}`,
+      `<b>${t("connect.title")}</b>\n${t("connect.body", { name: escapeHtml(athlete.name ?? athlete.key) })}`
+    );
+    await flushOutbox();
+  });
+
+  console.log(`🔗 Strava athlete ${athlete.key} connected`);
+  return athlete;
+}
@@ -0,0 +1,222 @@
+/**
+ * Telegram bot commands: query the activity history from the chat
+ *
+ * Only messages from an athlete's chat are answered, as that athlete (the
+ * first one when several share a chat). Updates arrive either by long polling
+ * getUpdates (offset kept in the athletes registry) or through the
+ * /telegram/webhook route (see TELEGRAM_UPDATES_MODE).
+ */
+
+import { sendTelegram, getTelegramUpdates } from "../integrations/telegram.js";
+import { readStore, findStoredActivity, compareCurrentVsPrev } from "../storage/store.js";
+import { listAthletes, runAsAthlete, loadRegistry, saveRegistry } from "../storage/athletes.js";
+import {
+  formatStoredRecord,
+  formatDigest,
+  formatComparison,
+  formatPersonalBests,
+  formatTrainingLoad,
+  formatRoutes,
+  formatPlan,
+  formatProfile,
+} from "./message-formatter.js";
+import { buildDigest } from "./digest.js";
+import { trainingLoadOn, trainingLoadRange } from "./training-load.js";
+import { detectPersonalRecords, personalBests } from "./personal-records.js";
+import { handleActivityId } from "./activity-handler.js";
+import { efficiencyTrend } from "./efficiency.js";
+import { listRoutes, nameRoute, activityRoute, routeEfforts } from "./routes.js";
+import { plannedSessions } from "./training-plan.js";
+import { currentThresholds } from "./curves.js";
+import { profileOn, loadProfile } from "../storage/profile.js";
+import { addDays, localParts, recordLocalDate } from "../utils/dates.js";
+import { escapeHtml } from "../utils/formatters.js";
+import { t } from "../i18n/index.js";
+
+const { TELEGRAM_UPDATES_MODE = "off", DIGEST_TZ } = process.env;
+
+const today = () => localParts(new Date(), DIGEST_TZ).date;
+
+function latestRecord() {
+  return readStore(Number.MAX_SAFE_INTEGER)
+    .filter((r) => r?.activity?.id != null)
+    .sort((a, b) => String(a.activity.start_date ?? "").localeCompare(String(b.activity.start_date ?? "")))
+    .at(-1);
+}
+
+// "/help" line of a command: its syntax + the description in the athlete's language
+const helpLine = (c) => (c.help ? `${c.syntax()} — ${t(c.help)}` : c.syntax());
+const usage = (c) => escapeHtml(t("bot.usage", { usage: c.syntax() }));
+
+const commands = {
+  help: {
+    syntax: () => "/help",
+    run: () =>
+      `<b>${escapeHtml(t("bot.help_title"))}</b>\n${escapeHtml([...new Set(Object.values(commands))].map(helpLine).join("\n"))}`,
+  },
+
+  last: {
+    syntax: () => "/last",
+    help: "bot.help_last",
+    run: () => {
+      const record = latestRecord();
+      if (!record) return escapeHtml(t("bot.no_activities"));
+      const day = recordLocalDate(record);
+      return formatStoredRecord(record, {
+        fitness: day ? trainingLoadOn(day) : null,
+        prs: detectPersonalRecords(record),
+        efficiencyTrend: efficiencyTrend(record),
+        route: routeEfforts(record, activityRoute(record.activity.id)),
+      });
+    },
+  },
+
+  week: {
+    syntax: () => "/week",
+    help: "bot.help_week",
+    // A digest "sent tomorrow" covers the 7 days up to and including today
+    run: () => formatDigest(buildDigest("weekly", { date: addDays(today(), 1) })),
+  },
+
+  compare: {
+    syntax: () => "/compare <id1> <id2>",
+    help: "bot.help_compare",
+    run: ([idA, idB]) => {
+      if (!idA || !idB) return usage(commands.compare);
+      const a = findStoredActivity(idA);
+      const b = findStoredActivity(idB);
+      const missing = [!a && idA, !b && idB].filter(Boolean);
+      if (missing.length) return escapeHtml(t("bot.not_found", { ids: missing.join(", ") }));
+      return formatComparison(a, b, compareCurrentVsPrev(a, b));
+    },
+  },
+
+  pr: {
+    syntax: () => "/pr",
+    help: "bot.help_pr",
+    run: () => formatPersonalBests(["run", "ride"].map((kind) => personalBests(kind, today()))),
+  },
+
+  load: {
+    syntax: () => "/load",
+    help: "bot.help_load",
+    run: () => {
+      const day = today();
+      return formatTrainingLoad(trainingLoadOn(day), trainingLoadRange(addDays(day, -6), day));
+    },
+  },
+
+  plan: {
+    syntax: () => "/plan",
+    help: "bot.help_plan",
+    run: () => formatPlan(plannedSessions(today(), addDays(today(), 6))),
+  },
+
+  profile: {
+    syntax: () => "/profile",
+    help: "bot.help_profile",
+    run: () => {
+      const profile = profileOn(today());
+      return formatProfile(profile, currentThresholds(today(), profile), loadProfile().history);
+    },
+  },
+
+  routes: {
+    syntax: () => "/routes",
+    help: "bot.help_routes",
+    run: () => formatRoutes(listRoutes()),
+  },
+
+  route: {
+    syntax: () => t("bot.syntax_route"),
+    help: "bot.help_route",
+    run: ([id, ...name]) => {
+      if (!id || !name.length) return usage(commands.route);
+      const route = nameRoute(id, name.join(" "));
+      return escapeHtml(t("bot.route_named", { id: route.id, name: route.name }));
+    },
+  },
+
+  reprocess: {
+    syntax: () => "/reprocess <id>",
+    help: "bot.help_reprocess",
+    run: async ([id]) => {
+      if (!id || !/^\d+$/.test(id)) return usage(commands.reprocess);
+      // A fresh delivery key, so the outbox does not drop the new messages as duplicates
+      await handleActivityId(id, "telegram", { deliveryKey: `activity:${id}:reprocess:${Date.now()}` });
+      return escapeHtml(t("bot.reprocessed", { id }));
+    },
+  },
+};
+
+commands.start = commands.help;
+
+/**
+ * "/cmd@botname arg1 arg2" → { name, args } (null when not a command).
+ */
+export function parseCommand(text) {
+  const m = /^\/([a-z_]+)(?:@\S+)?(?:\s+(.*))?$/i.exec(String(text ?? "").trim());
+  if (!m) return null;
+  return { name: m[1].toLowerCase(), args: (m[2] ?? "").split(/\s+/).filter(Boolean) };
+}
+
+export async function handleTelegramUpdate(update) {
+  const message = update?.message;
+  if (!message?.text) return;
+
+  const chatId = String(message.chat?.id);
+  const athlete = listAthletes().find((a) => a.telegram_chat_id != null && String(a.telegram_chat_id) === chatId);
+  if (!athlete) return;
+
+  const parsed = parseCommand(message.text);
+  if (!parsed) return;
+
+  return runAsAthlete(athlete, () => runCommand(parsed, chatId));
+}
+
+async function runCommand(parsed, chatId) {
+  const command = commands[parsed.name];
+  let reply;
+  try {
+    reply = command ? await command.run(parsed.args) : escapeHtml(t("bot.unknown"));
+  } catch (e) {
+    console.error(`telegram /${parsed.name} error:`, e?.response?.data || e.message);
+    reply = escapeHtml(t("bot.error", { command: parsed.name, error: e.message }));
+  }
+
+  // Replies are answers to a live question, not durable notifications: no outbox
+  await sendTelegram(reply, chatId);
+}
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+async function pollUpdatesLoop() {
+  for (;;) {
+    try {
+      // The bot is shared by all athletes, so its offset lives in the registry
+      const offset = loadRegistry().telegram_offset ?? 0;
+      const updates = await getTelegramUpdates(offset);
+      for (const update of updates) {
+        // Advance first: a command that keeps failing must not be replayed forever
+        const registry = loadRegistry();
+        registry.telegram_offset = update.update_id + 1;
+        saveRegistry(registry);
+
+        try {
+          await handleTelegramUpdate(update);
+        } catch (e) {
+          console.error("telegram update error:", e?.response?.data || e.message);
+        }
+      }
+    } catch (e) {
+      console.error("telegram getUpdates error:", e?.response?.data || e.message);
+      await sleep(5000);
+    }
+  }
+}
+
+export function startTelegramCommands() {
+  if (TELEGRAM_UPDATES_MODE !== "polling") return;
+  console.log("🤖 Telegram commands enabled (long polling)");
+  pollUpdatesLoop();
+}
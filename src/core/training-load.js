@@ -0,0 +1,97 @@
+/**
+ * Fitness / fatigue model (CTL / ATL / TSB) over the stored activities
+ *
+ * Daily load = sum of `derived.load.value` of that day's activities.
+ * CTL (fitness) and ATL (fatigue) are exponentially weighted averages over
+ * 42 and 7 days; TSB (form) is yesterday's CTL − ATL. The daily series is
+ * kept in state.training_load.
+ */
+
+import { readStore, loadState, saveState } from "../storage/store.js";
+import { safeNum } from "../utils/formatters.js";
+import { addDays, recordLocalDate, localParts } from "../utils/dates.js";
+
+const {
+  CTL_DAYS = "42",
+  ATL_DAYS = "7",
+  TRAINING_LOAD_KEEP_DAYS = "365",
+  DIGEST_TZ,
+} = process.env;
+
+const round1 = (x) => Math.round(x * 10) / 10;
+
+export function dailyLoads(records) {
+  const byDay = {};
+  for (const r of records) {
+    const day = recordLocalDate(r);
+    const load = safeNum(r?.derived?.load?.value);
+    if (!day || load == null) continue;
+    byDay[day] = (byDay[day] ?? 0) + load;
+  }
+  return byDay;
+}
+
+/**
+ * Day-by-day { load, ctl, atl, tsb } from the first day with load up to `until`.
+ */
+export function computeFitnessSeries(records, { until } = {}) {
+  const loads = dailyLoads(records);
+  const days = Object.keys(loads).sort();
+  const lastDay = until ?? localParts(new Date(), DIGEST_TZ).date;
+  if (!days.length || days[0] > lastDay) return {};
+
+  const kCtl = 1 / Math.max(1, Number(CTL_DAYS) || 42);
+  const kAtl = 1 / Math.max(1, Number(ATL_DAYS) || 7);
+
+  const series = {};
+  let ctl = 0;
+  let atl = 0;
+  for (let day = days[0]; day <= lastDay; day = addDays(day, 1)) {
+    const load = loads[day] ?? 0;
+    const tsb = ctl - atl;
+    ctl += (load - ctl) * kCtl;
+    atl += (load - atl) * kAtl;
+    series[day] = { load: round1(load), ctl: round1(ctl), atl: round1(atl), tsb: round1(tsb) };
+  }
+  return series;
+}
+
+/**
+ * Recompute the series from the store and persist the most recent days.
+ * Returns the snapshot for `date` (defaults to today).
+ */
+export function updateTrainingLoad(date) {
+  const today = localParts(new Date(), DIGEST_TZ).date;
+  const until = date && date > today ? date : today;
+  const series = computeFitnessSeries(readStore(Number.MAX_SAFE_INTEGER), { until });
+
+  const keep = Math.max(1, Number(TRAINING_LOAD_KEEP_DAYS) || 365);
+  const days = Object.keys(series).sort().slice(-keep);
+
+  const state = loadState();
+  state.training_load = {
+    updated_at: new Date().toISOString(),
+    days: Object.fromEntries(days.map((d) => [d, series[d]])),
+  };
+  saveState(state);
+
+  return trainingLoadOn(date ?? today, state);
+}
+
+/**
+ * Stored snapshot for a local date: { date, load, ctl, atl, tsb } or null.
+ */
+export function trainingLoadOn(date, state = loadState()) {
+  const day = state.training_load?.days?.[date];
+  return day ? { date, ...day } : null;
+}
+
+/**
+ * Stored series between two local dates (inclusive), oldest first.
+ */
+export function trainingLoadRange(from, to, state = loadState()) {
+  return Object.entries(state.training_load?.days ?? {})
+    .filter(([d]) => d >= from && d <= to)
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([date, v]) => ({ date, ...v }));
+}
@@ -0,0 +1,267 @@
+/**
+ * Training plan: planned sessions in state.plan, matched against activities
+ *
+ * A plan file (JSON / CSV / ICS, see utils/plan-formats.js) is imported into
+ * the athlete's state. Each new activity is matched to a planned session of
+ * the same day and sport and scored (0–100) on:
+ * - volume: moving time vs planned duration (or distance when only that is set)
+ * - intensity: the average pace / power / HR vs the target range
+ * - time in zone: share of the moving time inside the target range
+ * Zone targets ("Z2") are resolved against the thresholds of the activity day.
+ * The result is stored as `derived.plan`; sessions nobody matched are reported
+ * by the daily missed-session check.
+ */
+
+import fs from "fs";
+import { loadState, saveState, queryStore } from "../storage/store.js";
+import { parsePlan } from "../utils/plan-formats.js";
+import { recordLocalDate, addDays, localParts } from "../utils/dates.js";
+import { safeNum } from "../utils/formatters.js";
+import { isRunType, zoneRange, timeInRange } from "../utils/stream-analysis.js";
+import { formatMissedSessions } from "./message-formatter.js";
+import { answerInstruction } from "../i18n/index.js";
+import { queueTelegram, queueClawdbot, flushOutbox } from "./delivery.js";
+
+const { DIGEST_TZ } = process.env;
+
+const WEIGHTS = { volume: 0.4, intensity: 0.3, time_in_zone: 0.3 };
+// Volume within ±10% of the plan is on target; 60% off scores 0
+const VOLUME_TOLERANCE = 0.1;
+const VOLUME_SPAN = 0.5;
+// Average intensity 15% outside the target range scores 0
+const INTENSITY_SPAN = 0.15;
+// Warm-up / cool-down are outside the target: 80% of the time in it is full marks
+const TIME_IN_ZONE_FULL_PCT = 80;
+
+const clamp = (x, lo = 0, hi = 100) => Math.max(lo, Math.min(hi, x));
+
+/**
+ * Import a plan file into the current athlete's state. Sessions on the days
+ * the file covers replace the ones stored for those days (`replace` drops the
+ * whole stored plan first). Returns { sessions, from, to }.
+ */
+export function importPlan(filePath, { format, replace = false } = {}) {
+  const sessions = parsePlan(fs.readFileSync(filePath, "utf8"), format);
+  if (!sessions.length) throw new Error(`No planned sessions found in ${filePath}`);
+
+  const days = new Set(sessions.map((s) => s.date));
+  const state = loadState();
+  const kept = replace ? [] : (state.plan?.sessions ?? []).filter((s) => !days.has(s.date));
+
+  const merged = [...kept, ...sessions].sort((a, b) => a.date.localeCompare(b.date));
+  const perDay = {};
+  state.plan = {
+    imported_at: new Date().toISOString(),
+    sessions: merged.map((s) => {
+      perDay[s.date] = (perDay[s.date] ?? 0) + 1;
+      return { ...s, id: `${s.date}#${perDay[s.date]}` };
+    }),
+  };
+  saveState(state);
+
+  const dates = [...days].sort();
+  return { sessions: sessions.length, from: dates[0], to: dates.at(-1) };
+}
+
+/**
+ * Planned sessions between two local dates (inclusive), oldest first.
+ */
+export function plannedSessions(from, to, state = loadState()) {
+  return (state.plan?.sessions ?? []).filter((s) => s.date >= from && s.date <= to);
+}
+
+function sportMatches(planned, activity) {
+  if (!planned) return true;
+  if (planned === activity.sport_type || planned === activity.type) return true;
+  if (planned === "Run") return isRunType(activity.type, activity.sport_type);
+  if (planned === "Ride") return /Ride$/.test(activity.sport_type ?? activity.type ?? "");
+  return false;
+}
+
+const closeness = (session, activity) => {
+  if (session.duration_s && activity.moving_time_s) return Math.abs(activity.moving_time_s / session.duration_s - 1);
+  if (session.distance_m && activity.distance_m) return Math.abs(activity.distance_m / session.distance_m - 1);
+  return 1;
+};
+
+/**
+ * That day's planned session for a record: same sport, not taken by another
+ * activity of the day, closest in duration / distance.
+ */
+export function matchPlannedSession(record, { state = loadState(), sameDay } = {}) {
+  const day = recordLocalDate(record);
+  if (!day) return null;
+
+  const candidates = plannedSessions(day, day, state).filter((s) => sportMatches(s.sport, record.activity));
+  if (!candidates.length) return null;
+
+  const others = (sameDay ?? recordsOn(day)).filter((r) => String(r.activity.id) !== String(record.activity.id));
+  const taken = new Set(others.map((r) => r.derived?.plan?.session?.id).filter(Boolean));
+  const free = candidates.filter((s) => !taken.has(s.id));
+
+  return free.sort((a, b) => closeness(a, record.activity) - closeness(b, record.activity))[0] ?? null;
+}
+
+function recordsOn(day) {
+  return queryStore({ from: `${addDays(day, -1)}T00:00:00.000Z`, to: `${addDays(day, 1)}T23:59:59.999Z` }).filter(
+    (r) => recordLocalDate(r) === day
+  );
+}
+
+/**
+ * Target as a range in stream units (speed m/s, W, bpm), or null when a zone
+ * cannot be resolved (no FTP / threshold pace / HR numbers in the profile).
+ */
+export function resolveTarget(target, thresholds) {
+  if (!target?.metric) return null;
+
+  if (target.zone != null) {
+    const bounds =
+      target.metric === "power"
+        ? thresholds?.power_zones_w
+        : target.metric === "pace"
+        ? thresholds?.pace_zones_ms
+        : thresholds?.hr_zones_bpm;
+    const range = zoneRange(bounds, target.zone);
+    return range ? { metric: target.metric, ...range } : null;
+  }
+
+  if (target.min == null || target.max == null) return null;
+  if (target.metric === "pace") return { metric: "pace", low: 1000 / target.max, high: 1000 / target.min };
+  return { metric: target.metric, low: target.min, high: target.max };
+}
+
+const STREAM_FOR = { pace: "velocity_smooth", power: "watts", hr: "heartrate" };
+
+function averageFor(metric, record) {
+  const a = record.activity;
+  const d = record.derived ?? {};
+  if (metric === "power") return safeNum(d.power_avg ?? a.average_watts);
+  if (metric === "hr") return safeNum(d.hr_avg_stream ?? a.average_heartrate);
+  // Pace: grade-adjusted when available, so hilly runs are judged fairly
+  const secPerKm = safeNum(d.gap_sec_per_km ?? d.avg_pace_sec_per_km);
+  if (secPerKm) return 1000 / secPerKm;
+  return a.moving_time_s > 0 && a.distance_m > 0 ? a.distance_m / a.moving_time_s : null;
+}
+
+function volumeScore(session, activity) {
+  const useTime = session.duration_s != null;
+  const planned = useTime ? session.duration_s : session.distance_m;
+  const actual = useTime ? safeNum(activity.moving_time_s) : safeNum(activity.distance_m);
+  if (!planned || actual == null) return null;
+  const ratio = actual / planned;
+  const off = Math.max(0, Math.abs(ratio - 1) - VOLUME_TOLERANCE);
+  return {
+    unit: useTime ? "s" : "m",
+    planned,
+    actual,
+    ratio: Math.round(ratio * 100) / 100,
+    score: Math.round(clamp(100 * (1 - off / VOLUME_SPAN))),
+  };
+}
+
+function intensityScore(range, record) {
+  const actual = averageFor(range.metric, record);
+  if (actual == null) return null;
+  const off = actual < range.low ? (range.low - actual) / range.low : actual > range.high ? (actual - range.high) / range.high : 0;
+  const round = (x) => (Number.isFinite(x) ? Math.round(x * 100) / 100 : null);
+  return {
+    metric: range.metric,
+    low: round(range.low),
+    high: round(range.high),
+    actual: round(actual),
+    score: Math.round(clamp(100 * (1 - off / INTENSITY_SPAN))),
+  };
+}
+
+/**
+ * Compliance of a record (built, not yet stored) with its planned session:
+ * { session, score, status: "done" | "partial" | "off", volume, intensity,
+ *   time_in_zone } — null when nothing was planned for it.
+ */
+export function planCompliance(record, streams, thresholds) {
+  const state = loadState();
+  if (!state.plan?.sessions?.length) return null;
+  const session = matchPlannedSession(record, { state });
+  if (!session) return null;
+
+  const range = resolveTarget(session.target, thresholds);
+  const volume = volumeScore(session, record.activity);
+  const intensity = range ? intensityScore(range, record) : null;
+  const inZone = range
+    ? timeInRange(streams?.[STREAM_FOR[range.metric]]?.data, streams?.time?.data, range.low, range.high)
+    : null;
+  const time_in_zone = inZone ? { ...inZone, score: Math.round(clamp((inZone.pct / TIME_IN_ZONE_FULL_PCT) * 100)) } : null;
+
+  const parts = { volume, intensity, time_in_zone };
+  let sum = 0;
+  let weight = 0;
+  for (const [key, part] of Object.entries(parts)) {
+    if (part?.score == null) continue;
+    sum += part.score * WEIGHTS[key];
+    weight += WEIGHTS[key];
+  }
+  const score = weight ? Math.round(sum / weight) : null;
+
+  return {
+    session,
+    score,
+    status: score == null ? null : score >= 85 ? "done" : score >= 60 ? "partial" : "off",
+    ...parts,
+  };
+}
+
+/**
+ * Sessions planned on `date` that no stored activity of that day covers.
+ * Activities stored before the plan was imported are matched on the fly.
+ */
+export function missedSessions(date, state = loadState()) {
+  const planned = plannedSessions(date, date, state);
+  if (!planned.length) return [];
+
+  const records = recordsOn(date);
+  const taken = new Set(records.map((r) => r.derived?.plan?.session?.id).filter(Boolean));
+  for (const [i, r] of records.entries()) {
+    if (r.derived?.plan?.session) continue;
+    const session = matchPlannedSession(r, { state, sameDay: records });
+    if (!session) continue;
+    taken.add(session.id);
+    // Later records of the day see this one as taken (a copy: stored records are shared)
+    records[i] = { ...r, derived: { ...(r.derived ?? {}), plan: { session } } };
+  }
+  return planned.filter((s) => !taken.has(s.id));
+}
+
+/**
+ * Daily check: report the sessions of the day before `date` that were not
+ * done (nothing is sent when all were).
+ */
+export async function checkMissedSessions(date = localParts(new Date(), DIGEST_TZ).date, { dryRun = false } = {}) {
+  const day = addDays(date, -1);
+  const missed = missedSessions(day);
+  if (!missed.length || dryRun) return { day, missed };
+
+  const html = formatMissedSessions(day, missed);
+  const id = `plan:missed:${day}`;
+  queueTelegram(`${id}:telegram`, html);
+  queueClawdbot(
+    `${id}:clawdbot`,
+    [
+      `Planned training sessions missed on ${day}.`,
+      "",
+      "DATA (json):",
+      "```json",
+      JSON.stringify({ day, missed, upcoming: plannedSessions(date, addDays(date, 6)) }, null, 2),
+      "```",
+      "",
+      "Task:",
+      "- Acknowledge the missed session(s) without guilt-tripping.",
+      "- Suggest whether to skip, move or merge them into the upcoming planned sessions (DATA.upcoming).",
+      "",
+      answerInstruction(),
+    ].join("\n"),
+    { day, missed }
+  );
+  await flushOutbox();
+  return { day, missed };
+}
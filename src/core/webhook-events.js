@@ -0,0 +1,82 @@
+/**
+ * Strava webhook event routing (create / update / delete / deauthorize)
+ *
+ * Events are handled as the athlete that owns them (`owner_id`).
+ */
+
+import { loadState, saveState, markProcessed } from "../storage/store.js";
+import { escapeHtml } from "../utils/formatters.js";
+import { t } from "../i18n/index.js";
+import { handleActivityId, handleActivityUpdate, handleActivityDelete } from "./activity-handler.js";
+import { queueTelegram, flushOutbox } from "./delivery.js";
+import { athleteForOwner, runAsAthlete } from "../storage/athletes.js";
+
+export function isDeauthorizeEvent(event) {
+  return event?.object_type === "athlete" && String(event?.updates?.authorized) === "false";
+}
+
+export async function handleWebhookEvent(event) {
+  const athlete = athleteForOwner(event?.owner_id);
+  if (!athlete) {
+    console.warn(`webhook ignored (athlete ${event?.owner_id} not connected): ${event?.object_type} ${event?.aspect_type}`);
+    return;
+  }
+  return runAsAthlete(athlete, () => handleAthleteEvent(event));
+}
+
+async function handleAthleteEvent(event) {
+  if (isDeauthorizeEvent(event)) return handleDeauthorize(event);
+  if (event?.object_type !== "activity") return;
+
+  const activityId = event.object_id;
+  if (!activityId) return;
+
+  const state = loadState();
+  if (state.deauthorized) {
+    console.warn(`webhook ignored (athlete deauthorized): ${event.aspect_type} ${activityId}`);
+    return;
+  }
+
+  switch (event.aspect_type) {
+    case "update":
+      await handleActivityUpdate(activityId, event.updates ?? {}, "webhook");
+      break;
+
+    case "delete":
+      handleActivityDelete(activityId, "webhook");
+      break;
+
+    case "create":
+    default:
+      // Idempotency using state
+      if (state.processed[String(activityId)]) return;
+      await handleActivityId(activityId, "webhook");
+      break;
+  }
+
+  // Re-read: the handlers above may take a while and polling shares the file.
+  const latest = loadState();
+  markProcessed(latest, activityId);
+  saveState(latest);
+}
+
+async function handleDeauthorize(event) {
+  const state = loadState();
+  state.deauthorized = {
+    athlete_id: event.owner_id ?? event.object_id ?? null,
+    at: Date.now(),
+  };
+  saveState(state);
+
+  console.warn(`⚠️ Strava athlete ${state.deauthorized.athlete_id} deauthorized the app; processing stopped`);
+
+  queueTelegram(
+    `athlete:${state.deauthorized.athlete_id}:deauthorized:${state.deauthorized.at}`,
+    [
+      `<b>${escapeHtml(t("connect.revoked_title"))}</b>`,
+      escapeHtml(t("connect.revoked_body", { athlete: state.deauthorized.athlete_id ?? t("common.na") })),
+      escapeHtml(t("connect.revoked_hint")),
+    ].join("\n")
+  );
+  await flushOutbox();
+}
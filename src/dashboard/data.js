@@ -0,0 +1,154 @@
+/**
+ * Dashboard queries over the current athlete's store, state and outbox
+ * (read-only: nothing here writes or fetches from Strava)
+ */
+
+import fs from "fs";
+import { queryStore, findStoredActivity } from "../storage/store.js";
+import { safeNum } from "../utils/formatters.js";
+import { addDays, localParts, recordLocalDate } from "../utils/dates.js";
+import { summarizeRecords } from "../core/digest.js";
+import { trainingLoadRange } from "../core/training-load.js";
+import { previewActivityPrompt } from "../core/activity-handler.js";
+import { athleteDeliveries } from "../core/delivery.js";
+import { chartFile } from "../charts/index.js";
+
+const { DIGEST_TZ } = process.env;
+
+export const DEFAULT_LIST_LIMIT = 50;
+
+export function today() {
+  return localParts(new Date(), DIGEST_TZ).date;
+}
+
+// Monday of the week `date` falls in
+export function weekStart(date) {
+  const weekday = new Date(`${date}T00:00:00Z`).getUTCDay() || 7;
+  return addDays(date, 1 - weekday);
+}
+
+function sportKey(record) {
+  return record.activity.sport_type ?? record.activity.type ?? "Other";
+}
+
+function recordsBetween(start, end) {
+  return queryStore({
+    from: `${start}T00:00:00.000Z`,
+    to: new Date(Date.parse(`${end}T00:00:00.000Z`) - 1),
+  }).filter((r) => {
+    const d = recordLocalDate(r);
+    return d != null && d >= start && d < end;
+  });
+}
+
+/**
+ * Sports present in the store, for the filter form.
+ */
+export function storedSports() {
+  return [...new Set(queryStore().map(sportKey))].sort();
+}
+
+/**
+ * Stored activities, newest first. `sport` matches sport_type or type, `q`
+ * the name (case-insensitive), `from` / `to` local dates (inclusive).
+ */
+export function listActivities({ sport, from, to, q, limit = DEFAULT_LIST_LIMIT } = {}) {
+  const needle = q ? String(q).toLowerCase() : null;
+  return queryStore()
+    .filter((r) => !sport || r.activity.sport_type === sport || r.activity.type === sport)
+    .filter((r) => {
+      if (!from && !to) return true;
+      const d = recordLocalDate(r);
+      return d != null && (!from || d >= from) && (!to || d <= to);
+    })
+    .filter((r) => !needle || String(r.activity.name ?? "").toLowerCase().includes(needle))
+    .reverse()
+    .slice(0, limit);
+}
+
+/**
+ * The last `weeks` calendar weeks (Monday to Sunday) up to `date`, oldest
+ * first: totals, training time per sport, summed load and the CTL / ATL /
+ * TSB of the week's last stored day.
+ */
+export function weeklyVolume(weeks = 12, date = today()) {
+  const first = addDays(weekStart(date), -7 * (weeks - 1));
+  const records = recordsBetween(first, addDays(first, 7 * weeks));
+  const load = trainingLoadRange(first, addDays(first, 7 * weeks - 1));
+
+  return Array.from({ length: weeks }, (_, i) => {
+    const start = addDays(first, 7 * i);
+    const end = addDays(start, 7);
+    const inWeek = records.filter((r) => {
+      const d = recordLocalDate(r);
+      return d >= start && d < end;
+    });
+
+    const bySport = {};
+    for (const r of inWeek) bySport[sportKey(r)] = (bySport[sportKey(r)] ?? 0) + (safeNum(r.activity.moving_time_s) ?? 0);
+
+    const fitness = load.filter((d) => d.date >= start && d.date < end).pop() ?? null;
+
+    return {
+      date: start,
+      totals: summarizeRecords(inWeek).totals,
+      by_sport: bySport,
+      load: inWeek.reduce((s, r) => s + (safeNum(r.derived?.load?.value) ?? 0), 0),
+      fitness,
+    };
+  });
+}
+
+/**
+ * Daily CTL / ATL / TSB of the last `days` days up to `date`.
+ */
+export function loadTrend(days = 90, date = today()) {
+  return trainingLoadRange(addDays(date, 1 - days), date);
+}
+
+/**
+ * Path of the chart saved when the activity was processed (SEND_CHARTS), or null.
+ */
+export function activityChartFile(activityId) {
+  const file = chartFile(`activity-${activityId}`);
+  return fs.existsSync(file) ? file : null;
+}
+
+/**
+ * Everything the activity page shows: the record, the data payload the
+ * coaching prompt gets (deltas vs last week's comparable included), the
+ * comparable record itself and the prompt. `prompt.sent` tells whether it is
+ * the one found in the outbox or a fresh render of today's template; the
+ * outbox keeps no copy once a prompt went out, so `prompt.delivery` then
+ * says when it did. Null when the activity is not stored.
+ */
+export function activityDetail(activityId) {
+  const record = findStoredActivity(activityId);
+  if (!record) return null;
+
+  let preview = null;
+  let previewError = null;
+  try {
+    preview = previewActivityPrompt(activityId);
+  } catch (e) {
+    previewError = e.message;
+  }
+
+  // Reprocessing queues under activity:<id>:reprocess:<ts>, so the newest wins
+  const delivered = athleteDeliveries(`activity:${activityId}:`).find((e) => e.channel === "clawdbot");
+  const prevId = preview?.data?.deltas_vs_last_week?.prev_activity_id;
+
+  const delivery = delivered ? { status: delivered.status, created_at: delivered.created_at, sent_at: delivered.sent_at } : null;
+
+  return {
+    record,
+    data: preview?.data ?? null,
+    comparable: prevId != null ? findStoredActivity(prevId) : null,
+    prompt: delivered?.payload
+      ? { sent: true, text: delivered.payload.message ?? "", status: delivered.status, created_at: delivered.created_at }
+      : preview
+      ? { sent: false, text: preview.prompt, template: preview.template, delivery }
+      : { sent: false, text: null, error: previewError, delivery },
+    chart: activityChartFile(activityId),
+  };
+}
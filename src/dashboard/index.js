@@ -0,0 +1,144 @@
+/**
+ * Read-only web dashboard (mounted under /dashboard when DASHBOARD_TOKEN is set)
+ *
+ * Pages: overview (CTL / ATL / TSB, weekly volume, recent activities), the
+ * activity list with filters and one page per activity (splits, zones,
+ * deltas vs last week, the coaching prompt). Everything is read from the
+ * store, state and outbox; nothing is fetched from Strava or sent.
+ *
+ * Auth: the token as `Authorization: Bearer <token>` or once as
+ * `?token=<token>`, which sets an HttpOnly cookie and redirects to the same
+ * page without it. `?athlete=<key>` picks a connected athlete (default: the
+ * .env one).
+ */
+
+import crypto from "crypto";
+import path from "path";
+import express from "express";
+import { listAthletes, findAthlete, runAsAthlete, currentAthlete, DEFAULT_ATHLETE_KEY } from "../storage/athletes.js";
+import { currentUnits } from "../i18n/index.js";
+import { renderVolumeChart, renderLoadChart } from "../charts/index.js";
+import {
+  DEFAULT_LIST_LIMIT,
+  storedSports,
+  listActivities,
+  weeklyVolume,
+  loadTrend,
+  activityDetail,
+  activityChartFile,
+} from "./data.js";
+import { overviewPage, activitiesPage, activityPage, notFoundPage } from "./pages.js";
+
+const COOKIE = "dashboard_token";
+const MAX_LIST_LIMIT = 1000;
+const OVERVIEW_WEEKS = 12;
+const OVERVIEW_RECENT = 10;
+const TREND_DAYS = 90;
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// Constant-time comparison of any two strings
+function sameToken(a, b) {
+  const digest = (s) => crypto.createHash("sha256").update(String(s ?? "")).digest();
+  return crypto.timingSafeEqual(digest(a), digest(b));
+}
+
+function cookieToken(req) {
+  for (const part of String(req.get("cookie") ?? "").split(";")) {
+    const [name, ...value] = part.trim().split("=");
+    if (name === COOKIE) return decodeURIComponent(value.join("="));
+  }
+  return null;
+}
+
+function requireToken(token) {
+  return (req, res, next) => {
+    res.set({ "Cache-Control": "no-store", "X-Robots-Tag": "noindex", "Referrer-Policy": "no-referrer" });
+
+    // A link with ?token= logs in once, then the cookie carries it
+    if (typeof req.query.token === "string") {
+      if (!sameToken(req.query.token, token)) return res.sendStatus(401);
+      const secure = req.secure ? "; Secure" : "";
+      res.set("Set-Cookie", `${COOKIE}=${encodeURIComponent(token)}; Path=${req.baseUrl}; HttpOnly; SameSite=Strict${secure}`);
+      const params = new URLSearchParams(req.query);
+      params.delete("token");
+      const qs = params.toString();
+      return res.redirect(`${req.baseUrl}${req.path === "/" ? "" : req.path}${qs ? `?${qs}` : ""}`);
+    }
+
+    const bearer = /^Bearer\s+(.+)$/i.exec(req.get("authorization") ?? "")?.[1];
+    const given = bearer ?? cookieToken(req);
+    if (given == null || !sameToken(given, token)) return res.sendStatus(401);
+    next();
+  };
+}
+
+// Runs the rest of the request as the athlete picked with ?athlete=
+function withAthlete(req, res, next) {
+  const key = typeof req.query.athlete === "string" && req.query.athlete ? req.query.athlete : DEFAULT_ATHLETE_KEY;
+  const athlete = key === DEFAULT_ATHLETE_KEY ? findAthlete(key) ?? currentAthlete() : findAthlete(key);
+  if (!athlete) return res.status(404).type("text").send(`Unknown athlete: ${key}`);
+  runAsAthlete(athlete, next);
+}
+
+function pageContext(req) {
+  return { base: req.baseUrl, athlete: currentAthlete(), athletes: listAthletes(), units: currentUnits() };
+}
+
+function sendPng(res, png) {
+  if (!png) return res.sendStatus(404);
+  res.type("png").send(png);
+}
+
+export function dashboardRouter({ token }) {
+  const router = express.Router();
+  router.use(requireToken(token));
+  router.use(withAthlete);
+
+  router.get("/", (req, res) => {
+    res.send(
+      overviewPage(pageContext(req), {
+        weeks: weeklyVolume(OVERVIEW_WEEKS),
+        trend: loadTrend(TREND_DAYS),
+        recent: listActivities({ limit: OVERVIEW_RECENT }),
+      })
+    );
+  });
+
+  router.get("/activities", (req, res) => {
+    const str = (v) => (typeof v === "string" && v.trim() ? v.trim() : null);
+    const filters = {
+      sport: str(req.query.sport),
+      from: DATE_RE.test(req.query.from) ? req.query.from : null,
+      to: DATE_RE.test(req.query.to) ? req.query.to : null,
+      q: str(req.query.q),
+      limit: str(req.query.limit),
+    };
+    const limit = Math.min(MAX_LIST_LIMIT, Math.max(1, Number(filters.limit) || DEFAULT_LIST_LIMIT));
+    res.send(
+      activitiesPage(pageContext(req), {
+        records: listActivities({ ...filters, limit }),
+        filters,
+        sports: storedSports(),
+        limit,
+      })
+    );
+  });
+
+  router.get("/activities/:id", (req, res) => {
+    const detail = activityDetail(req.params.id);
+    if (!detail) return res.status(404).send(notFoundPage(pageContext(req), `Activity not stored: ${req.params.id}`));
+    res.send(activityPage(pageContext(req), detail));
+  });
+
+  router.get("/activities/:id/chart.png", (req, res) => {
+    const file = activityChartFile(req.params.id);
+    if (!file) return res.sendStatus(404);
+    res.type("png").sendFile(path.resolve(file));
+  });
+
+  router.get("/charts/volume.png", (_req, res) => sendPng(res, renderVolumeChart(weeklyVolume(OVERVIEW_WEEKS))));
+  router.get("/charts/load.png", (_req, res) => sendPng(res, renderLoadChart(loadTrend(TREND_DAYS))));
+
+  return router;
+}
@@ -0,0 +1,326 @@
+/**
+ * Dashboard HTML: plain server-rendered pages, no scripts. Every value goes
+ * through escapeHtml; the Telegram summary (already Telegram HTML: <b>, <i>,
+ * <a>, <code> on escaped text) is embedded as is.
+ *
+ * `ctx`: { base, athlete, athletes, units } — `href()` keeps the selected
+ * athlete in every link.
+ */
+
+import {
+  escapeHtml,
+  secToHMS,
+  secToPace,
+  secToSwimPace,
+  fmtKmh,
+  fmtDistance,
+  fmtSwimDistance,
+  fmtElevation,
+  formatDateTimeLocal,
+} from "../utils/formatters.js";
+import { activityMode } from "../utils/stream-analysis.js";
+import { DEFAULT_ATHLETE_KEY } from "../storage/athletes.js";
+import { formatStoredRecord } from "../core/message-formatter.js";
+
+const STYLE = `
+body { font: 14px/1.45 system-ui, sans-serif; margin: 0; color: #222; background: #f6f7f9; }
+header { background: #1f6fb5; color: #fff; padding: 10px 20px; display: flex; gap: 20px; align-items: center; }
+header a { color: #fff; text-decoration: none; font-weight: 600; }
+header form { margin-left: auto; }
+main { padding: 16px 20px; max-width: 1100px; }
+section { background: #fff; border: 1px solid #e2e4e8; border-radius: 6px; padding: 12px 16px; margin-bottom: 16px; }
+h1 { font-size: 20px; margin: 4px 0 12px; } h2 { font-size: 16px; margin: 0 0 10px; }
+table { border-collapse: collapse; width: 100%; } th, td { padding: 4px 8px; border-bottom: 1px solid #eee; text-align: right; white-space: nowrap; }
+th:first-child, td:first-child, td.text { text-align: left; } th { color: #666; font-weight: 600; }
+img { max-width: 100%; } .muted { color: #888; } .cards { display: flex; gap: 12px; flex-wrap: wrap; }
+.card { background: #fff; border: 1px solid #e2e4e8; border-radius: 6px; padding: 8px 14px; min-width: 110px; }
+.card b { display: block; font-size: 20px; } .tg, pre { white-space: pre-wrap; word-break: break-word; }
+pre { background: #f3f4f6; padding: 10px; border-radius: 4px; font-size: 12px; max-height: 600px; overflow: auto; }
+form.filters { display: flex; gap: 8px; flex-wrap: wrap; align-items: end; } form.filters label { display: flex; flex-direction: column; font-size: 12px; color: #666; }
+`;
+
+const na = "—";
+
+export function href(ctx, path = "", params = {}) {
+  const query = new URLSearchParams();
+  if (ctx.athlete.key !== DEFAULT_ATHLETE_KEY) query.set("athlete", ctx.athlete.key);
+  for (const [k, v] of Object.entries(params)) if (v != null && v !== "") query.set(k, v);
+  const qs = query.toString();
+  return `${ctx.base}${path}${qs ? `?${qs}` : ""}`;
+}
+
+function athleteLabel(a) {
+  return a.key === DEFAULT_ATHLETE_KEY ? a.name ?? "default (.env)" : a.name ? `${a.name} (${a.key})` : a.key;
+}
+
+function layout(ctx, title, body) {
+  const picker =
+    ctx.athletes.length > 1
+      ? `<form method="get" action="${escapeHtml(ctx.base)}"><select name="athlete">${ctx.athletes
+          .map(
+            (a) =>
+              `<option value="${escapeHtml(a.key)}"${a.key === ctx.athlete.key ? " selected" : ""}>${escapeHtml(athleteLabel(a))}</option>`
+          )
+          .join("")}</select> <button>Switch</button></form>`
+      : "";
+
+  return `<!doctype html>
+<html lang="en"><head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="robots" content="noindex"><title>${escapeHtml(title)} · Strava bridge</title><style>${STYLE}</style></head>
+<body><header><a href="${escapeHtml(href(ctx))}">Overview</a><a href="${escapeHtml(href(ctx, "/activities"))}">Activities</a>${picker}</header>
+<main><h1>${escapeHtml(title)}</h1>
+${body}
+</main></body></html>`;
+}
+
+function table(headers, rows) {
+  if (!rows.length) return `<p class="muted">Nothing here yet.</p>`;
+  return `<table><thead><tr>${headers.map((h) => `<th>${escapeHtml(h)}</th>`).join("")}</tr></thead><tbody>
+${rows.map((cells) => `<tr>${cells.map((c) => (c?.html != null ? `<td class="text">${c.html}</td>` : `<td>${escapeHtml(c ?? na)}</td>`)).join("")}</tr>`).join("\n")}
+</tbody></table>`;
+}
+
+const num = (v, digits = 0) => (Number.isFinite(v) ? v.toFixed(digits) : na);
+const signed = (v, fmt) => (Number.isFinite(v) ? `${v > 0 ? "+" : v < 0 ? "−" : "±"}${fmt(Math.abs(v))}` : na);
+// pctDiff() values are fractions
+const pct = (v) => (Number.isFinite(v) ? `${v > 0 ? "+" : ""}${(v * 100).toFixed(1)}%` : na);
+
+function recordMode(record) {
+  const a = record.activity;
+  return record.derived?.mode ?? activityMode(a.type, a.sport_type, a.distance_m);
+}
+
+function distanceText(record, units) {
+  const mode = recordMode(record);
+  if (mode === "time") return na;
+  return mode === "swim" ? fmtSwimDistance(record.activity.distance_m, units) : fmtDistance(record.activity.distance_m, units);
+}
+
+function paceOrSpeed(record, units) {
+  const a = record.activity;
+  const d = record.derived ?? {};
+  const mode = recordMode(record);
+  const secPerKm = d.avg_pace_sec_per_km ?? (a.distance_m > 0 && a.moving_time_s > 0 ? a.moving_time_s / (a.distance_m / 1000) : null);
+  if (mode === "pace") return secToPace(secPerKm ?? NaN, units);
+  if (mode === "swim") return secToSwimPace(secPerKm != null ? secPerKm / 10 : NaN, units);
+  if (mode === "speed") return fmtKmh(d.speed_avg_kmh ?? (a.average_speed_ms != null ? a.average_speed_ms * 3.6 : NaN), units);
+  return na;
+}
+
+function activityLink(ctx, record) {
+  const a = record.activity;
+  return { html: `<a href="${escapeHtml(href(ctx, `/activities/${encodeURIComponent(a.id)}`))}">${escapeHtml(a.name ?? a.id)}</a>` };
+}
+
+function activityRows(ctx, records) {
+  return records.map((r) => {
+    const a = r.activity;
+    const d = r.derived ?? {};
+    return [
+      formatDateTimeLocal(a.start_date_local),
+      activityLink(ctx, r),
+      a.sport_type ?? a.type,
+      distanceText(r, ctx.units),
+      secToHMS(a.moving_time_s),
+      paceOrSpeed(r, ctx.units),
+      d.hr_avg_stream ?? (Number.isFinite(a.average_heartrate) ? Math.round(a.average_heartrate) : null),
+      Number.isFinite(d.load?.value) ? `${num(d.load.value)} ${d.load.method.toUpperCase()}` : null,
+    ];
+  });
+}
+
+const ACTIVITY_HEADERS = ["Date", "Name", "Sport", "Distance", "Moving", "Pace / speed", "HR", "Load"];
+
+function fitnessCards(day) {
+  if (!day) return `<p class="muted">No training load stored yet.</p>`;
+  const card = (label, v) => `<div class="card"><span class="muted">${label}</span><b>${escapeHtml(num(v))}</b></div>`;
+  return `<div class="cards">${card("Fitness (CTL)", day.ctl)}${card("Fatigue (ATL)", day.atl)}${card("Form (TSB)", day.tsb)}
+<div class="card"><span class="muted">As of</span><b>${escapeHtml(day.date)}</b></div></div>`;
+}
+
+/**
+ * Overview: current CTL / ATL / TSB, weekly volume, load trend and the
+ * latest activities.
+ */
+export function overviewPage(ctx, { weeks, trend, recent }) {
+  const rows = [...weeks].reverse().map((w) => [
+    w.date,
+    w.totals.sessions,
+    fmtDistance(w.totals.distance_m, ctx.units, 1),
+    secToHMS(w.totals.moving_time_s),
+    fmtElevation(w.totals.elevation_gain_m, ctx.units),
+    num(w.load),
+    num(w.fitness?.ctl),
+    num(w.fitness?.atl),
+    num(w.fitness?.tsb),
+  ]);
+  const hasVolume = weeks.some((w) => w.totals.sessions > 0);
+
+  return layout(
+    ctx,
+    ctx.athlete.name ?? "Overview",
+    `<section><h2>Training load</h2>${fitnessCards(trend[trend.length - 1])}
+${trend.length >= 2 ? `<p><img alt="CTL / ATL trend" src="${escapeHtml(href(ctx, "/charts/load.png"))}"></p>` : ""}</section>
+<section><h2>Weekly volume</h2>
+${hasVolume ? `<p><img alt="Weekly volume" src="${escapeHtml(href(ctx, "/charts/volume.png"))}"></p>` : ""}
+${table(["Week of", "Sessions", "Distance", "Moving", "Elevation", "Load", "CTL", "ATL", "TSB"], rows)}</section>
+<section><h2>Recent activities</h2>${table(ACTIVITY_HEADERS, activityRows(ctx, recent))}
+<p><a href="${escapeHtml(href(ctx, "/activities"))}">All activities →</a></p></section>`
+  );
+}
+
+/**
+ * Activity list with the filter form.
+ */
+export function activitiesPage(ctx, { records, filters, sports, limit }) {
+  const input = (name, label, type = "text") =>
+    `<label>${label}<input type="${type}" name="${name}" value="${escapeHtml(filters[name] ?? "")}"></label>`;
+  const sportOptions = ["", ...sports]
+    .map((s) => `<option value="${escapeHtml(s)}"${s === (filters.sport ?? "") ? " selected" : ""}>${escapeHtml(s || "All")}</option>`)
+    .join("");
+  const hidden = ctx.athlete.key !== DEFAULT_ATHLETE_KEY ? `<input type="hidden" name="athlete" value="${escapeHtml(ctx.athlete.key)}">` : "";
+
+  return layout(
+    ctx,
+    "Activities",
+    `<section><form class="filters" method="get" action="${escapeHtml(`${ctx.base}/activities`)}">${hidden}
+<label>Sport<select name="sport">${sportOptions}</select></label>${input("from", "From", "date")}${input("to", "To", "date")}
+${input("q", "Name contains")}${input("limit", "Limit", "number")}<button>Filter</button></form></section>
+<section><p class="muted">${records.length} activit${records.length === 1 ? "y" : "ies"}${records.length >= limit ? ` (first ${limit}, newest first)` : ""}</p>
+${table(ACTIVITY_HEADERS, activityRows(ctx, records))}</section>`
+  );
+}
+
+function splitRows(splits, units) {
+  return splits.map((s) => [
+    s.km,
+    s.mode === "swim" ? fmtSwimDistance(s.meters, units) : fmtDistance(s.meters, units),
+    secToHMS(s.seconds),
+    s.mode === "pace"
+      ? secToPace(s.secPerKm ?? NaN, units)
+      : s.mode === "swim"
+      ? secToSwimPace(s.secPerKm != null ? s.secPerKm / 10 : NaN, units)
+      : fmtKmh(s.speedKmh ?? NaN, units),
+    s.gapSecPerKm != null ? secToPace(s.gapSecPerKm, units) : null,
+    Number.isFinite(s.elevGain) ? `+${fmtElevation(s.elevGain, units)}` : null,
+    s.hrAvg,
+    s.powerAvg,
+  ]);
+}
+
+// Zone bounds are upper limits: HR in bpm, power in W, pace as speed in m/s
+function zoneRows(kind, zone, units) {
+  const bound = (b) =>
+    kind === "pace" ? secToPace(b > 0 ? 1000 / b : NaN, units) : `${Math.round(b)}${kind === "power" ? " W" : ""}`;
+  const total = zone.seconds.reduce((s, x) => s + x, 0) || 1;
+  const b = zone.bounds ?? [];
+  return zone.seconds.map((sec, i) => [
+    `Z${i + 1}`,
+    i === 0 ? `< ${bound(b[0])}` : i >= b.length ? `≥ ${bound(b[b.length - 1])}` : `${bound(b[i - 1])} – ${bound(b[i])}`,
+    secToHMS(sec),
+    `${((sec / total) * 100).toFixed(0)}%`,
+  ]);
+}
+
+function deltaRows(delta, comparison, units) {
+  const mode = comparison.mode;
+  const dist = (m) => (mode === "swim" ? fmtSwimDistance(m, units) : fmtDistance(m, units));
+  const rows = [
+    mode === "time" ? null : ["Distance", signed(delta.distance_m, dist), null],
+    ["Moving time", signed(delta.moving_time_s, secToHMS), null],
+    mode === "time" || mode === "swim" ? null : ["Elevation", signed(delta.elevation_gain_m, (m) => fmtElevation(m, units)), null],
+    mode === "pace"
+      ? [comparison.pace_basis === "grade_adjusted" ? "GAP" : "Pace", signed(delta.avg_pace_sec_per_km, (v) => secToPace(v, units)), pct(delta.avg_pace_pct)]
+      : mode === "swim"
+      ? ["Pace", signed(delta.avg_pace_sec_per_km, (v) => secToSwimPace(v / 10, units)), pct(delta.avg_pace_pct)]
+      : mode === "speed"
+      ? ["Speed", signed(delta.avg_speed_kmh, (v) => fmtKmh(v, units)), pct(delta.avg_speed_pct)]
+      : null,
+    ["HR avg", signed(delta.hr_avg, (v) => `${Math.round(v)} bpm`), null],
+    ["HR max", signed(delta.hr_max, (v) => `${Math.round(v)} bpm`), null],
+    ["Power avg", signed(delta.power_avg_w, (v) => `${Math.round(v)} W`), pct(delta.power_avg_pct)],
+    ["Efficiency factor", signed(delta.efficiency_factor, (v) => v.toFixed(2)), pct(delta.efficiency_factor_pct)],
+    ["Decoupling", signed(delta.decoupling_pct, (v) => `${v.toFixed(1)} pts`), null],
+  ];
+  return rows.filter((r) => r && r[1] !== na);
+}
+
+/**
+ * One activity: summary, chart, splits, zones, deltas vs last week's
+ * comparable and the coaching prompt.
+ */
+export function activityPage(ctx, { record, data, comparable, prompt, chart }) {
+  const a = record.activity;
+  const d = record.derived ?? {};
+  const units = ctx.units;
+  const sections = [];
+
+  const facts = [
+    ["Date", formatDateTimeLocal(a.start_date_local)],
+    ["Sport", a.sport_type ?? a.type],
+    ["Distance", distanceText(record, units)],
+    ["Moving / elapsed", `${secToHMS(a.moving_time_s)} / ${secToHMS(a.elapsed_time_s)}`],
+    ["Pace / speed", paceOrSpeed(record, units)],
+    ["Elevation", fmtElevation(a.total_elevation_gain_m, units)],
+    ["HR avg / max", `${d.hr_avg_stream ?? na} / ${d.hr_max_stream ?? na}`],
+    ["Load", Number.isFinite(d.load?.value) ? `${num(d.load.value, 1)} ${d.load.method.toUpperCase()}` : na],
+    ["Source", `${record.source ?? na}, stored ${record.stored_at ?? na}`],
+  ];
+  sections.push(`<section><h2>Summary</h2>${table(["", ""], facts.map(([k, v]) => [k, { html: escapeHtml(v) }]))}
+<h2 style="margin-top:14px">Telegram summary</h2><div class="tg">${formatStoredRecord(record)}</div>
+<p><a href="https://www.strava.com/activities/${encodeURIComponent(a.id)}">Open on Strava</a></p></section>`);
+
+  if (chart) {
+    sections.push(`<section><h2>Chart</h2><img alt="Activity chart" src="${escapeHtml(href(ctx, `/activities/${encodeURIComponent(a.id)}/chart.png`))}"></section>`);
+  }
+
+  const splits = (units === "imperial" ? d.splits_mile : null) ?? d.splits_1km ?? [];
+  if (splits.length) {
+    sections.push(
+      `<section><h2>Splits</h2>${table(["#", "Distance", "Time", "Pace / speed", "GAP", "Climb", "HR", "Power"], splitRows(splits, units))}</section>`
+    );
+  }
+
+  const zones = Object.entries(d.zones ?? {}).filter(([, z]) => z?.seconds?.some((s) => s > 0));
+  if (zones.length) {
+    const titles = { hr: "Heart rate", power: "Power", pace: "Pace" };
+    sections.push(
+      `<section><h2>Time in zone</h2>${zones
+        .map(([kind, z]) => `<h3>${titles[kind] ?? kind}${z.model ? ` <span class="muted">(${escapeHtml(z.model)})</span>` : ""}</h3>${table(["Zone", "Range", "Time", "Share"], zoneRows(kind, z, units))}`)
+        .join("")}</section>`
+    );
+  }
+
+  const comparison = data?.deltas_vs_last_week;
+  sections.push(
+    `<section><h2>vs last week's comparable</h2>${
+      comparison?.delta
+        ? `<p>Compared with ${comparable ? activityLink(ctx, comparable).html : escapeHtml(comparison.prev_activity_id)} <span class="muted">(${escapeHtml(
+            formatDateTimeLocal(comparison.prev_start_date_local)
+          )})</span></p>${table(["", "Delta", "%"], deltaRows(comparison.delta, comparison, units))}`
+        : `<p class="muted">No comparable activity the week before.</p>`
+    }</section>`
+  );
+
+  const sentOn = (at) => (at ? ` on ${escapeHtml(new Date(at).toISOString())}` : "");
+  const promptNote = prompt.sent
+    ? `Sent to Clawdbot${sentOn(prompt.created_at)} (delivery ${escapeHtml(prompt.status)}).`
+    : `${
+        prompt.delivery
+          ? `Sent to Clawdbot${sentOn(prompt.delivery.sent_at ?? prompt.delivery.created_at)}; the outbox keeps no copy of sent prompts.`
+          : "Not found in the outbox."
+      } ${
+        prompt.text != null
+          ? `Rendered now with template <code>${escapeHtml(prompt.template?.name ?? "")}</code> (${escapeHtml(prompt.template?.source ?? "")}).`
+          : `Could not render the prompt: ${escapeHtml(prompt.error ?? "unknown error")}`
+      }`;
+  sections.push(`<section><h2>Coaching prompt</h2><p class="muted">${promptNote}</p>${prompt.text != null ? `<pre>${escapeHtml(prompt.text)}</pre>` : ""}</section>`);
+
+  sections.push(`<section><details><summary>Stored record (JSON)</summary><pre>${escapeHtml(JSON.stringify(record, null, 2))}</pre></details></section>`);
+
+  return layout(ctx, a.name ?? String(a.id), sections.join("\n"));
+}
+
+export function notFoundPage(ctx, message) {
+  return layout(ctx, "Not found", `<section><p>${escapeHtml(message)}</p></section>`);
+}
@@ -0,0 +1,66 @@
+/**
+ * Locale + unit system of the messages sent to an athlete
+ *
+ * LOCALE (pt-BR | en | es) and UNITS (metric | imperial) apply to the whole
+ * deployment; a connected athlete's `locale` / `units` in the registry win
+ * (`node index.js athletes set <id> --locale en --units imperial`).
+ * Catalogs are flat key → string maps with {param} placeholders; keys missing
+ * in a catalog fall back to pt-BR.
+ */
+
+import { currentAthlete } from "../storage/athletes.js";
+import ptBR from "./locales/pt-BR.js";
+import en from "./locales/en.js";
+import es from "./locales/es.js";
+
+const { LOCALE = "pt-BR", UNITS = "metric" } = process.env;
+
+const CATALOGS = { "pt-BR": ptBR, en, es };
+const DEFAULT_LOCALE = "pt-BR";
+
+export const LOCALES = Object.keys(CATALOGS);
+export const UNIT_SYSTEMS = ["metric", "imperial"];
+
+/**
+ * "pt", "pt_br", "en-US", "ES" → a catalog we have, or null.
+ */
+export function normalizeLocale(value) {
+  const raw = String(value ?? "").trim().replace("_", "-").toLowerCase();
+  if (!raw) return null;
+  const exact = LOCALES.find((l) => l.toLowerCase() === raw);
+  if (exact) return exact;
+  const lang = raw.split("-")[0];
+  return LOCALES.find((l) => l.toLowerCase().split("-")[0] === lang) ?? null;
+}
+
+export function normalizeUnits(value) {
+  const raw = String(value ?? "").trim().toLowerCase();
+  return UNIT_SYSTEMS.includes(raw) ? raw : null;
+}
+
+export function currentLocale() {
+  return normalizeLocale(currentAthlete().locale) ?? normalizeLocale(LOCALE) ?? DEFAULT_LOCALE;
+}
+
+export function currentUnits() {
+  return normalizeUnits(currentAthlete().units) ?? normalizeUnits(UNITS) ?? "metric";
+}
+
+/**
+ * Message `key` in the current locale, with {param} placeholders filled.
+ */
+export function t(key, params = {}, locale = currentLocale()) {
+  const text = CATALOGS[locale]?.[key] ?? CATALOGS[DEFAULT_LOCALE][key] ?? key;
+  return text.replace(/{(\w+)}/g, (m, name) => (params[name] != null ? String(params[name]) : m));
+}
+
+/**
+ * Closing line of the Clawdbot prompts, so the coach answers in the athlete's
+ * language and units (the DATA payloads stay metric).
+ */
+export function answerInstruction() {
+  const imperial = currentUnits() === "imperial";
+  return `Answer in ${t("language.name")}${
+    imperial ? ", using imperial units (mi, min/mi, ft, mph — DATA is metric, convert it)" : ""
+  }.`;
+}
@@ -0,0 +1,179 @@
+/**
+ * en
+ */
+
+export default {
+  "language.name": "English",
+
+  "connect.title": "✅ Strava connected",
+  "connect.body": "{name}: new activities will show up here.",
+  "connect.revoked_title": "⚠️ Strava disconnected",
+  "connect.revoked_body": "Athlete {athlete} revoked the app's access.",
+  "connect.revoked_hint": "Webhook and polling are paused. To resume, connect again through the /auth/strava link (or generate a new refresh token and remove \"deauthorized\" from state.json).",
+
+  "common.na": "n/a",
+
+  "activity.title": "🏁 New Strava activity",
+  "activity.time": "⏱️ Moving: {moving} | Elapsed: {elapsed}",
+  "activity.pace": "⚡ Avg pace: {pace}",
+  "activity.speed": "🚴 Speed: {avg} avg | {max} max",
+  "activity.hr": "❤️ HR: {avg} avg | {max} max",
+  "activity.elevation": "⬆️ Elevation: {elevation}",
+  "activity.power": "⚡ Power: {watts} W avg",
+  "activity.cadence": "🦵 Cadence: {cadence}",
+  "activity.load": "📈 Load: {parts}",
+  "activity.ef_trend": "({change}% vs {weeks} wk)",
+  "activity.decoupling": "Decoupling {pct}%",
+  "activity.splits": "📌 Splits (≈1{unit}) — {metric}",
+  "activity.metric_pace": "Pace",
+  "activity.metric_speed": "Speed",
+  "activity.split_hr": "HR",
+  "activity.best_split": "🏁 Best {unit}:",
+  "activity.worst_split": "🐢 Worst {unit}:",
+  "activity.insight": "🧠 Insight",
+  "activity.hr_pct_max": "{pct}% max HR",
+  "activity.hr_efforts": "{count} effort blocks ({time})",
+
+  "insight.even": "Even pacing",
+  "insight.negative": "Negative split ✅",
+  "insight.fade": "Fade ⚠️ (pace dropped)",
+  "insight.reps_fade": "Fade ⚠️ across the reps (−{fade}% first to last)",
+  "insight.reps_progressive": "Progressive reps ✅",
+  "insight.reps_consistent": "Consistent reps ✅",
+  "insight.swolf_even": "Steady SWOLF ✅",
+  "insight.swolf_better": "SWOLF improved through the session ✅",
+  "insight.swolf_fade": "SWOLF rose at the end ⚠️ (technique faded with fatigue)",
+  "insight.session_light": "Light session",
+  "insight.session_moderate": "Moderate session",
+  "insight.session_hard": "Hard session ⚠️ (counts as a hard day)",
+
+  "swim.title_pool": "🏊 Sets — {pool} pool",
+  "swim.title": "🏊 Laps",
+  "swim.row": "{distance} in {time}",
+  "swim.rest": "+{time} rest",
+  "swim.lengths": "{count} lengths",
+  "swim.swolf": "Avg SWOLF {swolf}",
+  "swim.strokes": "{strokes} strokes/length",
+  "swim.rest_total": "Rest {time}",
+
+  "intervals.title": "📌 Intervals — {pattern}",
+  "intervals.distance": "{meters} m in {time}",
+  "intervals.recovery": "Avg recovery: {time}",
+
+  "weather.device": "Device {avg}",
+  "weather.max": "(max {max})",
+  "weather.feels_like": "feels like {temp}",
+  "weather.wind": "wind {speed}",
+  "weather.humidity": "humidity {pct}%",
+  "weather.clear": "Clear",
+  "weather.cloudy": "Cloudy",
+  "weather.fog": "Fog",
+  "weather.drizzle": "Drizzle",
+  "weather.rain": "Rain",
+  "weather.snow": "Snow",
+  "weather.thunderstorm": "Thunderstorm",
+  "weather.differ": "🌦️ Different conditions: {reasons}",
+  "weather.hotter": "hotter",
+  "weather.colder": "colder",
+  "weather.windier": "windier",
+  "weather.calmer": "less wind",
+  "weather.wet": "rain",
+  "weather.dry": "dry",
+
+  "route.line": "🗺️ Route {name}: {parts}",
+  "route.rank": "#{rank} of {efforts}",
+  "route.vs_best": "{delta} vs best",
+  "route.vs_previous": "{delta} vs last",
+  "route.list_title": "🗺️ Routes",
+  "route.unnamed": "(unnamed)",
+  "route.name_hint": "To name one: {usage}",
+  "route.empty": "No recurring routes yet.",
+
+  "plan.line": "📋 Plan: {session}",
+  "plan.volume": "volume {score}",
+  "plan.intensity": "intensity {score}",
+  "plan.in_zone": "in zone {pct}%",
+  "plan.title": "📋 Plan",
+  "plan.missed": "📋 Missed session — {day}",
+  "plan.empty": "No sessions planned for the next few days.",
+
+  "prs.title": "🏆 Records",
+  "prs.all_time": "🥇 PR",
+  "prs.recent": "🥈 Best in {days}d",
+  "prs.before": "(was {value})",
+  "prs.run": "🏃 Run",
+  "prs.ride": "🚴 Ride",
+  "prs.empty": "No efforts recorded yet.",
+
+  "zones.hr": "❤️ HR zones",
+  "zones.power": "⚡ Power zones",
+  "zones.pace": "🏃 Pace zones",
+  "zones.other": "⚡ Zones",
+  "zones.percent_max": "% max HR",
+
+  "update.title": "✏️ Activity corrected on Strava",
+  "update.private": "Private",
+  "update.public": "Public",
+  "update.refreshed": "Data updated on Strava",
+
+  "digest.weekly": "📊 Weekly summary",
+  "digest.monthly": "📊 Monthly summary",
+  "digest.sessions": "{count} sessions",
+  "digest.longest": "🏔️ Longest:",
+  "digest.fastest": "🚀 Fastest:",
+  "digest.empty": "No activities in this period.",
+
+  "compare.title": "⚖️ Comparison",
+  "compare.distance": "📏 Distance: {delta}",
+  "compare.moving": "⏱️ Moving: {delta}",
+  "compare.elevation": "⬆️ Elevation: {delta}",
+  "compare.hr": "❤️ Avg HR: {delta}",
+  "compare.power": "⚡ Power: {delta}",
+
+  "load.title": "📈 Training load",
+  "load.day": "{date}: load {load} — {fitness}",
+  "load.empty": "No load data yet.",
+
+  "profile.title": "👤 Profile",
+  "profile.since": "(since {date})",
+  "profile.hr_max": "Max HR {bpm}",
+  "profile.hr_rest": "resting {bpm}",
+  "profile.lthr": "threshold {bpm}",
+  "profile.threshold_pace": "Threshold pace {pace}",
+  "profile.weight": "Weight {kg} kg",
+  "profile.estimated": "(estimated)",
+  "profile.empty": "Nothing configured.",
+  "profile.changes": "Changes",
+
+  "chart.pace": "Pace ({unit})",
+  "chart.speed": "Speed ({unit})",
+  "chart.hr": "HR (bpm)",
+  "chart.elevation": "Elevation ({unit})",
+  "chart.splits": "Splits per {unit}",
+  "chart.zones_hr": "Time in zone - HR",
+  "chart.zones_power": "Time in zone - power",
+  "chart.zones_pace": "Time in zone - pace",
+  "chart.volume": "Time per day (h)",
+  "chart.volume_weekly": "Time per week (h)",
+  "chart.fitness": "Fitness: CTL (fitness) vs ATL (fatigue)",
+
+  "bot.help_title": "🤖 Commands",
+  "bot.help_last": "summary of the latest activity",
+  "bot.help_week": "summary of the last 7 days",
+  "bot.help_compare": "compare two activities",
+  "bot.help_pr": "records (all-time and recent)",
+  "bot.help_load": "CTL / ATL / TSB",
+  "bot.help_plan": "planned sessions (next 7 days)",
+  "bot.help_profile": "HR, FTP, threshold pace, weight and zones",
+  "bot.help_routes": "recurring routes",
+  "bot.help_route": "name a route",
+  "bot.help_reprocess": "fetch again from Strava and resend",
+  "bot.syntax_route": "/route <id> <name>",
+  "bot.usage": "Usage: {usage}",
+  "bot.no_activities": "No activities stored yet.",
+  "bot.not_found": "Activity not found: {ids}",
+  "bot.route_named": "🗺️ Route {id}: {name}",
+  "bot.reprocessed": "🔁 Activity {id} reprocessed.",
+  "bot.unknown": "Unknown command. Use /help.",
+  "bot.error": "⚠️ Error in /{command}: {error}",
+};
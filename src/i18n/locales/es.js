@@ -0,0 +1,179 @@
+/**
+ * es
+ */
+
+export default {
+  "language.name": "Spanish",
+
+  "connect.title": "✅ Strava conectado",
+  "connect.body": "{name}: las nuevas actividades llegarán aquí.",
+  "connect.revoked_title": "⚠️ Strava desconectado",
+  "connect.revoked_body": "El atleta {athlete} revocó el acceso de la app.",
+  "connect.revoked_hint": "El webhook y el polling quedaron en pausa. Para reanudar, conéctate de nuevo con el enlace /auth/strava (o genera un nuevo refresh token y quita \"deauthorized\" de state.json).",
+
+  "common.na": "n/d",
+
+  "activity.title": "🏁 Nueva actividad en Strava",
+  "activity.time": "⏱️ En movimiento: {moving} | Total: {elapsed}",
+  "activity.pace": "⚡ Ritmo medio: {pace}",
+  "activity.speed": "🚴 Velocidad: {avg} media | {max} máx",
+  "activity.hr": "❤️ FC: {avg} media | {max} máx",
+  "activity.elevation": "⬆️ Desnivel: {elevation}",
+  "activity.power": "⚡ Potencia: {watts} W media",
+  "activity.cadence": "🦵 Cadencia: {cadence}",
+  "activity.load": "📈 Carga: {parts}",
+  "activity.ef_trend": "({change}% vs {weeks} sem)",
+  "activity.decoupling": "Desacople {pct}%",
+  "activity.splits": "📌 Parciales (≈1{unit}) — {metric}",
+  "activity.metric_pace": "Ritmo",
+  "activity.metric_speed": "Velocidad",
+  "activity.split_hr": "FC",
+  "activity.best_split": "🏁 Mejor {unit}:",
+  "activity.worst_split": "🐢 Peor {unit}:",
+  "activity.insight": "🧠 Análisis",
+  "activity.hr_pct_max": "{pct}% FC máx",
+  "activity.hr_efforts": "{count} bloques de esfuerzo ({time})",
+
+  "insight.even": "Ritmo estable",
+  "insight.negative": "Negative split ✅",
+  "insight.fade": "Fade ⚠️ (el ritmo cayó)",
+  "insight.reps_fade": "Fade ⚠️ en las series (−{fade}% de la primera a la última)",
+  "insight.reps_progressive": "Series progresivas ✅",
+  "insight.reps_consistent": "Series constantes ✅",
+  "insight.swolf_even": "SWOLF estable ✅",
+  "insight.swolf_better": "El SWOLF mejoró durante la sesión ✅",
+  "insight.swolf_fade": "El SWOLF subió al final ⚠️ (la técnica cayó con el cansancio)",
+  "insight.session_light": "Sesión suave",
+  "insight.session_moderate": "Sesión moderada",
+  "insight.session_hard": "Sesión intensa ⚠️ (cuenta como entrenamiento duro)",
+
+  "swim.title_pool": "🏊 Series — piscina de {pool}",
+  "swim.title": "🏊 Vueltas",
+  "swim.row": "{distance} en {time}",
+  "swim.rest": "+{time} descanso",
+  "swim.lengths": "{count} largos",
+  "swim.swolf": "SWOLF medio {swolf}",
+  "swim.strokes": "{strokes} brazadas/largo",
+  "swim.rest_total": "Descanso {time}",
+
+  "intervals.title": "📌 Intervalos — {pattern}",
+  "intervals.distance": "{meters} m en {time}",
+  "intervals.recovery": "Recuperación media: {time}",
+
+  "weather.device": "Reloj {avg}",
+  "weather.max": "(máx {max})",
+  "weather.feels_like": "sensación {temp}",
+  "weather.wind": "viento {speed}",
+  "weather.humidity": "humedad {pct}%",
+  "weather.clear": "Despejado",
+  "weather.cloudy": "Nublado",
+  "weather.fog": "Niebla",
+  "weather.drizzle": "Llovizna",
+  "weather.rain": "Lluvia",
+  "weather.snow": "Nieve",
+  "weather.thunderstorm": "Tormenta",
+  "weather.differ": "🌦️ Condiciones distintas: {reasons}",
+  "weather.hotter": "más calor",
+  "weather.colder": "más frío",
+  "weather.windier": "más viento",
+  "weather.calmer": "menos viento",
+  "weather.wet": "lluvia",
+  "weather.dry": "seco",
+
+  "route.line": "🗺️ Ruta {name}: {parts}",
+  "route.rank": "{rank}º de {efforts}",
+  "route.vs_best": "{delta} vs mejor",
+  "route.vs_previous": "{delta} vs última",
+  "route.list_title": "🗺️ Rutas",
+  "route.unnamed": "(sin nombre)",
+  "route.name_hint": "Para ponerle nombre: {usage}",
+  "route.empty": "Todavía no hay rutas repetidas.",
+
+  "plan.line": "📋 Plan: {session}",
+  "plan.volume": "volumen {score}",
+  "plan.intensity": "intensidad {score}",
+  "plan.in_zone": "en zona {pct}%",
+  "plan.title": "📋 Plan",
+  "plan.missed": "📋 Entrenamiento no realizado — {day}",
+  "plan.empty": "No hay entrenamientos planificados para los próximos días.",
+
+  "prs.title": "🏆 Récords",
+  "prs.all_time": "🥇 PR",
+  "prs.recent": "🥈 Mejor en {days}d",
+  "prs.before": "(antes {value})",
+  "prs.run": "🏃 Carrera",
+  "prs.ride": "🚴 Ciclismo",
+  "prs.empty": "Todavía no hay esfuerzos registrados.",
+
+  "zones.hr": "❤️ Zonas FC",
+  "zones.power": "⚡ Zonas de potencia",
+  "zones.pace": "🏃 Zonas de ritmo",
+  "zones.other": "⚡ Zonas",
+  "zones.percent_max": "% FC máx",
+
+  "update.title": "✏️ Actividad corregida en Strava",
+  "update.private": "Privada",
+  "update.public": "Pública",
+  "update.refreshed": "Datos actualizados en Strava",
+
+  "digest.weekly": "📊 Resumen semanal",
+  "digest.monthly": "📊 Resumen mensual",
+  "digest.sessions": "{count} sesiones",
+  "digest.longest": "🏔️ Más larga:",
+  "digest.fastest": "🚀 Más rápida:",
+  "digest.empty": "Ninguna actividad en el período.",
+
+  "compare.title": "⚖️ Comparación",
+  "compare.distance": "📏 Distancia: {delta}",
+  "compare.moving": "⏱️ En movimiento: {delta}",
+  "compare.elevation": "⬆️ Desnivel: {delta}",
+  "compare.hr": "❤️ FC media: {delta}",
+  "compare.power": "⚡ Potencia: {delta}",
+
+  "load.title": "📈 Carga de entrenamiento",
+  "load.day": "{date}: carga {load} — {fitness}",
+  "load.empty": "Todavía no hay datos de carga.",
+
+  "profile.title": "👤 Perfil",
+  "profile.since": "(desde {date})",
+  "profile.hr_max": "FC máx {bpm}",
+  "profile.hr_rest": "reposo {bpm}",
+  "profile.lthr": "umbral {bpm}",
+  "profile.threshold_pace": "Ritmo umbral {pace}",
+  "profile.weight": "Peso {kg} kg",
+  "profile.estimated": "(estimado)",
+  "profile.empty": "No hay datos configurados.",
+  "profile.changes": "Cambios",
+
+  "chart.pace": "Ritmo ({unit})",
+  "chart.speed": "Velocidad ({unit})",
+  "chart.hr": "FC (ppm)",
+  "chart.elevation": "Desnivel ({unit})",
+  "chart.splits": "Parciales por {unit}",
+  "chart.zones_hr": "Tiempo en zona - FC",
+  "chart.zones_power": "Tiempo en zona - potencia",
+  "chart.zones_pace": "Tiempo en zona - ritmo",
+  "chart.volume": "Tiempo por día (h)",
+  "chart.volume_weekly": "Tiempo por semana (h)",
+  "chart.fitness": "Forma: CTL (fitness) vs ATL (fatiga)",
+
+  "bot.help_title": "🤖 Comandos",
+  "bot.help_last": "resumen de la última actividad",
+  "bot.help_week": "resumen de los últimos 7 días",
+  "bot.help_compare": "compara dos actividades",
+  "bot.help_pr": "récords (absolutos y recientes)",
+  "bot.help_load": "CTL / ATL / TSB",
+  "bot.help_plan": "entrenamientos planificados (próximos 7 días)",
+  "bot.help_profile": "FC, FTP, ritmo umbral, peso y zonas",
+  "bot.help_routes": "rutas repetidas",
+  "bot.help_route": "pone nombre a una ruta",
+  "bot.help_reprocess": "vuelve a buscar en Strava y reenvía",
+  "bot.syntax_route": "/route <id> <nombre>",
+  "bot.usage": "Uso: {usage}",
+  "bot.no_activities": "Aún no hay actividades guardadas.",
+  "bot.not_found": "Actividad no encontrada: {ids}",
+  "bot.route_named": "🗺️ Ruta {id}: {name}",
+  "bot.reprocessed": "🔁 Actividad {id} reprocesada.",
+  "bot.unknown": "Comando desconocido. Usa /help.",
+  "bot.error": "⚠️ Error en /{command}: {error}",
+};
@@ -0,0 +1,179 @@
+/**
+ * pt-BR — the default catalog; every key must exist here
+ */
+
+export default {
+  "language.name": "Brazilian Portuguese",
+
+  "connect.title": "✅ Strava conectado",
+  "connect.body": "{name}: as novas atividades chegam aqui.",
+  "connect.revoked_title": "⚠️ Strava desconectado",
+  "connect.revoked_body": "O atleta {athlete} revogou o acesso do app.",
+  "connect.revoked_hint": "Webhook e polling foram pausados. Para retomar, conecte de novo pelo link /auth/strava (ou gere um novo refresh token e remova \"deauthorized\" do state.json).",
+
+  "common.na": "n/d",
+
+  "activity.title": "🏁 Nova atividade no Strava",
+  "activity.time": "⏱️ Moving: {moving} | Elapsed: {elapsed}",
+  "activity.pace": "⚡ Pace médio: {pace}",
+  "activity.speed": "🚴 Speed: {avg} avg | {max} max",
+  "activity.hr": "❤️ FC: {avg} avg | {max} max",
+  "activity.elevation": "⬆️ Elevação: {elevation}",
+  "activity.power": "⚡ Power: {watts} W avg",
+  "activity.cadence": "🦵 Cadência: {cadence}",
+  "activity.load": "📈 Carga: {parts}",
+  "activity.ef_trend": "({change}% vs {weeks} sem)",
+  "activity.decoupling": "Desacoplamento {pct}%",
+  "activity.splits": "📌 Splits (≈1{unit}) — {metric}",
+  "activity.metric_pace": "Pace",
+  "activity.metric_speed": "Speed",
+  "activity.split_hr": "HR",
+  "activity.best_split": "🏁 Best {unit}:",
+  "activity.worst_split": "🐢 Worst {unit}:",
+  "activity.insight": "🧠 Insight",
+  "activity.hr_pct_max": "{pct}% FC máx",
+  "activity.hr_efforts": "{count} blocos de esforço ({time})",
+
+  "insight.even": "Pacing estável",
+  "insight.negative": "Negative split ✅",
+  "insight.fade": "Fade ⚠️ (ritmo caiu)",
+  "insight.reps_fade": "Fade ⚠️ nos tiros (−{fade}% do primeiro ao último)",
+  "insight.reps_progressive": "Tiros progressivos ✅",
+  "insight.reps_consistent": "Tiros consistentes ✅",
+  "insight.swolf_even": "SWOLF estável ✅",
+  "insight.swolf_better": "SWOLF melhorou ao longo do treino ✅",
+  "insight.swolf_fade": "SWOLF subiu no fim ⚠️ (técnica caiu com o cansaço)",
+  "insight.session_light": "Sessão leve",
+  "insight.session_moderate": "Sessão moderada",
+  "insight.session_hard": "Sessão intensa ⚠️ (conta como treino forte)",
+
+  "swim.title_pool": "🏊 Séries — piscina {pool}",
+  "swim.title": "🏊 Voltas",
+  "swim.row": "{distance} em {time}",
+  "swim.rest": "+{time} descanso",
+  "swim.lengths": "{count} piscinas",
+  "swim.swolf": "SWOLF médio {swolf}",
+  "swim.strokes": "{strokes} braçadas/piscina",
+  "swim.rest_total": "Descanso {time}",
+
+  "intervals.title": "📌 Intervalos — {pattern}",
+  "intervals.distance": "{meters} m em {time}",
+  "intervals.recovery": "Recuperação média: {time}",
+
+  "weather.device": "Relógio {avg}",
+  "weather.max": "(máx {max})",
+  "weather.feels_like": "sensação {temp}",
+  "weather.wind": "vento {speed}",
+  "weather.humidity": "umidade {pct}%",
+  "weather.clear": "Céu limpo",
+  "weather.cloudy": "Nublado",
+  "weather.fog": "Neblina",
+  "weather.drizzle": "Garoa",
+  "weather.rain": "Chuva",
+  "weather.snow": "Neve",
+  "weather.thunderstorm": "Tempestade",
+  "weather.differ": "🌦️ Condições diferentes: {reasons}",
+  "weather.hotter": "mais quente",
+  "weather.colder": "mais frio",
+  "weather.windier": "mais vento",
+  "weather.calmer": "menos vento",
+  "weather.wet": "chuva",
+  "weather.dry": "seco",
+
+  "route.line": "🗺️ Rota {name}: {parts}",
+  "route.rank": "{rank}º de {efforts}",
+  "route.vs_best": "{delta} vs melhor",
+  "route.vs_previous": "{delta} vs última",
+  "route.list_title": "🗺️ Rotas",
+  "route.unnamed": "(sem nome)",
+  "route.name_hint": "Dar nome: {usage}",
+  "route.empty": "Nenhuma rota repetida ainda.",
+
+  "plan.line": "📋 Plano: {session}",
+  "plan.volume": "volume {score}",
+  "plan.intensity": "intensidade {score}",
+  "plan.in_zone": "na zona {pct}%",
+  "plan.title": "📋 Plano",
+  "plan.missed": "📋 Treino não realizado — {day}",
+  "plan.empty": "Nenhum treino planejado para os próximos dias.",
+
+  "prs.title": "🏆 Recordes",
+  "prs.all_time": "🥇 PR",
+  "prs.recent": "🥈 Melhor em {days}d",
+  "prs.before": "(antes {value})",
+  "prs.run": "🏃 Corrida",
+  "prs.ride": "🚴 Pedal",
+  "prs.empty": "Nenhum esforço registrado ainda.",
+
+  "zones.hr": "❤️ Zonas FC",
+  "zones.power": "⚡ Zonas Potência",
+  "zones.pace": "🏃 Zonas Pace",
+  "zones.other": "⚡ Zonas",
+  "zones.percent_max": "% FC máx",
+
+  "update.title": "✏️ Atividade corrigida no Strava",
+  "update.private": "Privada",
+  "update.public": "Pública",
+  "update.refreshed": "Dados atualizados no Strava",
+
+  "digest.weekly": "📊 Resumo semanal",
+  "digest.monthly": "📊 Resumo mensal",
+  "digest.sessions": "{count} sessões",
+  "digest.longest": "🏔️ Mais longa:",
+  "digest.fastest": "🚀 Mais rápida:",
+  "digest.empty": "Nenhuma atividade no período.",
+
+  "compare.title": "⚖️ Comparação",
+  "compare.distance": "📏 Distância: {delta}",
+  "compare.moving": "⏱️ Moving: {delta}",
+  "compare.elevation": "⬆️ Elevação: {delta}",
+  "compare.hr": "❤️ FC média: {delta}",
+  "compare.power": "⚡ Power: {delta}",
+
+  "load.title": "📈 Carga de treino",
+  "load.day": "{date}: carga {load} — {fitness}",
+  "load.empty": "Sem dados de carga ainda.",
+
+  "profile.title": "👤 Perfil",
+  "profile.since": "(desde {date})",
+  "profile.hr_max": "FC máx {bpm}",
+  "profile.hr_rest": "repouso {bpm}",
+  "profile.lthr": "limiar {bpm}",
+  "profile.threshold_pace": "Pace limiar {pace}",
+  "profile.weight": "Peso {kg} kg",
+  "profile.estimated": "(estimado)",
+  "profile.empty": "Nenhum dado configurado.",
+  "profile.changes": "Alterações",
+
+  "chart.pace": "Ritmo ({unit})",
+  "chart.speed": "Velocidade ({unit})",
+  "chart.hr": "FC (bpm)",
+  "chart.elevation": "Elevação ({unit})",
+  "chart.splits": "Parciais por {unit}",
+  "chart.zones_hr": "Tempo em zona - FC",
+  "chart.zones_power": "Tempo em zona - potência",
+  "chart.zones_pace": "Tempo em zona - ritmo",
+  "chart.volume": "Tempo por dia (h)",
+  "chart.volume_weekly": "Tempo por semana (h)",
+  "chart.fitness": "Forma: CTL (fitness) x ATL (fadiga)",
+
+  "bot.help_title": "🤖 Comandos",
+  "bot.help_last": "resumo da última atividade",
+  "bot.help_week": "resumo dos últimos 7 dias",
+  "bot.help_compare": "compara duas atividades",
+  "bot.help_pr": "recordes (geral e recentes)",
+  "bot.help_load": "CTL / ATL / TSB",
+  "bot.help_plan": "treinos planejados (próximos 7 dias)",
+  "bot.help_profile": "FC, FTP, pace limiar, peso e zonas",
+  "bot.help_routes": "rotas repetidas",
+  "bot.help_route": "dá nome a uma rota",
+  "bot.help_reprocess": "busca de novo no Strava e reenvia",
+  "bot.syntax_route": "/route <id> <nome>",
+  "bot.usage": "Uso: {usage}",
+  "bot.no_activities": "Nenhuma atividade salva ainda.",
+  "bot.not_found": "Atividade não encontrada: {ids}",
+  "bot.route_named": "🗺️ Rota {id}: {name}",
+  "bot.reprocessed": "🔁 Atividade {id} reprocessada.",
+  "bot.unknown": "Comando desconhecido. Use /help.",
+  "bot.error": "⚠️ Erro em /{command}: {error}",
+};
@@ -10,7 +10,11 @@ const {
   TELEGRAM_CHAT_ID,
 } = process.env;
 
-export async function sendToClawdbotAgent(messageText, meta) {
+/**
+ * `sessionKey` keeps one coaching conversation per athlete; `to` is the
+ * Telegram chat the agent answers in.
+ */
+export async function sendToClawdbotAgent(messageText, meta, { sessionKey = "hook:strava", to = TELEGRAM_CHAT_ID } = {}) {
   if (!CLAWDBOT_HOOK_TOKEN) throw new Error("Missing env var: CLAWDBOT_HOOK_TOKEN");
 
   const url = `${CLAWDBOT_GATEWAY_URL.replace(/\/$/, "")}/hooks/agent`;
@@ -18,11 +22,11 @@ export async function sendToClawdbotAgent(messageText, meta) {
   const body = {
     message: messageText,
     name: "Strava",
-    sessionKey: "hook:strava",
+    sessionKey,
     wakeMode: "now",
     deliver: true,
     channel: "telegram",
-    to: TELEGRAM_CHAT_ID,
+    to,
   };
 
   if (meta) body.meta = meta;
@@ -0,0 +1,172 @@
+/**
+ * Strava OAuth token manager
+ *
+ * - Caches the access token in memory until shortly before `expires_at`
+ * - Persists the (possibly rotated) refresh token to TOKEN_PATH, so the
+ *   STRAVA_REFRESH_TOKEN in .env only seeds the first refresh
+ * - Concurrent callers share the refresh that is already in flight
+ * - Per athlete: connected athletes keep their token in their own data dir
+ *   and have no .env seed (they connect through /auth/strava)
+ */
+
+import fs from "fs";
+import path from "path";
+import axios from "axios";
+import { currentAthlete, DEFAULT_ATHLETE_KEY } from "../storage/athletes.js";
+
+const {
+  STRAVA_CLIENT_ID,
+  STRAVA_CLIENT_SECRET,
+  TOKEN_PATH = "./strava-token.json",
+  TOKEN_EXPIRY_MARGIN_SEC = "300",
+} = process.env;
+
+// Per athlete key
+const cached = new Map(); // { access_token, refresh_token, expires_at }
+const inFlight = new Map();
+
+function tokenPath(athlete) {
+  return athlete.paths.tokenPath ?? TOKEN_PATH;
+}
+
+function loadTokenFile(athlete) {
+  try {
+    return JSON.parse(fs.readFileSync(tokenPath(athlete), "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+function saveTokenFile(athlete, token) {
+  const file = tokenPath(athlete);
+  const dir = path.dirname(path.resolve(file));
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+  // Write-then-rename so a crash never leaves a truncated token file behind
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(token, null, 2), { encoding: "utf8", mode: 0o600 });
+  fs.renameSync(tmp, file);
+}
+
+function isFresh(token) {
+  if (!token?.access_token || !token?.expires_at) return false;
+  const marginSec = Math.max(0, Number(TOKEN_EXPIRY_MARGIN_SEC) || 0);
+  return token.expires_at - marginSec > Date.now() / 1000;
+}
+
+async function requestRefresh(refreshToken) {
+  const r = await axios.post("https://www.strava.com/oauth/token", null, {
+    params: {
+      client_id: STRAVA_CLIENT_ID,
+      client_secret: STRAVA_CLIENT_SECRET,
+      grant_type: "refresh_token",
+      refresh_token: refreshToken,
+    },
+    timeout: 15000,
+  });
+  return {
+    access_token: r.data.access_token,
+    refresh_token: r.data.refresh_token ?? refreshToken,
+    expires_at: r.data.expires_at,
+    updated_at: new Date().toISOString(),
+  };
+}
+
+async function refreshToken(athlete) {
+  const stored = cached.get(athlete.key) ?? loadTokenFile(athlete);
+  const candidates = [stored?.refresh_token, athlete.refresh_token_seed].filter(
+    (t, i, arr) => t && arr.indexOf(t) === i
+  );
+  if (!candidates.length) {
+    throw new Error(
+      athlete.key === DEFAULT_ATHLETE_KEY
+        ? "Missing env var: STRAVA_REFRESH_TOKEN"
+        : `No Strava token for athlete ${athlete.key} (reconnect via /auth/strava)`
+    );
+  }
+
+  let lastErr;
+  for (const candidate of candidates) {
+    try {
+      const token = await requestRefresh(candidate);
+      saveTokenFile(athlete, token);
+      return token;
+    } catch (e) {
+      // A rejected stored token (e.g. app re-authorized) falls back to the .env one
+      lastErr = e;
+      if (e?.response?.status !== 400 && e?.response?.status !== 401) throw e;
+    }
+  }
+  throw lastErr;
+}
+
+/**
+ * Access token of the current athlete, refreshed when needed.
+ */
+export async function getToken() {
+  const athlete = currentAthlete();
+  if (!cached.has(athlete.key)) cached.set(athlete.key, loadTokenFile(athlete));
+  const current = cached.get(athlete.key);
+  if (isFresh(current)) return current.access_token;
+
+  if (!inFlight.has(athlete.key)) {
+    inFlight.set(
+      athlete.key,
+      refreshToken(athlete)
+        .then((token) => {
+          cached.set(athlete.key, token);
+          return token;
+        })
+        .finally(() => {
+          inFlight.delete(athlete.key);
+        })
+    );
+  }
+
+  const token = await inFlight.get(athlete.key);
+  return token.access_token;
+}
+
+/**
+ * Drop the cached access token (e.g. after a 401) so the next getToken()
+ * goes back to Strava.
+ */
+export function invalidateToken() {
+  const key = currentAthlete().key;
+  const current = cached.get(key);
+  if (current) cached.set(key, { ...current, access_token: null, expires_at: 0 });
+}
+
+/**
+ * Persist a token obtained outside the refresh flow (OAuth code exchange)
+ * for the current athlete.
+ */
+export function saveToken(token) {
+  const athlete = currentAthlete();
+  saveTokenFile(athlete, token);
+  cached.set(athlete.key, token);
+}
+
+/**
+ * OAuth authorization code → { token, athlete } (the athlete summary Strava
+ * returns with the first token).
+ */
+export async function exchangeAuthorizationCode(code) {
+  const r = await axios.post("https://www.strava.com/oauth/token", null, {
+    params: {
+      client_id: STRAVA_CLIENT_ID,
+      client_secret: STRAVA_CLIENT_SECRET,
+      grant_type: "authorization_code",
+      code,
+    },
+    timeout: 15000,
+  });
+  return {
+    token: {
+      access_token: r.data.access_token,
+      refresh_token: r.data.refresh_token,
+      expires_at: r.data.expires_at,
+      updated_at: new Date().toISOString(),
+    },
+    athlete: r.data.athlete ?? null,
+  };
+}
@@ -0,0 +1,191 @@
+/**
+ * Shared Strava HTTP client: one request queue for the whole process.
+ *
+ * - Tracks the 15-minute and daily budgets from the X-RateLimit-* (and
+ *   X-ReadRateLimit-*) response headers
+ * - Delays queued requests when the 15-minute window is nearly spent, and
+ *   fails fast when the daily budget is gone
+ * - Retries 429 / 5xx / network errors with exponential backoff
+ */
+
+import axios from "axios";
+import { getToken, invalidateToken } from "./strava-auth.js";
+
+const {
+  STRAVA_RATE_RESERVE = "5",
+  STRAVA_MAX_RETRIES = "3",
+  STRAVA_RETRY_BASE_MS = "2000",
+} = process.env;
+
+const API_BASE = "https://www.strava.com/api/v3";
+const WINDOW_MS = 15 * 60 * 1000;
+
+const budget = {
+  short: { limit: null, usage: null },
+  daily: { limit: null, usage: null },
+  updatedAt: null,
+};
+
+let queue = Promise.resolve();
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Strava windows reset on the quarter hour, daily at midnight UTC.
+function nextWindowStart(now = Date.now()) {
+  return Math.floor(now / WINDOW_MS) * WINDOW_MS + WINDOW_MS;
+}
+
+function nextDayStart(now = Date.now()) {
+  const d = new Date(now);
+  return Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() + 1);
+}
+
+function parsePair(value) {
+  if (value == null) return null;
+  const [a, b] = String(value).split(",").map((x) => Number(x.trim()));
+  return Number.isFinite(a) && Number.isFinite(b) ? [a, b] : null;
+}
+
+function tighter(limitPair, usagePair, idx) {
+  return { limit: limitPair[idx], usage: usagePair[idx], remaining: limitPair[idx] - usagePair[idx] };
+}
+
+function updateBudget(headers = {}) {
+  const overall = [parsePair(headers["x-ratelimit-limit"]), parsePair(headers["x-ratelimit-usage"])];
+  const read = [parsePair(headers["x-readratelimit-limit"]), parsePair(headers["x-readratelimit-usage"])];
+
+  const pairs = [overall, read].filter(([l, u]) => l && u);
+  if (!pairs.length) return;
+
+  for (const [key, idx] of [["short", 0], ["daily", 1]]) {
+    const best = pairs
+      .map(([l, u]) => tighter(l, u, idx))
+      .reduce((a, b) => (b.remaining < a.remaining ? b : a));
+    budget[key] = { limit: best.limit, usage: best.usage };
+  }
+  budget.updatedAt = Date.now();
+}
+
+function remaining(bucket, resetsAt) {
+  if (bucket.limit == null || bucket.usage == null) return null;
+  // Usage read in a previous window no longer applies
+  if (budget.updatedAt != null && Date.now() >= resetsAt) return bucket.limit;
+  return bucket.limit - bucket.usage;
+}
+
+/**
+ * Current rate-limit budget as last reported by Strava.
+ * `remaining` is null until the first response has been seen.
+ */
+export function getRateLimitBudget() {
+  const at = budget.updatedAt ?? Date.now();
+  const shortResetsAt = nextWindowStart(at);
+  const dailyResetsAt = nextDayStart(at);
+  return {
+    short: { ...budget.short, remaining: remaining(budget.short, shortResetsAt), resetsAt: shortResetsAt },
+    daily: { ...budget.daily, remaining: remaining(budget.daily, dailyResetsAt), resetsAt: dailyResetsAt },
+    updatedAt: budget.updatedAt,
+  };
+}
+
+/**
+ * True when at least `requests` calls fit in both windows (or nothing is
+ * known yet).
+ */
+export function hasRateBudget(requests = 1) {
+  const b = getRateLimitBudget();
+  const reserve = Math.max(0, Number(STRAVA_RATE_RESERVE) || 0);
+  return [b.short, b.daily].every((w) => w.remaining == null || w.remaining - reserve >= requests);
+}
+
+function rateLimitError(resetsAt) {
+  const e = new Error(`Strava daily rate limit reached (resets ${new Date(resetsAt).toISOString()})`);
+  e.code = "STRAVA_RATE_LIMITED";
+  e.resetsAt = resetsAt;
+  return e;
+}
+
+async function waitForBudget() {
+  const b = getRateLimitBudget();
+  const reserve = Math.max(0, Number(STRAVA_RATE_RESERVE) || 0);
+
+  if (b.daily.remaining != null && b.daily.remaining <= reserve) throw rateLimitError(b.daily.resetsAt);
+
+  if (b.short.remaining != null && b.short.remaining <= reserve) {
+    const waitMs = Math.max(0, b.short.resetsAt - Date.now()) + 1000;
+    console.warn(`⏳ Strava 15-min budget nearly spent, waiting ${Math.round(waitMs / 1000)}s`);
+    await sleep(waitMs);
+  }
+}
+
+function isRetryable(e) {
+  const status = e?.response?.status;
+  if (status == null) return true; // network error / timeout
+  return status === 429 || status >= 500;
+}
+
+function backoffMs(attempt, e) {
+  if (e?.response?.status === 429) {
+    return Math.max(0, nextWindowStart() - Date.now()) + 1000;
+  }
+  const base = Math.max(100, Number(STRAVA_RETRY_BASE_MS) || 2000);
+  return base * 2 ** attempt + Math.floor(Math.random() * base);
+}
+
+async function send(method, pathOrUrl, { token, params, data } = {}) {
+  const maxRetries = Math.max(0, Number(STRAVA_MAX_RETRIES) || 0);
+  const url = pathOrUrl.startsWith("http") ? pathOrUrl : `${API_BASE}${pathOrUrl}`;
+  let authToken = token ?? (await getToken());
+  let reauthed = false;
+
+  for (let attempt = 0; ; attempt++) {
+    await waitForBudget();
+    try {
+      const r = await axios.request({
+        method,
+        url,
+        params,
+        data,
+        headers: { Authorization: `Bearer ${authToken}` },
+        timeout: 15000,
+      });
+      updateBudget(r.headers);
+      return r.data;
+    } catch (e) {
+      updateBudget(e?.response?.headers);
+
+      if (e?.response?.status === 401 && !reauthed) {
+        reauthed = true;
+        invalidateToken();
+        authToken = await getToken();
+        continue;
+      }
+
+      if (attempt >= maxRetries || !isRetryable(e)) throw e;
+
+      const { daily } = getRateLimitBudget();
+      if (e?.response?.status === 429 && daily.remaining === 0) throw rateLimitError(daily.resetsAt);
+
+      const waitMs = backoffMs(attempt, e);
+      console.warn(
+        `↻ Strava ${method.toUpperCase()} ${url} failed (${e?.response?.status ?? e.code ?? e.message}), retry in ${Math.round(waitMs / 1000)}s`
+      );
+      await sleep(waitMs);
+    }
+  }
+}
+
+/**
+ * Queue a request behind every other Strava call in this process.
+ */
+export function stravaRequest(method, pathOrUrl, options) {
+  const run = queue.then(() => send(method, pathOrUrl, options));
+  queue = run.catch(() => {});
+  return run;
+}
+
+export function stravaGet(path, options) {
+  return stravaRequest("get", path, options);
+}
@@ -2,67 +2,55 @@
  * Strava API integration
  */
 
-import axios from "axios";
+import { stravaGet } from "./strava-client.js";
 
-const {
-  STRAVA_CLIENT_ID,
-  STRAVA_CLIENT_SECRET,
-  STRAVA_REFRESH_TOKEN,
-} = process.env;
-
-export async function getToken() {
-  const r = await axios.post("https://www.strava.com/oauth/token", null, {
-    params: {
-      client_id: STRAVA_CLIENT_ID,
-      client_secret: STRAVA_CLIENT_SECRET,
-      grant_type: "refresh_token",
-      refresh_token: STRAVA_REFRESH_TOKEN,
-    },
-    timeout: 15000,
-  });
-  return r.data.access_token;
-}
+export { getToken, invalidateToken, saveToken, exchangeAuthorizationCode } from "./strava-auth.js";
+export { getRateLimitBudget, hasRateBudget } from "./strava-client.js";
 
 export async function getActivity(activityId, token) {
-  const r = await axios.get(`https://www.strava.com/api/v3/activities/${activityId}`, {
-    headers: { Authorization: `Bearer ${token}` },
-    timeout: 15000,
-  });
-  return r.data;
+  return stravaGet(`/activities/${activityId}`, { token });
 }
 
 export async function getActivityStreams(activityId, token) {
-  const r = await axios.get(`https://www.strava.com/api/v3/activities/${activityId}/streams`, {
-    headers: { Authorization: `Bearer ${token}` },
+  return stravaGet(`/activities/${activityId}/streams`, {
+    token,
     params: {
-      keys: "time,distance,heartrate,watts,cadence,velocity_smooth,temp,altitude",
+      keys: "time,distance,latlng,heartrate,watts,cadence,velocity_smooth,temp,altitude",
       key_by_type: true,
     },
-    timeout: 15000,
   });
-  return r.data;
 }
 
 export async function getActivityZones(activityId, token) {
   try {
-    const r = await axios.get(`https://www.strava.com/api/v3/activities/${activityId}/zones`, {
-      headers: { Authorization: `Bearer ${token}` },
-      timeout: 15000,
-    });
-    return r.data;
-  } catch {
+    return await stravaGet(`/activities/${activityId}/zones`, { token });
+  } catch (e) {
+    // Rate limiting must surface; anything else (no zones, no Summit...) is optional data
+    if (e?.code === "STRAVA_RATE_LIMITED") throw e;
+    console.warn(`zones for activity ${activityId} unavailable:`, e?.response?.status ?? e.message);
+    return [];
+  }
+}
+
+/**
+ * Laps as recorded by the device (manual / structured workout laps, or
+ * auto-laps). Optional data, like zones.
+ */
+export async function getActivityLaps(activityId, token) {
+  try {
+    return await stravaGet(`/activities/${activityId}/laps`, { token });
+  } catch (e) {
+    if (e?.code === "STRAVA_RATE_LIMITED") throw e;
     return [];
   }
 }
 
 export async function listActivities(token, params = {}) {
-  const r = await axios.get("https://www.strava.com/api/v3/athlete/activities", {
-    headers: { Authorization: `Bearer ${token}` },
+  return stravaGet("/athlete/activities", {
+    token,
     params: {
       per_page: 50,
       ...params,
     },
-    timeout: 15000,
   });
-  return r.data;
 }
@@ -10,13 +10,16 @@ const {
   TELEGRAM_CHAT_ID,
 } = process.env;
 
-export async function sendTelegram(html) {
+/**
+ * Send HTML to `chatId` (default: TELEGRAM_CHAT_ID), split into chunks.
+ */
+export async function sendTelegram(html, chatId = TELEGRAM_CHAT_ID) {
   const parts = chunkText(html);
   for (const p of parts) {
     await axios.post(
       `https://api.telegram.org/bot${TELEGRAM_BOT_TOKEN}/sendMessage`,
       {
-        chat_id: TELEGRAM_CHAT_ID,
+        chat_id: chatId,
         text: p,
         parse_mode: "HTML",
         disable_web_page_preview: true,
@@ -25,3 +28,39 @@ export async function sendTelegram(html) {
     );
   }
 }
+
+/**
+ * Send a PNG (Buffer) to `chatId` as a photo, with an optional HTML caption
+ * (at most 1024 characters). Uploaded as multipart/form-data.
+ */
+export async function sendTelegramPhoto(png, { caption, chatId = TELEGRAM_CHAT_ID, filename = "chart.png" } = {}) {
+  const boundary = `----strava-telegram-${Date.now().toString(16)}`;
+  const field = (name, value) =>
+    Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="${name}"\r\n\r\n${value}\r\n`);
+
+  const body = Buffer.concat([
+    field("chat_id", chatId),
+    ...(caption ? [field("caption", caption), field("parse_mode", "HTML")] : []),
+    Buffer.from(
+      `--${boundary}\r\nContent-Disposition: form-data; name="photo"; filename="${filename}"\r\nContent-Type: image/png\r\n\r\n`
+    ),
+    png,
+    Buffer.from(`\r\n--${boundary}--\r\n`),
+  ]);
+
+  await axios.post(`https://api.telegram.org/bot${TELEGRAM_BOT_TOKEN}/sendPhoto`, body, {
+    headers: { "Content-Type": `multipart/form-data; boundary=${boundary}` },
+    timeout: 30000,
+  });
+}
+
+/**
+ * Long-poll the Bot API for updates (getUpdates). Returns [] on timeout.
+ */
+export async function getTelegramUpdates(offset, timeoutSec = 50) {
+  const r = await axios.get(`https://api.telegram.org/bot${TELEGRAM_BOT_TOKEN}/getUpdates`, {
+    params: { offset, timeout: timeoutSec, allowed_updates: JSON.stringify(["message"]) },
+    timeout: (timeoutSec + 10) * 1000,
+  });
+  return r.data?.result ?? [];
+}
@@ -0,0 +1,182 @@
+/**
+ * Weather halfway through an activity (at its start point), behind a
+ * pluggable provider:
+ * - none (default): no lookup
+ * - file: observations from WEATHER_FILE (offline use, fixtures)
+ * - open-meteo: hourly history from Open-Meteo (no API key)
+ *
+ * Observation shape: { provider, observed_at, temp_c, feels_like_c,
+ *   humidity_pct, wind_kmh, wind_gust_kmh, wind_dir_deg, precip_mm,
+ *   conditions } — conditions is one of clear / cloudy / fog / drizzle /
+ *   rain / snow / thunderstorm, any field may be null.
+ */
+
+import fs from "fs";
+import axios from "axios";
+import { safeNum } from "../utils/formatters.js";
+import { haversineM, isLatLng } from "../utils/geo.js";
+
+const { WEATHER_PROVIDER = "none", WEATHER_FILE = "./weather.json" } = process.env;
+
+// File observations further than this from the start (place / time) do not apply
+const FILE_MAX_DISTANCE_M = 50000;
+const FILE_MAX_HOURS = 3;
+
+// Open-Meteo's forecast API covers the recent past; older days come from the archive
+const OPEN_METEO_FORECAST_URL = "https://api.open-meteo.com/v1/forecast";
+const OPEN_METEO_ARCHIVE_URL = "https://archive-api.open-meteo.com/v1/archive";
+const OPEN_METEO_RECENT_DAYS = 5;
+const OPEN_METEO_HOURLY = [
+  "temperature_2m",
+  "apparent_temperature",
+  "relative_humidity_2m",
+  "wind_speed_10m",
+  "wind_gusts_10m",
+  "wind_direction_10m",
+  "precipitation",
+  "weather_code",
+];
+
+const HOUR_MS = 3600 * 1000;
+
+function observation(provider, fields) {
+  return {
+    provider,
+    observed_at: fields.observed_at ?? null,
+    temp_c: safeNum(fields.temp_c),
+    feels_like_c: safeNum(fields.feels_like_c),
+    humidity_pct: safeNum(fields.humidity_pct),
+    wind_kmh: safeNum(fields.wind_kmh),
+    wind_gust_kmh: safeNum(fields.wind_gust_kmh),
+    wind_dir_deg: safeNum(fields.wind_dir_deg),
+    precip_mm: safeNum(fields.precip_mm),
+    conditions: fields.conditions ?? null,
+  };
+}
+
+/**
+ * WEATHER_FILE: a JSON array (or { observations: [...] }) of observations
+ * with `time` (ISO) and optionally `lat` / `lon`; entries without a position
+ * apply anywhere. The closest in time within FILE_MAX_HOURS wins.
+ */
+function createFileProvider(filePath = WEATHER_FILE) {
+  const load = () => {
+    const data = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    return Array.isArray(data) ? data : data.observations ?? [];
+  };
+
+  return {
+    name: "file",
+    async lookup({ latlng, time }) {
+      const at = time.getTime();
+      const candidates = load()
+        .map((o) => ({ o, dt: Math.abs(Date.parse(o.time) - at) }))
+        .filter(({ o, dt }) => {
+          if (!(dt <= FILE_MAX_HOURS * HOUR_MS)) return false;
+          const pos = [safeNum(o.lat), safeNum(o.lon)];
+          return !isLatLng(pos) || haversineM(pos, latlng) <= FILE_MAX_DISTANCE_M;
+        })
+        .sort((a, b) => a.dt - b.dt);
+      const best = candidates[0]?.o;
+      return best ? observation("file", { ...best, observed_at: best.time }) : null;
+    },
+  };
+}
+
+// WMO weather interpretation codes → our conditions
+function wmoConditions(code) {
+  if (!Number.isFinite(code)) return null;
+  if (code === 0) return "clear";
+  if (code <= 3) return "cloudy";
+  if (code === 45 || code === 48) return "fog";
+  if (code >= 51 && code <= 57) return "drizzle";
+  if ((code >= 61 && code <= 67) || (code >= 80 && code <= 82)) return "rain";
+  if ((code >= 71 && code <= 77) || code === 85 || code === 86) return "snow";
+  if (code >= 95) return "thunderstorm";
+  return null;
+}
+
+function createOpenMeteoProvider() {
+  return {
+    name: "open-meteo",
+    async lookup({ latlng, time }) {
+      const day = time.toISOString().slice(0, 10);
+      const recent = Date.now() - time.getTime() < OPEN_METEO_RECENT_DAYS * 24 * HOUR_MS;
+      const res = await axios.get(recent ? OPEN_METEO_FORECAST_URL : OPEN_METEO_ARCHIVE_URL, {
+        params: {
+          latitude: latlng[0],
+          longitude: latlng[1],
+          start_date: day,
+          end_date: day,
+          hourly: OPEN_METEO_HOURLY.join(","),
+          timezone: "GMT",
+        },
+        timeout: 10000,
+      });
+
+      const hourly = res.data?.hourly;
+      if (!Array.isArray(hourly?.time) || !hourly.time.length) return null;
+
+      // Hours come as "2026-01-27T10:00" in GMT
+      let idx = 0;
+      hourly.time.forEach((h, i) => {
+        const dt = Math.abs(Date.parse(`${h}Z`) - time.getTime());
+        if (dt < Math.abs(Date.parse(`${hourly.time[idx]}Z`) - time.getTime())) idx = i;
+      });
+      const at = (key) => hourly[key]?.[idx];
+
+      return observation("open-meteo", {
+        observed_at: `${hourly.time[idx]}Z`,
+        temp_c: at("temperature_2m"),
+        feels_like_c: at("apparent_temperature"),
+        humidity_pct: at("relative_humidity_2m"),
+        wind_kmh: at("wind_speed_10m"),
+        wind_gust_kmh: at("wind_gusts_10m"),
+        wind_dir_deg: at("wind_direction_10m"),
+        precip_mm: at("precipitation"),
+        conditions: wmoConditions(at("weather_code")),
+      });
+    },
+  };
+}
+
+export function createWeatherProvider(kind = WEATHER_PROVIDER) {
+  switch (String(kind).toLowerCase()) {
+    case "none":
+    case "":
+      return null;
+    case "file":
+      return createFileProvider();
+    case "open-meteo":
+      return createOpenMeteoProvider();
+    default:
+      throw new Error(`Unknown WEATHER_PROVIDER: ${kind} (expected none, file or open-meteo)`);
+  }
+}
+
+let provider;
+
+/**
+ * Weather halfway through an outdoor activity (Strava detail shape: start_latlng,
+ * start_date, elapsed_time), or null: no provider, indoor / no GPS, nothing
+ * found. Provider errors are logged, never thrown — weather is context, not
+ * a reason to fail the activity.
+ */
+export async function lookupWeather(activity) {
+  const latlng = activity.start_latlng;
+  if (!isLatLng(latlng) || activity.trainer || /^Virtual/.test(activity.sport_type ?? "")) return null;
+
+  const start = Date.parse(activity.start_date);
+  if (!Number.isFinite(start)) return null;
+  const time = new Date(start + ((safeNum(activity.elapsed_time) ?? 0) * 1000) / 2);
+
+  try {
+    // Inside the try: a misconfigured WEATHER_PROVIDER must not fail the activity either
+    provider ??= createWeatherProvider();
+    if (!provider) return null;
+    return await provider.lookup({ latlng, time });
+  } catch (e) {
+    console.warn(`weather (${provider?.name ?? WEATHER_PROVIDER}) unavailable:`, e?.response?.status ?? e.message);
+    return null;
+  }
+}
@@ -0,0 +1,140 @@
+/**
+ * Connected athletes + the "current athlete" context
+ *
+ * The athlete configured in .env (STRAVA_REFRESH_TOKEN, TELEGRAM_CHAT_ID,
+ * STORE_PATH, STATE_PATH, TOKEN_PATH, PROFILE_PATH) is the "default" athlete, so a
+ * single-athlete setup keeps working unchanged. Athletes connected through
+ * /auth/strava are listed in ATHLETES_PATH, each with its own data dir under
+ * ATHLETES_DIR (token, state, activity store, profile, prompt overrides).
+ *
+ * Code that touches tokens, storage or delivery targets runs inside
+ * runAsAthlete(); outside of it the default athlete applies.
+ *
+ * Registry file: { athletes: { "<strava id>": { strava_id, name,
+ *   telegram_chat_id, clawdbot_session_key, locale, units, connected_at } },
+ *   telegram_offset }
+ */
+
+import fs from "fs";
+import path from "path";
+import { AsyncLocalStorage } from "async_hooks";
+
+const {
+  STRAVA_REFRESH_TOKEN,
+  STRAVA_ATHLETE_ID,
+  TELEGRAM_CHAT_ID,
+  ATHLETES_PATH = "./athletes.json",
+  ATHLETES_DIR = "./athletes",
+} = process.env;
+
+export const DEFAULT_ATHLETE_KEY = "default";
+
+const context = new AsyncLocalStorage();
+
+function defaultAthlete() {
+  return {
+    key: DEFAULT_ATHLETE_KEY,
+    strava_id: STRAVA_ATHLETE_ID ? String(STRAVA_ATHLETE_ID) : null,
+    name: null,
+    telegram_chat_id: TELEGRAM_CHAT_ID ?? null,
+    clawdbot_session_key: "hook:strava",
+    refresh_token_seed: STRAVA_REFRESH_TOKEN || null,
+    // null: LOCALE / UNITS from .env apply
+    locale: null,
+    units: null,
+    // Empty: store / token modules fall back to their env paths
+    paths: {},
+  };
+}
+
+function connectedAthlete(entry) {
+  const id = String(entry.strava_id);
+  const dir = path.join(ATHLETES_DIR, id);
+  return {
+    key: id,
+    strava_id: id,
+    name: entry.name ?? null,
+    // Never the .env chat: that one belongs to the default athlete
+    telegram_chat_id: entry.telegram_chat_id ?? null,
+    clawdbot_session_key: entry.clawdbot_session_key ?? `hook:strava:${id}`,
+    refresh_token_seed: null,
+    locale: entry.locale ?? null,
+    units: entry.units ?? null,
+    paths: {
+      storePath: path.join(dir, "activity-store.jsonl"),
+      statePath: path.join(dir, "state.json"),
+      dbPath: path.join(dir, "activity-store.db"),
+      tokenPath: path.join(dir, "strava-token.json"),
+      profilePath: path.join(dir, "profile.json"),
+      promptsDir: path.join(dir, "prompts"),
+      chartsDir: path.join(dir, "charts"),
+    },
+  };
+}
+
+export function loadRegistry() {
+  try {
+    const data = JSON.parse(fs.readFileSync(ATHLETES_PATH, "utf8"));
+    return { ...data, athletes: data.athletes ?? {} };
+  } catch {
+    return { athletes: {} };
+  }
+}
+
+export function saveRegistry(registry) {
+  const dir = path.dirname(path.resolve(ATHLETES_PATH));
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+  const tmp = `${ATHLETES_PATH}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(registry, null, 2), "utf8");
+  fs.renameSync(tmp, ATHLETES_PATH);
+}
+
+/**
+ * Every athlete the bridge serves: the default one (when configured in .env)
+ * followed by the connected ones.
+ */
+export function listAthletes() {
+  const connected = Object.values(loadRegistry().athletes).map(connectedAthlete);
+  return STRAVA_REFRESH_TOKEN ? [defaultAthlete(), ...connected] : connected;
+}
+
+export function findAthlete(key) {
+  return listAthletes().find((a) => a.key === String(key)) ?? null;
+}
+
+/**
+ * Athlete a Strava webhook event belongs to. Unknown owners go to the default
+ * athlete only when its id matches (STRAVA_ATHLETE_ID) or, without that id,
+ * while nobody else is connected.
+ */
+export function athleteForOwner(ownerId) {
+  const athletes = listAthletes();
+  const connected = athletes.find((a) => a.key !== DEFAULT_ATHLETE_KEY && a.strava_id === String(ownerId));
+  if (connected) return connected;
+
+  const fallback = athletes.find((a) => a.key === DEFAULT_ATHLETE_KEY);
+  if (!fallback) return null;
+  if (fallback.strava_id) return fallback.strava_id === String(ownerId) ? fallback : null;
+  return athletes.length === 1 ? fallback : null;
+}
+
+/**
+ * Add or update a connected athlete; returns the athlete object.
+ */
+export function upsertAthlete({ strava_id, ...fields }) {
+  const registry = loadRegistry();
+  const id = String(strava_id);
+  const prev = registry.athletes[id] ?? {};
+  const defined = Object.fromEntries(Object.entries(fields).filter(([, v]) => v != null));
+  registry.athletes[id] = { ...prev, ...defined, strava_id: id };
+  saveRegistry(registry);
+  return connectedAthlete(registry.athletes[id]);
+}
+
+export function runAsAthlete(athlete, fn) {
+  return context.run(athlete, fn);
+}
+
+export function currentAthlete() {
+  return context.getStore() ?? defaultAthlete();
+}
@@ -0,0 +1,56 @@
+/**
+ * Helpers shared by the storage backends
+ */
+
+import fs from "fs";
+import path from "path";
+
+export function ensureDir(filePath) {
+  const dir = path.dirname(path.resolve(filePath));
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+}
+
+export function defaultState() {
+  return { lastCheckedAt: 0, processed: {} };
+}
+
+/**
+ * Normalized ISO start date of a record (local time preferred, as in the
+ * comparison logic), or null.
+ */
+export function recordStartIso(record) {
+  const raw = record?.activity?.start_date_local ?? record?.activity?.start_date;
+  if (!raw) return null;
+  const d = new Date(raw);
+  return Number.isNaN(d.getTime()) ? null : d.toISOString();
+}
+
+export function toIso(dateLike) {
+  if (dateLike == null) return null;
+  const d = dateLike instanceof Date ? dateLike : new Date(dateLike);
+  return Number.isNaN(d.getTime()) ? null : d.toISOString();
+}
+
+/**
+ * In-memory version of the query contract both backends implement:
+ * { type, sportType, from (inclusive), to (inclusive), limit } — results are
+ * ordered by start date, oldest first; `limit` keeps the most recent ones.
+ */
+export function filterRecords(records, { type, sportType, from, to, limit } = {}) {
+  const fromIso = toIso(from);
+  const toIsoDate = toIso(to);
+
+  const out = records
+    .filter((r) => !r?.deleted)
+    .filter((r) => type == null || r?.activity?.type === type)
+    .filter((r) => sportType == null || r?.activity?.sport_type === sportType)
+    .filter((r) => {
+      if (fromIso == null && toIsoDate == null) return true;
+      const start = recordStartIso(r);
+      if (start == null) return false;
+      return (fromIso == null || start >= fromIso) && (toIsoDate == null || start <= toIsoDate);
+    })
+    .sort((a, b) => String(recordStartIso(a) ?? "").localeCompare(String(recordStartIso(b) ?? "")));
+
+  return limit != null ? out.slice(Math.max(0, out.length - limit)) : out;
+}
@@ -0,0 +1,108 @@
+/**
+ * JSONL + JSON file storage backend (default)
+ *
+ * The activity file is append-only: later lines for the same activity id
+ * supersede earlier ones (updates), and a tombstone line removes the activity.
+ */
+
+import fs from "fs";
+import { ensureDir, defaultState, filterRecords } from "./common.js";
+
+export function createJsonlBackend({ storePath, statePath }) {
+  // Parsed store lines, reused while the file's size and mtime stay the same
+  // (appends from this process or another one change both). Records are
+  // shared between calls: callers must copy before changing one.
+  let cache = null;
+
+  function appendRecord(record) {
+    ensureDir(storePath);
+    fs.appendFileSync(storePath, JSON.stringify(record) + "\n", "utf8");
+  }
+
+  function parsedLines() {
+    let stat;
+    try {
+      stat = fs.statSync(storePath);
+    } catch {
+      cache = null;
+      return [];
+    }
+    if (cache?.size === stat.size && cache.mtimeMs === stat.mtimeMs) return cache.lines;
+
+    const lines = [];
+    for (const line of fs.readFileSync(storePath, "utf8").split("\n")) {
+      if (!line) continue;
+      try {
+        lines.push(JSON.parse(line));
+      } catch {
+        // A partial last line (append in progress) is picked up on the next read
+      }
+    }
+    cache = { size: stat.size, mtimeMs: stat.mtimeMs, lines, all: null };
+    return lines;
+  }
+
+  function resolve(lines) {
+    const byId = new Map();
+    const out = [];
+    for (const rec of lines) {
+      const id = rec?.activity?.id;
+      if (id == null) {
+        out.push(rec);
+        continue;
+      }
+      byId.delete(String(id));
+      if (!rec.deleted) byId.set(String(id), rec);
+    }
+    return out.concat([...byId.values()]);
+  }
+
+  function readRecords(limit = 2000) {
+    const lines = parsedLines();
+    if (!cache) return [];
+    if (limit < lines.length) return resolve(lines.slice(lines.length - limit));
+    cache.all ??= resolve(lines);
+    return [...cache.all];
+  }
+
+  return {
+    name: "jsonl",
+
+    appendRecord,
+
+    // Appending supersedes any earlier line for the same id
+    upsertRecord: appendRecord,
+
+    deleteRecord(activityId, source = "webhook") {
+      appendRecord({
+        stored_at: new Date().toISOString(),
+        source,
+        deleted: true,
+        activity: { id: activityId },
+      });
+    },
+
+    getRecord(activityId) {
+      return readRecords(Number.MAX_SAFE_INTEGER).find((r) => String(r?.activity?.id) === String(activityId)) ?? null;
+    },
+
+    readRecords,
+
+    queryRecords(query = {}) {
+      return filterRecords(readRecords(Number.MAX_SAFE_INTEGER), query);
+    },
+
+    getState() {
+      try {
+        return JSON.parse(fs.readFileSync(statePath, "utf8"));
+      } catch {
+        return defaultState();
+      }
+    },
+
+    setState(state) {
+      ensureDir(statePath);
+      fs.writeFileSync(statePath, JSON.stringify(state, null, 2), "utf8");
+    },
+  };
+}
@@ -0,0 +1,163 @@
+/**
+ * SQLite storage backend (STORE_BACKEND=sqlite)
+ *
+ * Requires the optional `better-sqlite3` dependency. Records are kept as JSON
+ * with the columns we filter on pulled out and indexed; state is a key/value
+ * table with one row per top-level state key.
+ */
+
+import { createRequire } from "module";
+import { ensureDir, defaultState, recordStartIso, toIso } from "./common.js";
+
+const require = createRequire(import.meta.url);
+
+function openDatabase(dbPath) {
+  let Database;
+  try {
+    Database = require("better-sqlite3");
+  } catch {
+    throw new Error("STORE_BACKEND=sqlite needs the better-sqlite3 package: npm install better-sqlite3");
+  }
+  if (dbPath !== ":memory:") ensureDir(dbPath);
+  const db = new Database(dbPath);
+  db.pragma("journal_mode = WAL");
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS activities (
+      id          TEXT PRIMARY KEY,
+      type        TEXT,
+      sport_type  TEXT,
+      start_date  TEXT,
+      stored_at   TEXT,
+      deleted     INTEGER NOT NULL DEFAULT 0,
+      seq         INTEGER NOT NULL,
+      record      TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS activities_type_start ON activities (type, start_date);
+    CREATE INDEX IF NOT EXISTS activities_start ON activities (start_date);
+    CREATE INDEX IF NOT EXISTS activities_seq ON activities (seq);
+
+    CREATE TABLE IF NOT EXISTS state (
+      key   TEXT PRIMARY KEY,
+      value TEXT NOT NULL
+    );
+  `);
+  return db;
+}
+
+export function createSqliteBackend({ dbPath }) {
+  const db = openDatabase(dbPath);
+
+  const nextSeq = db.prepare("SELECT COALESCE(MAX(seq), 0) + 1 AS seq FROM activities");
+  const upsert = db.prepare(`
+    INSERT INTO activities (id, type, sport_type, start_date, stored_at, deleted, seq, record)
+    VALUES (@id, @type, @sport_type, @start_date, @stored_at, @deleted, @seq, @record)
+    ON CONFLICT(id) DO UPDATE SET
+      type = excluded.type,
+      sport_type = excluded.sport_type,
+      start_date = excluded.start_date,
+      stored_at = excluded.stored_at,
+      deleted = excluded.deleted,
+      seq = excluded.seq,
+      record = excluded.record
+  `);
+  const markDeleted = db.prepare("UPDATE activities SET deleted = 1, stored_at = ?, seq = ? WHERE id = ?");
+  const selectOne = db.prepare("SELECT record FROM activities WHERE id = ? AND deleted = 0");
+  const selectTail = db.prepare("SELECT record FROM activities WHERE deleted = 0 ORDER BY seq DESC LIMIT ?");
+  const selectState = db.prepare("SELECT key, value FROM state");
+  const upsertState = db.prepare(
+    "INSERT INTO state (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value"
+  );
+  const deleteState = db.prepare("DELETE FROM state WHERE key = ?");
+
+  const parse = (row) => JSON.parse(row.record);
+
+  function upsertRecord(record) {
+    const id = record?.activity?.id;
+    if (id == null) throw new Error("sqlite store: record without activity.id");
+    upsert.run({
+      id: String(id),
+      type: record.activity.type ?? null,
+      sport_type: record.activity.sport_type ?? null,
+      start_date: recordStartIso(record),
+      stored_at: record.stored_at ?? new Date().toISOString(),
+      deleted: record.deleted ? 1 : 0,
+      seq: nextSeq.get().seq,
+      record: JSON.stringify(record),
+    });
+  }
+
+  const setStateTx = db.transaction((state) => {
+    const keys = new Set(Object.keys(state));
+    for (const { key } of selectState.all()) if (!keys.has(key)) deleteState.run(key);
+    for (const [key, value] of Object.entries(state)) upsertState.run(key, JSON.stringify(value));
+  });
+
+  return {
+    name: "sqlite",
+    db,
+
+    appendRecord: upsertRecord,
+    upsertRecord,
+
+    deleteRecord(activityId) {
+      markDeleted.run(new Date().toISOString(), nextSeq.get().seq, String(activityId));
+    },
+
+    getRecord(activityId) {
+      const row = selectOne.get(String(activityId));
+      return row ? parse(row) : null;
+    },
+
+    readRecords(limit = 2000) {
+      return selectTail.all(Math.min(limit, Number.MAX_SAFE_INTEGER)).map(parse).reverse();
+    },
+
+    queryRecords({ type, sportType, from, to, limit } = {}) {
+      const where = ["deleted = 0"];
+      const params = [];
+      if (type != null) {
+        where.push("type = ?");
+        params.push(type);
+      }
+      if (sportType != null) {
+        where.push("sport_type = ?");
+        params.push(sportType);
+      }
+      if (toIso(from) != null) {
+        where.push("start_date >= ?");
+        params.push(toIso(from));
+      }
+      if (toIso(to) != null) {
+        where.push("start_date <= ?");
+        params.push(toIso(to));
+      }
+      // Most recent `limit` rows, returned oldest first (same as the JSONL backend)
+      const sql = `SELECT record FROM activities WHERE ${where.join(" AND ")} ORDER BY start_date DESC${
+        limit != null ? " LIMIT ?" : ""
+      }`;
+      if (limit != null) params.push(limit);
+      return db.prepare(sql).all(...params).map(parse).reverse();
+    },
+
+    getState() {
+      const rows = selectState.all();
+      if (!rows.length) return defaultState();
+      const state = defaultState();
+      for (const { key, value } of rows) state[key] = JSON.parse(value);
+      return state;
+    },
+
+    setState(state) {
+      setStateTx(state);
+    },
+
+    /**
+     * Bulk import in a single transaction (migration).
+     */
+    importRecords(records) {
+      db.transaction((rs) => {
+        for (const r of rs) upsertRecord(r);
+      })(records);
+    },
+  };
+}
@@ -0,0 +1,25 @@
+/**
+ * One-off migration: JSONL store + JSON state → SQLite
+ * Paths default to the current athlete's files: STORE_PATH / STATE_PATH /
+ * SQLITE_PATH for the default one, its data dir for a connected athlete.
+ */
+
+import { createBackend } from "./store.js";
+import { currentAthlete } from "./athletes.js";
+
+export function migrateJsonlToSqlite({ storePath, statePath, dbPath, log = console.log } = {}) {
+  const { paths } = currentAthlete();
+  const source = createBackend("jsonl", { storePath: storePath ?? paths.storePath, statePath: statePath ?? paths.statePath });
+  const target = createBackend("sqlite", { dbPath: dbPath ?? paths.dbPath });
+
+  const records = source.readRecords(Number.MAX_SAFE_INTEGER).filter((r) => r?.activity?.id != null);
+  target.importRecords(records);
+  log(`📦 Imported ${records.length} activity records`);
+
+  const state = source.getState();
+  target.setState({ ...target.getState(), ...state });
+  log(`📦 Imported state (${Object.keys(state.processed ?? {}).length} processed ids)`);
+
+  target.db.close();
+  return { records: records.length };
+}
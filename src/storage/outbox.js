@@ -0,0 +1,114 @@
+/**
+ * Outbox storage (JSONL, one delivery per line)
+ *
+ * Every outbound message (Telegram, Clawdbot) is written here first and sent
+ * by the delivery worker. Each delivery has a stable id, so enqueueing the
+ * same activity twice is a no-op and a restart never re-sends what already
+ * went out.
+ *
+ * Entry: { id, channel, payload, status: "pending" | "sent" | "dead",
+ *          attempts, next_attempt_at, created_at, sent_at, last_error }
+ * Sent entries lose their payload: only the id matters from then on, and the
+ * file is rewritten on every change.
+ */
+
+import fs from "fs";
+import path from "path";
+
+const { STATE_PATH = "./state.json", OUTBOX_KEEP_SENT = "1000" } = process.env;
+
+// Lives next to the state file unless told otherwise
+const OUTBOX_PATH = process.env.OUTBOX_PATH || path.join(path.dirname(STATE_PATH), "outbox.jsonl");
+
+function ensureDir(filePath) {
+  const dir = path.dirname(path.resolve(filePath));
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+}
+
+export function loadOutbox() {
+  if (!fs.existsSync(OUTBOX_PATH)) return [];
+  const out = [];
+  for (const line of fs.readFileSync(OUTBOX_PATH, "utf8").split("\n")) {
+    if (!line) continue;
+    try {
+      out.push(JSON.parse(line));
+    } catch {}
+  }
+  return out;
+}
+
+function pruneSent(entries) {
+  const keep = Math.max(0, Number(OUTBOX_KEEP_SENT) || 0);
+  const sent = entries.filter((e) => e.status === "sent");
+  if (sent.length <= keep) return entries;
+  const drop = new Set(
+    sent
+      .sort((a, b) => (a.sent_at ?? 0) - (b.sent_at ?? 0)) // oldest first
+      .slice(0, sent.length - keep)
+      .map((e) => e.id)
+  );
+  return entries.filter((e) => !drop.has(e.id));
+}
+
+// Also strips entries written before sent ones dropped their payload
+function withoutPayload({ payload, ...entry }) {
+  return entry;
+}
+
+export function saveOutbox(entries) {
+  ensureDir(OUTBOX_PATH);
+  const body = pruneSent(entries)
+    .map((e) => JSON.stringify(e.status === "sent" ? withoutPayload(e) : e))
+    .join("\n");
+  const tmp = `${OUTBOX_PATH}.tmp`;
+  fs.writeFileSync(tmp, body ? body + "\n" : "", "utf8");
+  fs.renameSync(tmp, OUTBOX_PATH);
+}
+
+/**
+ * Add a delivery unless one with the same id already exists (in any status).
+ * Returns true when a new entry was written.
+ */
+export function enqueueDelivery({ id, channel, payload }) {
+  const entries = loadOutbox();
+  if (entries.some((e) => e.id === id)) return false;
+  entries.push({
+    id,
+    channel,
+    payload,
+    status: "pending",
+    attempts: 0,
+    next_attempt_at: Date.now(),
+    created_at: Date.now(),
+    sent_at: null,
+    last_error: null,
+  });
+  saveOutbox(entries);
+  return true;
+}
+
+export function updateDelivery(id, patch) {
+  const entries = loadOutbox();
+  const entry = entries.find((e) => e.id === id);
+  if (!entry) return null;
+  Object.assign(entry, patch);
+  saveOutbox(entries);
+  return entry;
+}
+
+export function dueDeliveries(now = Date.now()) {
+  return loadOutbox()
+    .filter((e) => e.status === "pending" && (e.next_attempt_at ?? 0) <= now)
+    .sort((a, b) => (a.created_at ?? 0) - (b.created_at ?? 0));
+}
+
+export function deadLetters() {
+  return loadOutbox().filter((e) => e.status === "dead");
+}
+
+/**
+ * Put a dead-lettered delivery back in the queue (fresh attempt counter).
+ */
+export function requeueDelivery(id) {
+  return updateDelivery(id, { status: "pending", attempts: 0, next_attempt_at: Date.now(), last_error: null });
+}
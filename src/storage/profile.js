@@ -0,0 +1,125 @@
+/**
+ * Athlete profile: heart rate, FTP, threshold pace, weight and HR zone model,
+ * with a dated history
+ *
+ * PROFILE_PATH (connected athletes: profile.json in their data dir) holds
+ *   { history: [{ from: "YYYY-MM-DD", ftp_w: 260, weight_kg: 70.5, ... }] }
+ * Each entry only sets what changed on that day. profileOn(date) layers the
+ * entries up to `date` over the ATHLETE_* values from .env, so an activity is
+ * (re)processed with the numbers that were valid on its day.
+ */
+
+import fs from "fs";
+import path from "path";
+import { currentAthlete } from "./athletes.js";
+import { parsePace } from "../utils/formatters.js";
+import { HR_ZONE_MODELS } from "../utils/stream-analysis.js";
+
+const {
+  PROFILE_PATH = "./athlete-profile.json",
+  ATHLETE_HR_MAX,
+  ATHLETE_HR_REST,
+  ATHLETE_LTHR,
+  ATHLETE_FTP,
+  ATHLETE_THRESHOLD_PACE,
+  ATHLETE_WEIGHT_KG,
+  ATHLETE_SEX,
+} = process.env;
+
+const positive = (x) => (x != null && x !== "" && Number(x) > 0 ? Number(x) : null);
+
+// Field → parser (null = invalid / unset)
+const FIELDS = {
+  hr_max: positive,
+  hr_rest: positive,
+  lthr: positive,
+  ftp_w: positive,
+  threshold_pace_sec_per_km: (x) => positive(parsePace(x)),
+  weight_kg: positive,
+  sex: (x) => (["m", "f"].includes(String(x ?? "").toLowerCase()) ? String(x).toLowerCase() : null),
+  hr_zone_model: (x) => (Object.hasOwn(HR_ZONE_MODELS, String(x ?? "")) ? String(x) : null),
+};
+
+function profilePath() {
+  return currentAthlete().paths.profilePath ?? PROFILE_PATH;
+}
+
+function envProfile() {
+  return {
+    hr_max: FIELDS.hr_max(ATHLETE_HR_MAX),
+    hr_rest: FIELDS.hr_rest(ATHLETE_HR_REST),
+    lthr: FIELDS.lthr(ATHLETE_LTHR),
+    ftp_w: FIELDS.ftp_w(ATHLETE_FTP),
+    threshold_pace_sec_per_km: FIELDS.threshold_pace_sec_per_km(ATHLETE_THRESHOLD_PACE),
+    weight_kg: FIELDS.weight_kg(ATHLETE_WEIGHT_KG),
+    sex: FIELDS.sex(ATHLETE_SEX) ?? "m",
+    hr_zone_model: null,
+  };
+}
+
+export function loadProfile() {
+  try {
+    const data = JSON.parse(fs.readFileSync(profilePath(), "utf8"));
+    const history = Array.isArray(data.history) ? data.history : [];
+    return { ...data, history: history.filter((e) => /^\d{4}-\d{2}-\d{2}$/.test(e?.from ?? "")) };
+  } catch {
+    return { history: [] };
+  }
+}
+
+export function saveProfile(profile) {
+  const file = profilePath();
+  const dir = path.dirname(path.resolve(file));
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(profile, null, 2), "utf8");
+  fs.renameSync(tmp, file);
+}
+
+/**
+ * Profile valid on a local date: every field, with `sources` telling which
+ * came from the history ("profile") and which from .env ("env").
+ */
+export function profileOn(date, profile = loadProfile()) {
+  const out = envProfile();
+  const sources = Object.fromEntries(Object.entries(out).map(([k, v]) => [k, v != null ? "env" : null]));
+  let validFrom = null;
+
+  const entries = [...profile.history].sort((a, b) => a.from.localeCompare(b.from));
+  for (const entry of entries) {
+    if (date && entry.from > date) break;
+    validFrom = entry.from;
+    for (const [key, parse] of Object.entries(FIELDS)) {
+      if (!Object.hasOwn(entry, key)) continue;
+      out[key] = parse(entry[key]);
+      sources[key] = out[key] != null ? "profile" : null;
+    }
+  }
+  return { ...out, valid_from: validFrom, sources };
+}
+
+/**
+ * Record changes valid from `from` (merged into an entry of the same day).
+ * Unknown fields are ignored; invalid values throw. Returns the history.
+ */
+export function updateProfile(fields, from) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(from ?? "")) throw new Error(`Invalid date: ${from} (expected YYYY-MM-DD)`);
+
+  const changes = {};
+  for (const [key, value] of Object.entries(fields)) {
+    if (!Object.hasOwn(FIELDS, key) || value === undefined) continue;
+    // null clears a field from that day on (back to .env / estimates)
+    const parsed = value === null ? null : FIELDS[key](value);
+    if (value !== null && parsed == null) throw new Error(`Invalid ${key}: ${value}`);
+    changes[key] = parsed;
+  }
+  if (!Object.keys(changes).length) throw new Error("Nothing to change");
+
+  const profile = loadProfile();
+  const existing = profile.history.find((e) => e.from === from);
+  if (existing) Object.assign(existing, changes);
+  else profile.history.push({ from, ...changes });
+  profile.history.sort((a, b) => a.from.localeCompare(b.from));
+  saveProfile(profile);
+  return profile.history;
+}
@@ -1,49 +1,85 @@
 /**
- * Storage layer (JSONL + state file)
+ * Storage layer
+ *
+ * Activity records + state behind a pluggable backend:
+ * - jsonl (default): STORE_PATH (JSONL) + STATE_PATH (JSON)
+ * - sqlite: SQLITE_PATH, needs the optional better-sqlite3 dependency
+ *
+ * One backend per athlete: the default athlete uses the paths above,
+ * connected athletes their own data dir (see athletes.js).
  */
 
-import fs from "fs";
-import path from "path";
 import { safeNum } from "../utils/formatters.js";
-import { isPaceBased, avgPaceSecPerKm, avgSpeedKmh, pctDiff } from "../utils/stream-analysis.js";
+import { activityMode, avgPaceSecPerKm, avgSpeedKmh, pctDiff } from "../utils/stream-analysis.js";
+import { createJsonlBackend } from "./backends/jsonl.js";
+import { createSqliteBackend } from "./backends/sqlite.js";
+import { currentAthlete } from "./athletes.js";
 
-const { STORE_PATH = "./activity-store.jsonl", STATE_PATH = "./state.json" } = process.env;
+const {
+  STORE_BACKEND = "jsonl",
+  STORE_PATH = "./activity-store.jsonl",
+  STATE_PATH = "./state.json",
+  SQLITE_PATH = "./activity-store.db",
+} = process.env;
 
-function ensureDir(filePath) {
-  const dir = path.dirname(path.resolve(filePath));
-  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+export function createBackend(kind = STORE_BACKEND, paths = {}) {
+  switch (String(kind).toLowerCase()) {
+    case "jsonl":
+      return createJsonlBackend({ storePath: paths.storePath ?? STORE_PATH, statePath: paths.statePath ?? STATE_PATH });
+    case "sqlite":
+      return createSqliteBackend({ dbPath: paths.dbPath ?? SQLITE_PATH });
+    default:
+      throw new Error(`Unknown STORE_BACKEND: ${kind} (expected jsonl or sqlite)`);
+  }
+}
+
+const backends = new Map(); // athlete key → backend
+
+export function getBackend() {
+  const athlete = currentAthlete();
+  if (!backends.has(athlete.key)) backends.set(athlete.key, createBackend(STORE_BACKEND, athlete.paths));
+  return backends.get(athlete.key);
 }
 
 export function appendStore(record) {
-  ensureDir(STORE_PATH);
-  fs.appendFileSync(STORE_PATH, JSON.stringify(record) + "\n", "utf8");
+  getBackend().appendRecord(record);
 }
 
+/**
+ * Insert or replace the record for `record.activity.id`.
+ */
+export function upsertStore(record) {
+  getBackend().upsertRecord(record);
+}
+
+/**
+ * Latest `limit` records (one per activity id, deleted ones excluded).
+ */
 export function readStore(limit = 2000) {
-  if (!fs.existsSync(STORE_PATH)) return [];
-  const content = fs.readFileSync(STORE_PATH, "utf8");
-  const lines = content.split("\n").filter(Boolean);
-  const tail = lines.slice(Math.max(0, lines.length - limit));
-  const out = [];
-  for (const line of tail) {
-    try {
-      out.push(JSON.parse(line));
-    } catch {}
-  }
-  return out;
+  return getBackend().readRecords(limit);
+}
+
+/**
+ * Records filtered by { type, sportType, from, to, limit }, oldest first.
+ */
+export function queryStore(query = {}) {
+  return getBackend().queryRecords(query);
+}
+
+export function findStoredActivity(activityId) {
+  return getBackend().getRecord(activityId);
+}
+
+export function tombstoneActivity(activityId, source = "webhook") {
+  getBackend().deleteRecord(activityId, source);
 }
 
 export function loadState() {
-  try {
-    return JSON.parse(fs.readFileSync(STATE_PATH, "utf8"));
-  } catch {
-    return { lastCheckedAt: 0, processed: {} };
-  }
+  return getBackend().getState();
 }
 
 export function saveState(state) {
-  ensureDir(STATE_PATH);
-  fs.writeFileSync(STATE_PATH, JSON.stringify(state, null, 2), "utf8");
+  getBackend().setState(state);
 }
 
 export function pruneProcessed(state, maxItems = 4000) {
@@ -72,7 +108,7 @@ export function pickComparableLastWeek(current, history) {
   const curDist = safeNum(current.activity.distance_m);
 
   const candidates = history
-    .filter((r) => r?.activity?.id && r.activity.id !== current.activity.id)
+    .filter((r) => r?.activity?.id && !r.deleted && r.activity.id !== current.activity.id)
     .filter((r) => r?.activity?.type === curType)
     .filter((r) => {
       const dt = new Date(r.activity.start_date_local ?? r.activity.start_date ?? 0);
@@ -94,19 +130,95 @@ export function pickComparableLastWeek(current, history) {
   return candidates[0] ?? null;
 }
 
+// Climbing rates (m/km) further apart than this make raw pace unfair to compare
+const TERRAIN_DIFF_M_PER_KM = 10;
+
+// Conditions further apart than this explain pace / HR differences on their own
+const CONDITIONS_TEMP_DIFF_C = 8;
+const CONDITIONS_WIND_DIFF_KMH = 15;
+const WET_CONDITIONS = ["drizzle", "rain", "snow", "thunderstorm"];
+
+function conditionsOf(record) {
+  const env = record.derived?.environment;
+  const w = env?.weather;
+  return {
+    air_c: safeNum(w?.feels_like_c ?? w?.temp_c),
+    device_c: safeNum(env?.temp_avg_c ?? record.derived?.temp_avg_c),
+    wind_kmh: safeNum(w?.wind_kmh),
+    wet: w?.conditions ? WET_CONDITIONS.includes(w.conditions) : null,
+  };
+}
+
+/**
+ * How the conditions of two efforts differed: { differ, reasons (hotter /
+ * colder / windier / calmer / wet / dry), temp_delta_c, temp_basis,
+ * wind_delta_kmh }, or null with nothing to compare. Temperatures compare
+ * like with like: weather (feels-like) for both, else the device stream.
+ */
+function compareConditions(current, prev) {
+  const cur = conditionsOf(current);
+  const old = conditionsOf(prev);
+
+  const airBoth = cur.air_c != null && old.air_c != null;
+  const tempDelta = airBoth
+    ? cur.air_c - old.air_c
+    : cur.device_c != null && old.device_c != null
+    ? cur.device_c - old.device_c
+    : null;
+  const windDelta = cur.wind_kmh != null && old.wind_kmh != null ? cur.wind_kmh - old.wind_kmh : null;
+  const wetBoth = cur.wet != null && old.wet != null;
+  if (tempDelta == null && windDelta == null && !wetBoth) return null;
+
+  const reasons = [
+    tempDelta != null && Math.abs(tempDelta) >= CONDITIONS_TEMP_DIFF_C ? (tempDelta > 0 ? "hotter" : "colder") : null,
+    windDelta != null && Math.abs(windDelta) >= CONDITIONS_WIND_DIFF_KMH ? (windDelta > 0 ? "windier" : "calmer") : null,
+    wetBoth && cur.wet !== old.wet ? (cur.wet ? "wet" : "dry") : null,
+  ].filter(Boolean);
+
+  return {
+    differ: reasons.length > 0,
+    reasons,
+    temp_delta_c: tempDelta != null ? Math.round(tempDelta * 10) / 10 : null,
+    temp_basis: tempDelta == null ? null : airBoth ? "weather" : "device",
+    wind_delta_kmh: windDelta != null ? Math.round(windDelta) : null,
+  };
+}
+
+function gainPerKm(activity) {
+  const km = safeNum(activity.distance_m) != null ? activity.distance_m / 1000 : null;
+  const gain = safeNum(activity.total_elevation_gain_m);
+  return km > 0 && gain != null ? gain / km : null;
+}
+
 export function compareCurrentVsPrev(current, prev) {
   if (!prev) return null;
 
   const cur = current.activity;
   const old = prev.activity;
 
-  const paceBased = isPaceBased(cur.type, cur.sport_type);
+  const mode = activityMode(cur.type, cur.sport_type, cur.distance_m);
+  const paceBased = mode === "pace";
+  // Swims compare pace too (per km here, per 100 m when shown); time-based sessions neither
+  const paceLike = paceBased || mode === "swim";
 
-  const curPace = paceBased ? avgPaceSecPerKm(cur.distance_m, cur.moving_time_s) : null;
-  const oldPace = paceBased ? avgPaceSecPerKm(old.distance_m, old.moving_time_s) : null;
+  // Grade-adjusted pace when the terrain differs a lot and both have it
+  const curClimb = gainPerKm(cur);
+  const oldClimb = gainPerKm(old);
+  const curGap = safeNum(current.derived?.gap_sec_per_km);
+  const oldGap = safeNum(prev.derived?.gap_sec_per_km);
+  const useGap =
+    paceBased &&
+    curGap != null &&
+    oldGap != null &&
+    curClimb != null &&
+    oldClimb != null &&
+    Math.abs(curClimb - oldClimb) >= TERRAIN_DIFF_M_PER_KM;
 
-  const curSpeed = !paceBased ? avgSpeedKmh(cur.distance_m, cur.moving_time_s) : null;
-  const oldSpeed = !paceBased ? avgSpeedKmh(old.distance_m, old.moving_time_s) : null;
+  const curPace = paceLike ? (useGap ? curGap : avgPaceSecPerKm(cur.distance_m, cur.moving_time_s)) : null;
+  const oldPace = paceLike ? (useGap ? oldGap : avgPaceSecPerKm(old.distance_m, old.moving_time_s)) : null;
+
+  const curSpeed = mode === "speed" ? avgSpeedKmh(cur.distance_m, cur.moving_time_s) : null;
+  const oldSpeed = mode === "speed" ? avgSpeedKmh(old.distance_m, old.moving_time_s) : null;
 
   const curHrAvg = safeNum(current.derived?.hr_avg_stream ?? cur.average_heartrate);
   const oldHrAvg = safeNum(prev.derived?.hr_avg_stream ?? old.average_heartrate);
@@ -114,13 +226,25 @@ export function compareCurrentVsPrev(current, prev) {
   const curHrMax = safeNum(current.derived?.hr_max_stream ?? null);
   const oldHrMax = safeNum(prev.derived?.hr_max_stream ?? null);
 
+  // EF only compares like with like (W/bpm vs W/bpm)
+  const curEf = current.derived?.efficiency;
+  const oldEf = prev.derived?.efficiency;
+  const sameEf = curEf?.metric != null && curEf.metric === oldEf?.metric;
+
   const curPwr = safeNum(current.derived?.power_avg ?? cur.average_watts);
   const oldPwr = safeNum(prev.derived?.power_avg ?? old.average_watts);
 
   return {
     prev_activity_id: old.id,
     prev_start_date_local: old.start_date_local ?? old.start_date ?? null,
-    mode: paceBased ? "pace" : "speed",
+    mode,
+    pace_basis: paceLike ? (useGap ? "grade_adjusted" : "raw") : null,
+    terrain_m_per_km: {
+      current: curClimb != null ? Math.round(curClimb * 10) / 10 : null,
+      previous: oldClimb != null ? Math.round(oldClimb * 10) / 10 : null,
+    },
+    // differ: true = heat / wind / rain alone can explain the pace and HR deltas
+    conditions: compareConditions(current, prev),
     delta: {
       distance_m:
         safeNum(cur.distance_m) != null && safeNum(old.distance_m) != null ? cur.distance_m - old.distance_m : null,
@@ -131,7 +255,7 @@ export function compareCurrentVsPrev(current, prev) {
           ? cur.total_elevation_gain_m - old.total_elevation_gain_m
           : null,
 
-      // pace: negative = faster
+      // pace (grade-adjusted when pace_basis says so): negative = faster
       avg_pace_sec_per_km: curPace != null && oldPace != null ? curPace - oldPace : null,
       avg_pace_pct: curPace != null && oldPace != null ? pctDiff(curPace, oldPace) : null,
 
@@ -144,6 +268,14 @@ export function compareCurrentVsPrev(current, prev) {
 
       power_avg_w: curPwr != null && oldPwr != null ? curPwr - oldPwr : null,
       power_avg_pct: curPwr != null && oldPwr != null ? pctDiff(curPwr, oldPwr) : null,
+
+      // efficiency factor: positive = more output per heartbeat
+      efficiency_factor: sameEf && curEf.ef != null && oldEf.ef != null ? Math.round((curEf.ef - oldEf.ef) * 1000) / 1000 : null,
+      efficiency_factor_pct: sameEf ? pctDiff(curEf.ef, oldEf.ef) : null,
+      decoupling_pct:
+        curEf?.decoupling_pct != null && oldEf?.decoupling_pct != null
+          ? Math.round((curEf.decoupling_pct - oldEf.decoupling_pct) * 10) / 10
+          : null,
     },
   };
 }
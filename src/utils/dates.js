@@ -0,0 +1,66 @@
+/**
+ * Calendar helpers (local dates as "YYYY-MM-DD" strings, timezone via Intl)
+ */
+
+const WEEKDAYS = { Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6, Sun: 7 };
+
+/**
+ * Wall-clock parts of `date` in `timeZone` (defaults to the process zone).
+ * weekday: 1 = Monday … 7 = Sunday.
+ */
+export function localParts(date = new Date(), timeZone) {
+  const fmt = new Intl.DateTimeFormat("en-US", {
+    timeZone: timeZone || undefined,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    weekday: "short",
+    hourCycle: "h23",
+  });
+  const p = Object.fromEntries(fmt.formatToParts(date).map((x) => [x.type, x.value]));
+  return {
+    date: `${p.year}-${p.month}-${p.day}`,
+    year: Number(p.year),
+    month: Number(p.month),
+    day: Number(p.day),
+    hour: Number(p.hour),
+    minute: Number(p.minute),
+    weekday: WEEKDAYS[p.weekday],
+  };
+}
+
+export function addDays(dateStr, n) {
+  const [y, m, d] = dateStr.split("-").map(Number);
+  return new Date(Date.UTC(y, m - 1, d + n)).toISOString().slice(0, 10);
+}
+
+export function addMonths(dateStr, n) {
+  const [y, m] = dateStr.split("-").map(Number);
+  return new Date(Date.UTC(y, m - 1 + n, 1)).toISOString().slice(0, 10);
+}
+
+export function daysBetween(fromStr, toStr) {
+  return Math.round((Date.parse(`${toStr}T00:00:00Z`) - Date.parse(`${fromStr}T00:00:00Z`)) / 86400000);
+}
+
+/**
+ * "HH:MM" → minutes since midnight (null when malformed).
+ */
+export function parseClock(hhmm) {
+  const m = /^(\d{1,2}):(\d{2})$/.exec(String(hhmm ?? "").trim());
+  if (!m) return null;
+  const h = Number(m[1]);
+  const mi = Number(m[2]);
+  return h < 24 && mi < 60 ? h * 60 + mi : null;
+}
+
+/**
+ * Local calendar day of a stored record. Strava's start_date_local is the
+ * athlete's wall clock (with a misleading "Z"), so its date part is the day.
+ */
+export function recordLocalDate(record) {
+  const raw = record?.activity?.start_date_local ?? record?.activity?.start_date;
+  return typeof raw === "string" && /^\d{4}-\d{2}-\d{2}/.test(raw) ? raw.slice(0, 10) : null;
+}
@@ -2,6 +2,10 @@
  * Formatting utilities
  */
 
+export const MILE_M = 1609.344;
+export const FOOT_M = 0.3048;
+export const YARD_M = 0.9144;
+
 export function safeNum(x) {
   return typeof x === "number" && Number.isFinite(x) ? x : null;
 }
@@ -16,11 +20,36 @@ export function secToHMS(sec) {
     : `${m}:${String(s).padStart(2, "0")}`;
 }
 
-export function secToPace(secPerKm) {
+/**
+ * Pace from seconds per km: "4:30/km", or "7:14/mi" for imperial units.
+ */
+export function secToPace(secPerKm, units = "metric") {
   if (!Number.isFinite(secPerKm) || secPerKm <= 0) return "n/d";
-  const m = Math.floor(secPerKm / 60);
-  const s = Math.round(secPerKm % 60);
-  return `${m}:${String(s).padStart(2, "0")}/km`;
+  const imperial = units === "imperial";
+  const sec = imperial ? secPerKm * (MILE_M / 1000) : secPerKm;
+  // Round first, so 4:59.6 shows as 5:00 rather than 4:60
+  const total = Math.round(sec);
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, "0")}/${imperial ? "mi" : "km"}`;
+}
+
+/**
+ * Swim pace from seconds per 100 m: "1:45/100m", or "1:36/100yd" for imperial units.
+ */
+export function secToSwimPace(secPer100m, units = "metric") {
+  if (!Number.isFinite(secPer100m) || secPer100m <= 0) return "n/d";
+  const imperial = units === "imperial";
+  const total = Math.round(imperial ? secPer100m * YARD_M : secPer100m);
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, "0")}/${imperial ? "100yd" : "100m"}`;
+}
+
+/**
+ * "4:30" (min:sec per km) or plain seconds → seconds per km (null when empty).
+ */
+export function parsePace(value) {
+  if (value == null || value === "") return null;
+  const m = /^(\d+):(\d{2})(?:\/km)?$/.exec(String(value).trim());
+  if (m) return Number(m[1]) * 60 + Number(m[2]);
+  return Number.isFinite(Number(value)) ? Number(value) : null;
 }
 
 export function msToKmh(ms) {
@@ -28,9 +57,50 @@ export function msToKmh(ms) {
   return ms * 3.6;
 }
 
-export function fmtKmh(kmh) {
+export function fmtKmh(kmh, units = "metric") {
   if (!Number.isFinite(kmh)) return "n/d";
-  return `${kmh.toFixed(1)} km/h`;
+  return units === "imperial" ? `${(kmh / (MILE_M / 1000)).toFixed(1)} mph` : `${kmh.toFixed(1)} km/h`;
+}
+
+/**
+ * Meters → "10.00 km" / "6.21 mi".
+ */
+export function fmtDistance(m, units = "metric", digits = 2) {
+  if (!Number.isFinite(m)) return "n/d";
+  return units === "imperial" ? `${(m / MILE_M).toFixed(digits)} mi` : `${(m / 1000).toFixed(digits)} km`;
+}
+
+/**
+ * Swim distance in meters → "1500 m" / "1640 yd".
+ */
+export function fmtSwimDistance(m, units = "metric") {
+  if (!Number.isFinite(m)) return "n/d";
+  return units === "imperial" ? `${Math.round(m / YARD_M)} yd` : `${Math.round(m)} m`;
+}
+
+/**
+ * Climb in meters → "120 m" / "394 ft".
+ */
+export function fmtElevation(m, units = "metric") {
+  if (!Number.isFinite(m)) return "n/d";
+  return units === "imperial" ? `${Math.round(m / FOOT_M)} ft` : `${Math.round(m)} m`;
+}
+
+/**
+ * °C → "24°C" / "75°F".
+ */
+export function fmtTemp(c, units = "metric") {
+  if (!Number.isFinite(c)) return "n/d";
+  return units === "imperial" ? `${Math.round((c * 9) / 5 + 32)}°F` : `${Math.round(c)}°C`;
+}
+
+/**
+ * Temperature difference in °C → "+4°C" / "+7°F".
+ */
+export function fmtTempDelta(c, units = "metric") {
+  if (!Number.isFinite(c)) return "n/d";
+  const v = Math.round(units === "imperial" ? (c * 9) / 5 : c);
+  return `${v > 0 ? "+" : v < 0 ? "−" : "±"}${Math.abs(v)}°${units === "imperial" ? "F" : "C"}`;
 }
 
 export function escapeHtml(s) {
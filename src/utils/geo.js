@@ -0,0 +1,116 @@
+/**
+ * GPS helpers: distances, route resampling and polyline signatures
+ */
+
+const EARTH_RADIUS_M = 6371000;
+
+// Points per route signature, spread evenly along the track
+export const SIGNATURE_POINTS = 32;
+
+export const isLatLng = (p) => Array.isArray(p) && p.length === 2 && p.every(Number.isFinite);
+
+export function haversineM([lat1, lng1], [lat2, lng2]) {
+  const rad = Math.PI / 180;
+  const dLat = (lat2 - lat1) * rad;
+  const dLng = (lng2 - lng1) * rad;
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(lat1 * rad) * Math.cos(lat2 * rad) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.sqrt(h));
+}
+
+/**
+ * `n` points evenly spaced by distance along the track (first and last
+ * included), or null when the track is too short to resample.
+ */
+export function resampleTrack(latlng, n = SIGNATURE_POINTS) {
+  const pts = (latlng ?? []).filter(isLatLng);
+  if (pts.length < 2 || n < 2) return null;
+
+  const cumulative = [0];
+  for (let i = 1; i < pts.length; i++) cumulative.push(cumulative[i - 1] + haversineM(pts[i - 1], pts[i]));
+  const total = cumulative.at(-1);
+  if (total <= 0) return null;
+
+  const out = [];
+  let j = 1;
+  for (let k = 0; k < n; k++) {
+    const target = (total * k) / (n - 1);
+    while (j < pts.length - 1 && cumulative[j] < target) j++;
+    const span = cumulative[j] - cumulative[j - 1];
+    const f = span > 0 ? Math.min(1, Math.max(0, (target - cumulative[j - 1]) / span)) : 0;
+    out.push([
+      pts[j - 1][0] + (pts[j][0] - pts[j - 1][0]) * f,
+      pts[j - 1][1] + (pts[j][1] - pts[j - 1][1]) * f,
+    ]);
+  }
+  return { points: out, distance_m: Math.round(total) };
+}
+
+/**
+ * Google encoded polyline (precision 5).
+ */
+export function encodePolyline(points) {
+  let out = "";
+  let prevLat = 0;
+  let prevLng = 0;
+  const encode = (value) => {
+    let v = value < 0 ? ~(value << 1) : value << 1;
+    let chunk = "";
+    while (v >= 0x20) {
+      chunk += String.fromCharCode((0x20 | (v & 0x1f)) + 63);
+      v >>= 5;
+    }
+    return chunk + String.fromCharCode(v + 63);
+  };
+  for (const [lat, lng] of points) {
+    const la = Math.round(lat * 1e5);
+    const ln = Math.round(lng * 1e5);
+    out += encode(la - prevLat) + encode(ln - prevLng);
+    prevLat = la;
+    prevLng = ln;
+  }
+  return out;
+}
+
+export function decodePolyline(str) {
+  const points = [];
+  let i = 0;
+  let lat = 0;
+  let lng = 0;
+  const next = () => {
+    let result = 0;
+    let shift = 0;
+    let b;
+    do {
+      b = str.charCodeAt(i++) - 63;
+      result |= (b & 0x1f) << shift;
+      shift += 5;
+    } while (b >= 0x20 && i < str.length);
+    return result & 1 ? ~(result >> 1) : result >> 1;
+  };
+  while (i < str.length) {
+    lat += next();
+    lng += next();
+    points.push([lat / 1e5, lng / 1e5]);
+  }
+  return points;
+}
+
+/**
+ * Compact route signature of a `latlng` stream: { polyline, distance_m }.
+ */
+export function routeSignature(latlng) {
+  const track = resampleTrack(latlng);
+  return track ? { polyline: encodePolyline(track.points), distance_m: track.distance_m } : null;
+}
+
+/**
+ * Mean distance (m) between the matching points of two signatures, in the
+ * direction they were recorded (the same loop run the other way round is
+ * another route).
+ */
+export function signatureDeviationM(a, b) {
+  const pa = decodePolyline(a?.polyline ?? "");
+  const pb = decodePolyline(b?.polyline ?? "");
+  if (!pa.length || pa.length !== pb.length) return null;
+  return pa.reduce((sum, p, i) => sum + haversineM(p, pb[i]), 0) / pa.length;
+}
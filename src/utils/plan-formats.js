@@ -0,0 +1,234 @@
+/**
+ * Training plan files → planned sessions
+ *
+ * Every format ends up as the same session shape:
+ *   { date: "YYYY-MM-DD", sport, title, duration_s, distance_m, target }
+ * target: { metric: "pace" | "power" | "hr", zone, min, max, text } — either
+ * a zone number (resolved against the thresholds on the day) or a min–max
+ * range (pace in sec/km, power in W, HR in bpm); null when the session has
+ * no intensity target.
+ *
+ * JSON: [{ date, sport, title, duration, distance_km | distance, target }]
+ *       (or { sessions: [...] })
+ * CSV:  header row with the same column names
+ * ICS:  one VEVENT per session; DTSTART is the day, SUMMARY the title, and
+ *       DESCRIPTION lines "key: value" with the same keys. Missing keys are
+ *       read from the SUMMARY ("Run 10km Z2", "Ride 1h30 200-230W")
+ */
+
+const SPORTS = {
+  run: "Run",
+  corrida: "Run",
+  trailrun: "TrailRun",
+  ride: "Ride",
+  bike: "Ride",
+  pedal: "Ride",
+  virtualride: "VirtualRide",
+  swim: "Swim",
+  "natação": "Swim",
+  walk: "Walk",
+  hike: "Hike",
+  workout: "Workout",
+  weighttraining: "WeightTraining",
+};
+
+function parseSport(value) {
+  const words = String(value ?? "").toLowerCase().split(/[^a-zçãõé]+/).filter(Boolean);
+  for (const w of words) if (SPORTS[w]) return SPORTS[w];
+  return null;
+}
+
+/**
+ * "1:30" (h:mm), "1:05:00" (h:mm:ss), "90min", "1h30", "1h30m" or a number
+ * of minutes → seconds.
+ */
+export function parseDuration(value) {
+  if (value == null || value === "") return null;
+  if (typeof value === "number") return Number.isFinite(value) && value > 0 ? Math.round(value * 60) : null;
+  const s = String(value).trim().toLowerCase();
+
+  let m = /^(\d+):(\d{2})(?::(\d{2}))?$/.exec(s);
+  if (m) return Number(m[1]) * 3600 + Number(m[2]) * 60 + Number(m[3] ?? 0);
+  m = /^(\d+)\s*h\s*(?:(\d{1,2})\s*(?:m|min)?)?$/.exec(s);
+  if (m) return Number(m[1]) * 3600 + Number(m[2] ?? 0) * 60;
+  m = /^(\d+(?:\.\d+)?)\s*(?:m|min|mins|minutes|minutos)?$/.exec(s);
+  if (m) return Math.round(Number(m[1]) * 60);
+  return null;
+}
+
+/**
+ * "10km", "10 km", "800m", "21.1" (km) → meters.
+ */
+export function parseDistance(value) {
+  if (value == null || value === "") return null;
+  if (typeof value === "number") return Number.isFinite(value) && value > 0 ? Math.round(value * 1000) : null;
+  const m = /^(\d+(?:[.,]\d+)?)\s*(km|k|m)?$/i.exec(String(value).trim());
+  if (!m) return null;
+  const n = Number(m[1].replace(",", "."));
+  return Math.round(m[2]?.toLowerCase() === "m" ? n : n * 1000);
+}
+
+const paceToSec = (p) => {
+  const [mm, ss] = p.split(":").map(Number);
+  return mm * 60 + ss;
+};
+
+/**
+ * Free-text intensity target: "pace 4:30-4:50", "4:40/km", "Z2",
+ * "power Z3", "200-230W", "hr 140-150", "FC Z2".
+ */
+export function parseTarget(value) {
+  if (value == null || value === "") return null;
+  if (typeof value === "object") {
+    const metric = ["pace", "power", "hr"].includes(value.metric) ? value.metric : null;
+    if (!metric) return null;
+    const num = (x) => (x != null && x !== "" && Number.isFinite(Number(x)) ? Number(x) : null);
+    const pace = (x) => (typeof x === "string" && x.includes(":") ? paceToSec(x) : num(x));
+    const conv = metric === "pace" ? pace : num;
+    return { metric, zone: num(value.zone), min: conv(value.min), max: conv(value.max), text: value.text ?? null };
+  }
+
+  const text = String(value).trim();
+  const lower = text.toLowerCase();
+  const zone = /\bz([1-7])\b/.exec(lower);
+  const paceRange = /(\d{1,2}:\d{2})\s*(?:-|–|a|to)\s*(\d{1,2}:\d{2})/.exec(lower);
+  const paceSingle = /(\d{1,2}:\d{2})/.exec(lower);
+  const numRange = /(\d{2,4})\s*(?:-|–|a|to)\s*(\d{2,4})/.exec(lower);
+
+  let metric = /\b(power|potência|potencia|watts?|ftp)\b|\d\s*w\b/.test(lower)
+    ? "power"
+    : /\b(hr|fc|bpm|heart)\b/.test(lower)
+    ? "hr"
+    : /\b(pace|ritmo)\b|\/km/.test(lower) || paceRange
+    ? "pace"
+    : null;
+
+  if (zone) return { metric: metric ?? "hr", zone: Number(zone[1]), min: null, max: null, text };
+  if (metric === "pace" && (paceRange || paceSingle)) {
+    const [a, b] = paceRange ? [paceToSec(paceRange[1]), paceToSec(paceRange[2])] : [paceToSec(paceSingle[1]), null];
+    // A single pace gets a ±5 s/km band
+    const min = b != null ? Math.min(a, b) : a - 5;
+    const max = b != null ? Math.max(a, b) : a + 5;
+    return { metric, zone: null, min, max, text };
+  }
+  if (numRange) {
+    const a = Number(numRange[1]);
+    const b = Number(numRange[2]);
+    metric = metric ?? (Math.max(a, b) > 220 ? "power" : "hr");
+    return { metric, zone: null, min: Math.min(a, b), max: Math.max(a, b), text };
+  }
+  return null;
+}
+
+function normalizeSession(raw) {
+  const date = String(raw.date ?? "").slice(0, 10);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) return null;
+
+  const text = [raw.title, raw.name].filter(Boolean).join(" ");
+  const words = text.split(/\s+/);
+  const fromText = (parse) => words.map(parse).find((v) => v != null) ?? null;
+
+  const sport = parseSport(raw.sport ?? raw.type) ?? parseSport(text);
+  // Explicit fields win; without them the title is read ("Run 10km Z2")
+  const duration =
+    raw.duration ?? raw.duration_min ?? fromText((w) => (/\d\s*(h|min)/i.test(w) ? w : null));
+  const distance = raw.distance_km ?? raw.distance ?? fromText((w) => (/\d\s*(km|k|m)$/i.test(w) ? w : null));
+  const duration_s = parseDuration(duration);
+  const distance_m = parseDistance(distance);
+  const target = parseTarget(raw.target ?? text);
+
+  if (!sport && duration_s == null && distance_m == null) return null;
+  return {
+    date,
+    sport,
+    title: (raw.title ?? raw.name ?? text).trim() || null,
+    duration_s,
+    distance_m,
+    target,
+  };
+}
+
+function parseJson(text) {
+  const data = JSON.parse(text);
+  const list = Array.isArray(data) ? data : data.sessions ?? [];
+  return list.map(normalizeSession);
+}
+
+function splitCsvLine(line) {
+  const out = [];
+  let cur = "";
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') {
+        cur += '"';
+        i++;
+      } else if (ch === '"') quoted = false;
+      else cur += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === "," || ch === ";") {
+      out.push(cur.trim());
+      cur = "";
+    } else cur += ch;
+  }
+  out.push(cur.trim());
+  return out;
+}
+
+function parseCsv(text) {
+  const lines = text.split(/\r?\n/).filter((l) => l.trim());
+  if (!lines.length) return [];
+  const header = splitCsvLine(lines[0]).map((h) => h.toLowerCase());
+  return lines.slice(1).map((line) => {
+    const cells = splitCsvLine(line);
+    return normalizeSession(Object.fromEntries(header.map((h, i) => [h, cells[i] === "" ? undefined : cells[i]])));
+  });
+}
+
+function unfoldIcs(text) {
+  // Long lines continue on the next line after a leading space / tab
+  return text.replace(/\r?\n[ \t]/g, "").split(/\r?\n/);
+}
+
+const unescapeIcs = (s) => s.replace(/\\n/gi, "\n").replace(/\\([,;\\])/g, "$1");
+
+function parseIcs(text) {
+  const sessions = [];
+  let event = null;
+  for (const line of unfoldIcs(text)) {
+    if (line === "BEGIN:VEVENT") event = {};
+    else if (line === "END:VEVENT") {
+      if (event) sessions.push(event);
+      event = null;
+    } else if (event) {
+      const idx = line.indexOf(":");
+      if (idx < 0) continue;
+      const name = line.slice(0, idx).split(";")[0].toUpperCase();
+      event[name] = unescapeIcs(line.slice(idx + 1));
+    }
+  }
+
+  return sessions.map((ev) => {
+    const d = /^(\d{4})(\d{2})(\d{2})/.exec(ev.DTSTART ?? "");
+    const fields = {};
+    for (const l of String(ev.DESCRIPTION ?? "").split("\n")) {
+      const m = /^\s*([a-z_]+)\s*:\s*(.+)$/i.exec(l);
+      if (m) fields[m[1].toLowerCase()] = m[2].trim();
+    }
+    return normalizeSession({ ...fields, date: d ? `${d[1]}-${d[2]}-${d[3]}` : null, title: ev.SUMMARY ?? fields.title });
+  });
+}
+
+/**
+ * Parse a plan file's text; `format` is "json" | "csv" | "ics" (guessed from
+ * the content when omitted). Rows that are not a session are dropped.
+ */
+export function parsePlan(text, format) {
+  const kind =
+    format ??
+    (/^\s*BEGIN:VCALENDAR/i.test(text) ? "ics" : /^\s*[[{]/.test(text) ? "json" : "csv");
+  const parsers = { json: parseJson, csv: parseCsv, ics: parseIcs };
+  if (!parsers[kind]) throw new Error(`Unknown plan format: ${kind} (expected json, csv or ics)`);
+  return parsers[kind](text).filter(Boolean);
+}
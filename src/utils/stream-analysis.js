@@ -2,7 +2,7 @@
  * Stream analysis utilities
  */
 
-import { safeNum, msToKmh, secToPace, fmtKmh } from "./formatters.js";
+import { safeNum, msToKmh, secToPace, secToSwimPace, fmtKmh, MILE_M } from "./formatters.js";
 
 export function statsFromStream(arr) {
   if (!Array.isArray(arr) || arr.length === 0) return { avg: null, max: null };
@@ -26,6 +26,21 @@ export function isPaceBased(activityType, sportType) {
   );
 }
 
+// Judged by time + HR: no distance, pace or splits
+const TIME_BASED_SPORTS = ["WeightTraining", "Crossfit", "Workout", "HighIntensityIntervalTraining", "Yoga", "Pilates"];
+
+/**
+ * How an activity is measured: "pace" (run / walk / hike), "swim" (pace per
+ * 100 m, laps), "time" (gym / yoga sessions, and anything without distance)
+ * or "speed" (rides and the rest). Stored as `derived.mode`.
+ */
+export function activityMode(activityType, sportType, distance_m) {
+  if (TIME_BASED_SPORTS.includes(sportType) || TIME_BASED_SPORTS.includes(activityType)) return "time";
+  if (`${activityType ?? ""} ${sportType ?? ""}`.toLowerCase().includes("swim")) return "swim";
+  if (!(safeNum(distance_m) > 0)) return "time";
+  return isPaceBased(activityType, sportType) ? "pace" : "speed";
+}
+
 export function avgPaceSecPerKm(distance_m, moving_time_s) {
   const dKm = safeNum(distance_m) != null ? distance_m / 1000 : null;
   const t = safeNum(moving_time_s);
@@ -45,16 +60,113 @@ export function pctDiff(a, b) {
   return (a - b) / b;
 }
 
-export function computeSplits1km(streams, mode /* "pace" | "speed" */) {
+/**
+ * Device temperature (°C) from the `temp` stream: { temp_avg_c, temp_max_c,
+ * temp_min_c }, nulls without the stream. A watch on the wrist reads a few
+ * degrees above the air.
+ */
+export function temperatureStats(temp) {
+  const xs = (Array.isArray(temp) ? temp : []).filter(Number.isFinite);
+  if (!xs.length) return { temp_avg_c: null, temp_max_c: null, temp_min_c: null };
+  const avg = xs.reduce((a, b) => a + b, 0) / xs.length;
+  return { temp_avg_c: Math.round(avg * 10) / 10, temp_max_c: Math.max(...xs), temp_min_c: Math.min(...xs) };
+}
+
+/* --------------------------------------------------
+   Grade-adjusted pace
+-------------------------------------------------- */
+
+// Grade is measured over at least this much horizontal distance (GPS altitude is noisy)
+const GRADE_WINDOW_M = 20;
+const MAX_GRADE = 0.45;
+// Above this climbing rate an activity counts as hilly (GAP shown per split)
+export const HILLY_GAIN_M_PER_KM = 10;
+
+/**
+ * Energy cost of running on a grade (J/kg/m), Minetti et al. 2002.
+ * 3.6 on the flat.
+ */
+export function minettiCost(grade) {
+  const i = Math.min(MAX_GRADE, Math.max(-MAX_GRADE, grade));
+  return 155.4 * i ** 5 - 30.4 * i ** 4 - 43.3 * i ** 3 + 46.3 * i ** 2 + 19.5 * i + 3.6;
+}
+
+/**
+ * Cumulative "flat-equivalent" distance per sample: each stretch of at least
+ * GRADE_WINDOW_M counts as distance × cost(grade) / cost(0). Null without an
+ * altitude stream.
+ */
+export function gradeAdjustedDistance(streams) {
+  const dist = streams?.distance?.data;
+  const alt = streams?.altitude?.data;
+  if (!Array.isArray(dist) || !Array.isArray(alt) || dist.length !== alt.length || dist.length < 2) return null;
+
+  const out = new Array(dist.length).fill(0);
+  let j = 0;
+  for (let i = 1; i < dist.length; i++) {
+    const run = dist[i] - dist[j];
+    if (run < GRADE_WINDOW_M && i < dist.length - 1) continue;
+
+    const grade = run > 0 && Number.isFinite(alt[i]) && Number.isFinite(alt[j]) ? (alt[i] - alt[j]) / run : 0;
+    const factor = minettiCost(grade) / minettiCost(0);
+    for (let k = j + 1; k <= i; k++) out[k] = out[j] + (dist[k] - dist[j]) * factor;
+    j = i;
+  }
+  return out;
+}
+
+/**
+ * Whole-activity grade-adjusted pace (sec/km) over `movingTimeSec`.
+ */
+export function gradeAdjustedPace(streams, movingTimeSec) {
+  const eq = gradeAdjustedDistance(streams);
+  const t = safeNum(movingTimeSec);
+  if (!eq || !t || eq.at(-1) <= 0) return null;
+  return t / (eq.at(-1) / 1000);
+}
+
+/**
+ * Climb and descent (m) between two stream indexes.
+ */
+export function elevationChange(altitude, start = 0, end = (altitude?.length ?? 0) - 1) {
+  if (!Array.isArray(altitude) || altitude.length < 2) return { gain: null, loss: null };
+  let gain = 0;
+  let loss = 0;
+  for (let i = start + 1; i <= end; i++) {
+    const d = altitude[i] - altitude[i - 1];
+    if (!Number.isFinite(d)) continue;
+    if (d > 0) gain += d;
+    else loss -= d;
+  }
+  return { gain: Math.round(gain), loss: Math.round(loss) };
+}
+
+export function isHilly(distance_m, gain_m) {
+  const km = safeNum(distance_m) != null ? distance_m / 1000 : null;
+  const gain = safeNum(gain_m);
+  return km > 0 && gain != null && gain / km >= HILLY_GAIN_M_PER_KM;
+}
+
+/**
+ * Splits every 1 km (default) or 1 mi (`splitM: MILE_M`). Each split keeps
+ * secPerKm / speedKmh whatever its length; `unit` says which length it is.
+ */
+export function computeSplits1km(streams, mode /* "pace" | "speed" | "swim" */, { splitM = 1000 } = {}) {
   const dist = streams?.distance?.data;
   const time = streams?.time?.data;
   const hr = streams?.heartrate?.data;
   const watts = streams?.watts?.data;
+  const alt = streams?.altitude?.data;
 
   if (!dist || !time || dist.length !== time.length) return [];
 
+  const eq = mode === "pace" ? gradeAdjustedDistance(streams) : null;
+  const hasAlt = Array.isArray(alt) && alt.length === dist.length;
+
+  const unit = splitM === MILE_M ? "mi" : "km";
+  const units = unit === "mi" ? "imperial" : "metric";
   const splits = [];
-  let nextKm = 1000;
+  let nextKm = splitM;
   let startIdx = 0;
 
   for (let i = 0; i < dist.length; i++) {
@@ -81,52 +193,75 @@ export function computeSplits1km(streams, mode /* "pace" | "speed" */) {
         if (seg.length) pAvg = Math.round(seg.reduce((a, b) => a + b, 0) / seg.length);
       }
 
+      const eqMeters = eq ? eq[i] - eq[startIdx] : null;
+      const gapSecPerKm = eqMeters > 0 && seconds > 0 ? seconds / (eqMeters / 1000) : null;
+      const elev = hasAlt ? elevationChange(alt, startIdx, i) : { gain: null, loss: null };
+
       const label =
         mode === "pace"
-          ? secToPace(secPerKm ?? NaN)
+          ? secToPace(secPerKm ?? NaN, units)
+          : mode === "swim"
+          ? secToSwimPace(secPerKm != null ? secPerKm / 10 : NaN, units)
           : speedKmh != null
-          ? fmtKmh(speedKmh)
+          ? fmtKmh(speedKmh, units)
           : "n/d";
 
       splits.push({
         km: splits.length + 1,
+        unit,
         mode,
         meters,
         seconds,
         secPerKm: secPerKm ?? null,
+        gapSecPerKm,
         speedKmh: speedKmh ?? null,
         label,
+        elevGain: elev.gain,
+        elevLoss: elev.loss,
         hrAvg,
         hrMax,
         powerAvg: pAvg,
       });
 
       startIdx = i;
-      nextKm += 1000;
+      nextKm += splitM;
     }
   }
   return splits;
 }
 
-export function pacingInsight(splits) {
-  // only meaningful for pace-based activities (secPerKm)
+/**
+ * Pacing pattern of pace-based splits: "even" | "negative" | "fade", or null
+ * with fewer than 4 splits.
+ */
+export function pacingPattern(splits) {
+  // only meaningful for pace-based activities (secPerKm); grade-adjusted when
+  // available, so a climb-then-descent route is not read as a negative split
   if (!Array.isArray(splits) || splits.length < 4) return null;
-  const valid = splits.filter((s) => typeof s.secPerKm === "number" && Number.isFinite(s.secPerKm));
+  const pace = (s) => s.gapSecPerKm ?? s.secPerKm;
+  const valid = splits.filter((s) => typeof pace(s) === "number" && Number.isFinite(pace(s)));
   if (valid.length < 4) return null;
 
   const mid = Math.floor(valid.length / 2);
-  const avg = (arr) => arr.reduce((a, b) => a + b.secPerKm, 0) / arr.length;
+  const avg = (arr) => arr.reduce((a, b) => a + pace(b), 0) / arr.length;
 
   const first = avg(valid.slice(0, mid));
   const second = avg(valid.slice(mid));
   const diff = second - first;
 
-  if (Math.abs(diff) < 5) return "Pacing estável";
-  if (diff < 0) return "Negative split ✅";
-  return "Fade ⚠️ (ritmo caiu)";
+  if (Math.abs(diff) < 5) return "even";
+  if (diff < 0) return "negative";
+  return "fade";
 }
 
-export function formatZones(zones, escapeHtml) {
+const ZONE_TITLES = { hr: "❤️ Zonas FC", power: "⚡ Zonas Potência", pace: "🏃 Zonas Pace", other: "⚡ Zonas" };
+const ZONE_MODEL_LABELS = { friel: "Friel", karvonen: "Karvonen", percent_max: "% FC máx", coggan: "Coggan" };
+
+/**
+ * Strava's /zones buckets as text. `labels` overrides the block titles
+ * ({ hr, power, other }) for other languages.
+ */
+export function formatZones(zones, escapeHtml, labels = {}) {
   if (!Array.isArray(zones)) return "";
   const blocks = [];
 
@@ -136,11 +271,911 @@ export function formatZones(zones, escapeHtml) {
     const total = buckets.reduce((a, b) => a + (b.time ?? 0), 0);
     if (!total) continue;
 
-    const title =
-      z.type === "heartrate" ? "❤️ Zonas FC" : z.type === "power" ? "⚡ Zonas Potência" : "⚡ Zonas";
+    const kind = z.type === "heartrate" ? "hr" : z.type === "power" ? "power" : "other";
+    const title = labels[kind] ?? ZONE_TITLES[kind];
     const line = buckets.map((b, i) => `Z${i + 1}: ${Math.round((b.time / total) * 100)}%`).join(" | ");
 
     blocks.push(`<b>${title}</b>\n${escapeHtml(line)}`);
   }
   return blocks.length ? `\n\n${blocks.join("\n")}` : "";
 }
+
+/**
+ * Time in zone computed from the raw streams (instead of Strava's /zones):
+ * { hr, power, pace } each { model, bounds, seconds: [per zone] } or null.
+ * `zones` = { hr: { model, bounds }, power: bounds (W), pace: bounds (m/s) }.
+ */
+export function computeZones(streams, zones = {}) {
+  const time = streams?.time?.data;
+  const one = (values, model, bounds) => {
+    const seconds = timeInZones(values, time, bounds);
+    return seconds ? { model, bounds, seconds } : null;
+  };
+  return {
+    hr: zones.hr ? one(streams?.heartrate?.data, zones.hr.model, zones.hr.bounds) : null,
+    power: zones.power ? one(streams?.watts?.data, "coggan", zones.power) : null,
+    pace: zones.pace ? one(streams?.velocity_smooth?.data, "threshold_pace", zones.pace) : null,
+  };
+}
+
+/**
+ * Same layout as formatZones(), for computeZones() results (`labels` also
+ * overrides the model names, e.g. { percent_max: "% max HR" }).
+ */
+export function formatStreamZones(zones, escapeHtml, labels = {}) {
+  const blocks = [];
+  for (const [kind, z] of Object.entries(zones ?? {})) {
+    const total = z?.seconds?.reduce((a, b) => a + b, 0);
+    if (!total) continue;
+    const model = labels[z.model] ?? ZONE_MODEL_LABELS[z.model];
+    const label = model ? ` (${model})` : "";
+    const line = z.seconds.map((s, i) => `Z${i + 1}: ${Math.round((s / total) * 100)}%`).join(" | ");
+    blocks.push(`<b>${labels[kind] ?? ZONE_TITLES[kind]}${escapeHtml(label)}</b>\n${escapeHtml(line)}`);
+  }
+  return blocks.length ? `\n\n${blocks.join("\n")}` : "";
+}
+
+/**
+ * Resample a stream onto 1-second steps using the `time` stream (values are
+ * held until the next sample). Gaps longer than `maxGapSec` (auto-pause) are
+ * not filled.
+ */
+export function resamplePerSecond(values, time, maxGapSec = 10) {
+  if (!Array.isArray(values) || !Array.isArray(time) || values.length !== time.length || !values.length) return [];
+  const out = [];
+  for (let i = 0; i < values.length; i++) {
+    const v = Number.isFinite(values[i]) ? values[i] : 0;
+    const next = i + 1 < time.length ? time[i + 1] : time[i] + 1;
+    const steps = Math.min(Math.max(1, next - time[i]), maxGapSec);
+    for (let k = 0; k < steps; k++) out.push(v);
+  }
+  return out;
+}
+
+export function rollingAverage(xs, windowSize) {
+  if (!Array.isArray(xs) || xs.length < windowSize || windowSize <= 0) return [];
+  const out = [];
+  let sum = 0;
+  for (let i = 0; i < xs.length; i++) {
+    sum += xs[i];
+    if (i >= windowSize) sum -= xs[i - windowSize];
+    if (i >= windowSize - 1) out.push(sum / windowSize);
+  }
+  return out;
+}
+
+/**
+ * Normalized power: 4th-power mean of the 30 s rolling average.
+ */
+export function normalizedPower(watts, time) {
+  const perSec = resamplePerSecond(watts, time);
+  const rolling = rollingAverage(perSec, 30);
+  if (!rolling.length) return null;
+  const mean4 = rolling.reduce((a, p) => a + p ** 4, 0) / rolling.length;
+  return mean4 ** 0.25;
+}
+
+/**
+ * Banister TRIMP from the heart-rate stream (minutes × HR reserve × weighting).
+ */
+export function trimpFromStreams(streams, { hrRest, hrMax, sex = "m" } = {}) {
+  const hr = streams?.heartrate?.data;
+  const time = streams?.time?.data;
+  if (!Array.isArray(hr) || !Array.isArray(time) || hr.length !== time.length || hr.length < 2) return null;
+  if (!Number.isFinite(hrRest) || !Number.isFinite(hrMax) || hrMax <= hrRest) return null;
+
+  const [a, b] = String(sex).toLowerCase().startsWith("f") ? [0.86, 1.67] : [0.64, 1.92];
+  let trimp = 0;
+  for (let i = 1; i < hr.length; i++) {
+    const dtMin = Math.min(Math.max(0, time[i] - time[i - 1]), 10) / 60; // ignore pauses
+    if (!Number.isFinite(hr[i]) || dtMin === 0) continue;
+    const hrr = Math.min(1, Math.max(0, (hr[i] - hrRest) / (hrMax - hrRest)));
+    trimp += dtMin * hrr * a * Math.exp(b * hrr);
+  }
+  return trimp;
+}
+
+/**
+ * Per-activity training load: power TSS when there is a watts stream and an
+ * FTP, HR TRIMP otherwise (both land on a similar ~100/hour-at-threshold scale,
+ * so they are summed together for CTL/ATL).
+ */
+export function computeTrainingLoad(streams, { ftp, hrRest, hrMax, sex } = {}) {
+  const watts = streams?.watts?.data;
+  const time = streams?.time?.data;
+
+  if (Array.isArray(watts) && watts.some((w) => w > 0) && Number.isFinite(ftp) && ftp > 0) {
+    const np = normalizedPower(watts, time);
+    const seconds = resamplePerSecond(watts, time).length;
+    if (np != null && seconds > 0) {
+      const intensity = np / ftp;
+      return {
+        method: "tss",
+        value: Math.round(((seconds * np * intensity) / (ftp * 3600)) * 100 * 10) / 10,
+        np_w: Math.round(np),
+        intensity_factor: Math.round(intensity * 100) / 100,
+      };
+    }
+  }
+
+  const trimp = trimpFromStreams(streams, { hrRest, hrMax, sex });
+  if (trimp != null) return { method: "trimp", value: Math.round(trimp * 10) / 10, np_w: null, intensity_factor: null };
+
+  return null;
+}
+
+export const RUN_EFFORT_DISTANCES = { "1k": 1000, "5k": 5000, "10k": 10000, half: 21097.5 };
+export const RIDE_EFFORT_DURATIONS = { "5s": 5, "1min": 60, "5min": 300, "20min": 1200, "60min": 3600 };
+
+export function isRunType(activityType, sportType) {
+  return `${activityType ?? ""} ${sportType ?? ""}`.toLowerCase().includes("run");
+}
+
+/**
+ * Fastest time (s) to cover `meters` anywhere in the activity, from the
+ * distance/time streams (two pointers, interpolated at the far end).
+ */
+export function fastestTimeForDistance(dist, time, meters) {
+  if (!Array.isArray(dist) || !Array.isArray(time) || dist.length !== time.length || dist.length < 2) return null;
+  if (dist[dist.length - 1] - dist[0] < meters) return null;
+
+  let best = null;
+  let j = 0;
+  for (let i = 0; i < dist.length; i++) {
+    if (j < i) j = i;
+    while (j < dist.length && dist[j] - dist[i] < meters) j++;
+    if (j >= dist.length) break;
+
+    // Interpolate the exact moment `meters` is reached between j-1 and j
+    const d0 = dist[j - 1] - dist[i];
+    const d1 = dist[j] - dist[i];
+    const frac = d1 > d0 ? (meters - d0) / (d1 - d0) : 1;
+    const t = time[j - 1] + frac * (time[j] - time[j - 1]) - time[i];
+    if (t > 0 && (best == null || t < best)) best = t;
+  }
+  return best != null ? Math.round(best) : null;
+}
+
+/**
+ * Highest mean power (W) sustained for `seconds`.
+ */
+export function bestMeanPower(perSecondWatts, seconds) {
+  const rolling = rollingAverage(perSecondWatts, seconds);
+  return rolling.length ? Math.round(rolling.reduce((a, b) => (b > a ? b : a), -Infinity)) : null;
+}
+
+/**
+ * Best efforts inside one activity:
+ * runs  → { kind: "run",  values: { "1k": seconds, "5k": …, "10k": …, half: … } }
+ * rides → { kind: "ride", values: { "5s": watts, "1min": …, "5min": …, "20min": …, "60min": … } }
+ */
+export function computeBestEfforts(streams, activityType, sportType) {
+  const time = streams?.time?.data;
+
+  if (isRunType(activityType, sportType)) {
+    const dist = streams?.distance?.data;
+    const values = {};
+    for (const [key, meters] of Object.entries(RUN_EFFORT_DISTANCES)) {
+      const t = fastestTimeForDistance(dist, time, meters);
+      if (t != null) values[key] = t;
+    }
+    return Object.keys(values).length ? { kind: "run", values } : null;
+  }
+
+  const watts = streams?.watts?.data;
+  if (Array.isArray(watts) && watts.some((w) => w > 0)) {
+    const perSec = resamplePerSecond(watts, time);
+    const values = {};
+    for (const [key, seconds] of Object.entries(RIDE_EFFORT_DURATIONS)) {
+      const w = bestMeanPower(perSec, seconds);
+      if (w != null) values[key] = w;
+    }
+    return Object.keys(values).length ? { kind: "ride", values } : null;
+  }
+
+  return null;
+}
+
+export const CURVE_DURATIONS = [1, 5, 10, 15, 30, 60, 120, 180, 300, 480, 600, 900, 1200, 1800, 2400, 3600, 5400, 7200];
+
+function maxWindowDelta(cumulative, seconds) {
+  let best = null;
+  for (let i = seconds; i < cumulative.length; i++) {
+    const d = cumulative[i] - cumulative[i - seconds];
+    if (best == null || d > best) best = d;
+  }
+  return best;
+}
+
+/**
+ * Mean-maximal power curve: { durations: [s…], values: [W…] }.
+ */
+export function powerCurve(streams) {
+  const watts = streams?.watts?.data;
+  if (!Array.isArray(watts) || !watts.some((w) => w > 0)) return null;
+
+  const perSec = resamplePerSecond(watts, streams?.time?.data);
+  const cumulative = [0];
+  for (const w of perSec) cumulative.push(cumulative[cumulative.length - 1] + w);
+
+  const durations = [];
+  const values = [];
+  for (const d of CURVE_DURATIONS) {
+    const best = maxWindowDelta(cumulative, d);
+    if (best == null) break;
+    durations.push(d);
+    values.push(Math.round(best / d));
+  }
+  return durations.length ? { durations, values } : null;
+}
+
+/**
+ * Best mean speed per duration (pace-duration curve): { durations: [s…], values: [m/s…] }.
+ */
+export function speedCurve(streams) {
+  const dist = streams?.distance?.data;
+  const time = streams?.time?.data;
+  if (!Array.isArray(dist) || !Array.isArray(time) || dist.length !== time.length || dist.length < 2) return null;
+
+  // Cumulative distance at every second (held between samples)
+  const cumulative = [];
+  for (let i = 0; i < dist.length; i++) {
+    const next = i + 1 < time.length ? time[i + 1] : time[i] + 1;
+    const steps = Math.min(Math.max(1, next - time[i]), 10);
+    for (let k = 0; k < steps; k++) cumulative.push(dist[i]);
+  }
+
+  const durations = [];
+  const values = [];
+  for (const d of CURVE_DURATIONS) {
+    if (d < 10) continue; // GPS noise dominates below 10 s
+    const best = maxWindowDelta(cumulative, d);
+    if (best == null) break;
+    durations.push(d);
+    values.push(Math.round((best / d) * 100) / 100);
+  }
+  return durations.length ? { durations, values } : null;
+}
+
+/**
+ * Best value per duration across several curves.
+ */
+export function mergeCurves(curves) {
+  const best = new Map();
+  for (const c of curves) {
+    if (!c?.durations) continue;
+    c.durations.forEach((d, i) => {
+      const v = c.values[i];
+      if (typeof v === "number" && (!best.has(d) || v > best.get(d))) best.set(d, v);
+    });
+  }
+  const durations = [...best.keys()].sort((a, b) => a - b);
+  return durations.length ? { durations, values: durations.map((d) => best.get(d)) } : null;
+}
+
+/**
+ * Two-parameter critical model fitted on the curve points between minSec and
+ * maxSec: work = critical × t + reserve (least squares). For power curves this
+ * gives CP (W) and W' (J); for speed curves critical speed (m/s) and D' (m).
+ */
+export function fitCriticalModel(curve, { minSec = 180, maxSec = 1200 } = {}) {
+  if (!curve?.durations) return null;
+  const pts = curve.durations
+    .map((t, i) => [t, curve.values[i] * t])
+    .filter(([t, w]) => t >= minSec && t <= maxSec && Number.isFinite(w));
+  if (pts.length < 3) return null;
+
+  const n = pts.length;
+  const sx = pts.reduce((a, [t]) => a + t, 0);
+  const sy = pts.reduce((a, [, w]) => a + w, 0);
+  const sxx = pts.reduce((a, [t]) => a + t * t, 0);
+  const sxy = pts.reduce((a, [t, w]) => a + t * w, 0);
+  const denom = n * sxx - sx * sx;
+  if (denom === 0) return null;
+
+  const critical = (n * sxy - sx * sy) / denom;
+  const reserve = (sy - critical * sx) / n;
+  if (!(critical > 0) || !(reserve >= 0)) return null;
+  return { critical, reserve };
+}
+
+/**
+ * Coggan power zones (upper bounds in W, last zone open-ended).
+ */
+export function powerZoneBounds(ftp) {
+  if (!Number.isFinite(ftp) || ftp <= 0) return null;
+  return [0.55, 0.75, 0.9, 1.05, 1.2, 1.5].map((f) => Math.round(ftp * f));
+}
+
+/**
+ * Run pace zones from threshold pace (upper bounds in m/s, last open-ended).
+ */
+export function paceZoneBounds(thresholdSecPerKm) {
+  if (!Number.isFinite(thresholdSecPerKm) || thresholdSecPerKm <= 0) return null;
+  const cs = 1000 / thresholdSecPerKm;
+  return [0.78, 0.88, 0.95, 1.02, 1.1].map((f) => Math.round(cs * f * 100) / 100);
+}
+
+/**
+ * HR zone models (upper bounds in bpm, last zone open-ended):
+ * - friel: % of lactate threshold HR, 7 zones (Z1–Z4, Z5a–c)
+ * - karvonen: % of heart rate reserve above resting HR, 5 zones
+ * - percent_max: % of max HR, 5 zones
+ */
+export const HR_ZONE_MODELS = {
+  friel: ({ lthr }) => (lthr > 0 ? [0.85, 0.9, 0.95, 1.0, 1.03, 1.06].map((f) => Math.round(lthr * f)) : null),
+  karvonen: ({ hr_max, hr_rest }) =>
+    hr_max > 0 && hr_rest > 0 && hr_max > hr_rest
+      ? [0.6, 0.7, 0.8, 0.9].map((f) => Math.round(hr_rest + (hr_max - hr_rest) * f))
+      : null,
+  percent_max: ({ hr_max }) => (hr_max > 0 ? [0.6, 0.7, 0.8, 0.9].map((f) => Math.round(hr_max * f)) : null),
+};
+
+/**
+ * HR zones from a profile ({ hr_max, hr_rest, lthr }): the requested model,
+ * or the first one the profile has the numbers for (friel → karvonen →
+ * percent_max). { model, bounds } or null.
+ */
+export function hrZoneBounds(profile, model) {
+  const order = model && HR_ZONE_MODELS[model] ? [model] : Object.keys(HR_ZONE_MODELS);
+  for (const name of order) {
+    const bounds = HR_ZONE_MODELS[name](profile ?? {});
+    if (bounds) return { model: name, bounds };
+  }
+  return null;
+}
+
+/**
+ * Seconds per zone (1 Hz, zero samples skipped) for upper `bounds`:
+ * [s in Z1, s in Z2, ...] with bounds.length + 1 entries, or null.
+ */
+export function timeInZones(values, time, bounds) {
+  if (!Array.isArray(bounds) || !bounds.length) return null;
+  const perSecond = resamplePerSecond(values, time).filter((v) => v > 0);
+  if (!perSecond.length) return null;
+  const seconds = new Array(bounds.length + 1).fill(0);
+  for (const v of perSecond) {
+    const idx = bounds.findIndex((b) => v < b);
+    seconds[idx < 0 ? bounds.length : idx]++;
+  }
+  return seconds;
+}
+
+/**
+ * { low, high } of zone N (1-based) from upper bounds; null when out of range.
+ */
+export function zoneRange(bounds, zone) {
+  if (!Array.isArray(bounds) || !Number.isInteger(zone) || zone < 1 || zone > bounds.length + 1) return null;
+  return { low: zone > 1 ? bounds[zone - 2] : 0, high: bounds[zone - 1] ?? Infinity };
+}
+
+/**
+ * Share of the moving time (1 Hz, zero samples skipped) spent in [low, high]:
+ * { seconds, total_s, pct } or null without the stream.
+ */
+export function timeInRange(values, time, low, high) {
+  const perSecond = resamplePerSecond(values, time).filter((v) => v > 0);
+  if (!perSecond.length) return null;
+  const seconds = perSecond.filter((v) => v >= low && v <= high).length;
+  return { seconds, total_s: perSecond.length, pct: Math.round((seconds / perSecond.length) * 1000) / 10 };
+}
+
+/* --------------------------------------------------
+   Intervals / workout structure
+-------------------------------------------------- */
+
+const INTERVAL_SMOOTH_SEC = 15; // centered window for the intensity signal
+const INTERVAL_MIN_SEGMENT_SEC = 20; // shorter runs are noise (traffic light, GPS jump)
+// Work vs recovery centers must differ by at least this ratio
+const INTERVAL_MIN_RATIO = { speed: 1.25, power: 1.3 };
+
+/**
+ * 1-D two-means: { low, high, threshold } centers for a list of values.
+ */
+function twoMeans(values) {
+  const xs = values.filter(Number.isFinite);
+  if (xs.length < 2) return null;
+  let low = Math.min(...xs);
+  let high = Math.max(...xs);
+  if (high <= low) return null;
+
+  for (let iter = 0; iter < 20; iter++) {
+    const threshold = (low + high) / 2;
+    const lo = xs.filter((x) => x < threshold);
+    const hi = xs.filter((x) => x >= threshold);
+    if (!lo.length || !hi.length) return null;
+    const nextLow = lo.reduce((a, b) => a + b, 0) / lo.length;
+    const nextHigh = hi.reduce((a, b) => a + b, 0) / hi.length;
+    if (nextLow === low && nextHigh === high) break;
+    low = nextLow;
+    high = nextHigh;
+  }
+  return { low, high, threshold: (low + high) / 2 };
+}
+
+function separated(centers, metric) {
+  if (!centers) return false;
+  const ratio = INTERVAL_MIN_RATIO[metric === "power" ? "power" : "speed"];
+  return centers.low <= 0 ? centers.high > 0 : centers.high / centers.low >= ratio;
+}
+
+/**
+ * Per-sample intensity: speed (m/s) for pace-based sports, power when a ride
+ * has a watts stream, speed otherwise.
+ */
+function intensitySignal(streams, mode) {
+  const time = streams?.time?.data;
+  if (!Array.isArray(time) || time.length < 2) return null;
+
+  const watts = streams?.watts?.data;
+  if (mode !== "pace" && Array.isArray(watts) && watts.length === time.length && watts.some((w) => w > 0)) {
+    return { metric: "power", values: watts.map((w) => (Number.isFinite(w) ? w : 0)) };
+  }
+
+  const vel = streams?.velocity_smooth?.data;
+  if (Array.isArray(vel) && vel.length === time.length) {
+    return { metric: "speed", values: vel.map((v) => (Number.isFinite(v) ? v : 0)) };
+  }
+
+  const dist = streams?.distance?.data;
+  if (!Array.isArray(dist) || dist.length !== time.length) return null;
+  const values = dist.map((d, i) => {
+    if (i === 0) return 0;
+    const dt = time[i] - time[i - 1];
+    return dt > 0 ? Math.max(0, (d - dist[i - 1]) / dt) : 0;
+  });
+  return { metric: "speed", values };
+}
+
+// Centered time-window average over the original (possibly irregular) samples
+function smoothByTime(values, time, windowSec) {
+  const half = windowSec / 2;
+  const out = new Array(values.length);
+  let lo = 0;
+  let hi = 0;
+  let sum = 0;
+  for (let i = 0; i < values.length; i++) {
+    while (hi < values.length && time[hi] <= time[i] + half) sum += values[hi++];
+    while (time[lo] < time[i] - half) sum -= values[lo++];
+    out[i] = sum / (hi - lo);
+  }
+  return out;
+}
+
+// [{ work, start, end }] runs of equal class, short runs merged into neighbours
+function classRuns(classes, time) {
+  let runs = [];
+  for (let i = 0; i < classes.length; i++) {
+    const last = runs.at(-1);
+    if (last && last.work === classes[i]) last.end = i;
+    else runs.push({ work: classes[i], start: i, end: i });
+  }
+
+  const seconds = (r) => time[r.end] - time[r.start];
+  for (;;) {
+    const idx = runs.length > 1 ? runs.findIndex((r) => seconds(r) < INTERVAL_MIN_SEGMENT_SEC) : -1;
+    if (idx < 0) break;
+    // Flip the short run, then glue equal neighbours back together
+    runs[idx].work = !runs[idx].work;
+    const merged = [];
+    for (const r of runs) {
+      const last = merged.at(-1);
+      if (last && last.work === r.work) last.end = r.end;
+      else merged.push({ ...r });
+    }
+    runs = merged;
+  }
+  return runs;
+}
+
+function segmentFromStreams(streams, start, end, mode) {
+  const time = streams.time.data;
+  const dist = streams.distance?.data;
+  const slice = (s) => (Array.isArray(s) && s.length === time.length ? s.slice(start, end + 1).filter(Number.isFinite) : []);
+  const mean = (xs) => (xs.length ? Math.round(xs.reduce((a, b) => a + b, 0) / xs.length) : null);
+
+  const hr = slice(streams.heartrate?.data);
+  return buildSegment(
+    {
+      start_s: time[start],
+      seconds: time[end] - time[start],
+      meters: Array.isArray(dist) && dist.length === time.length ? dist[end] - dist[start] : null,
+      powerAvg: mean(slice(streams.watts?.data)),
+      hrAvg: mean(hr),
+      hrMax: hr.length ? Math.max(...hr) : null,
+    },
+    mode
+  );
+}
+
+function segmentFromLap(lap, mode) {
+  return buildSegment(
+    {
+      start_s: null,
+      seconds: safeNum(lap.moving_time) ?? safeNum(lap.elapsed_time),
+      meters: safeNum(lap.distance),
+      powerAvg: safeNum(lap.average_watts) != null ? Math.round(lap.average_watts) : null,
+      hrAvg: safeNum(lap.average_heartrate) != null ? Math.round(lap.average_heartrate) : null,
+      hrMax: safeNum(lap.max_heartrate),
+    },
+    mode
+  );
+}
+
+function buildSegment({ start_s, seconds, meters, powerAvg, hrAvg, hrMax }, mode) {
+  const speedMs = meters > 0 && seconds > 0 ? meters / seconds : null;
+  const secPerKm = speedMs ? 1000 / speedMs : null;
+  const speedKmh = speedMs ? msToKmh(speedMs) : null;
+  return {
+    start_s,
+    seconds,
+    meters: meters != null ? Math.round(meters) : null,
+    secPerKm,
+    speedKmh,
+    powerAvg,
+    hrAvg,
+    hrMax,
+    label: mode === "pace" ? secToPace(secPerKm ?? NaN) : speedKmh != null ? fmtKmh(speedKmh) : "n/d",
+  };
+}
+
+// Device auto-laps (every 1 km / 1 mi) say nothing about the workout
+function isAutoLaps(laps) {
+  const full = laps.slice(0, -1).map((l) => safeNum(l.distance) ?? 0);
+  if (full.length < 2) return false;
+  return [1000, 1609.34].some((d) => full.every((x) => Math.abs(x - d) / d < 0.02));
+}
+
+function niceDistance(m) {
+  const r = Math.round(m / 100) * 100;
+  return r < 1000 ? `${r}m` : `${r / 1000}km`;
+}
+
+function niceDuration(sec) {
+  if (sec < 120) return `${Math.round(sec / 5) * 5}s`;
+  return `${Math.round((sec / 60) * 2) / 2}min`;
+}
+
+function uniform(xs, tolerance = 0.08) {
+  if (xs.some((x) => !(x > 0))) return false;
+  const sorted = [...xs].sort((a, b) => a - b);
+  const median = sorted[Math.floor(sorted.length / 2)];
+  return xs.every((x) => Math.abs(x - median) / median <= tolerance);
+}
+
+/**
+ * "6x800m" / "3x10min" / "5 reps (1min–4min)"
+ */
+function workoutPattern(reps, mode) {
+  const n = reps.length;
+  const dists = reps.map((r) => r.meters ?? 0);
+  const times = reps.map((r) => r.seconds ?? 0);
+  const median = (xs) => [...xs].sort((a, b) => a - b)[Math.floor(xs.length / 2)];
+
+  const byDistance = uniform(dists) && `${n}x${niceDistance(median(dists))}`;
+  const byTime = uniform(times) && `${n}x${niceDuration(median(times))}`;
+  const pattern = mode === "pace" ? byDistance || byTime : byTime || byDistance;
+  if (pattern) return { pattern, kind: pattern === byDistance ? "distance" : "time" };
+
+  return {
+    pattern: `${n} reps (${niceDuration(Math.min(...times))}–${niceDuration(Math.max(...times))})`,
+    kind: "mixed",
+  };
+}
+
+/**
+ * Work / recovery intervals of an activity, from its laps when they describe
+ * the workout (manual or structured laps), else from the pace / speed / power
+ * stream. Returns null for steady efforts.
+ *
+ * { source: "laps" | "streams", metric: "speed" | "power", pattern, kind,
+ *   reps: [segment], recoveries: [segment], fade_pct, rep_changes_pct }
+ * fade_pct: output lost from the first to the last rep (positive = faded).
+ */
+export function detectIntervals(streams, laps, mode /* "pace" | "speed" */) {
+  const lapMetric =
+    mode !== "pace" && Array.isArray(streams?.watts?.data) && streams.watts.data.some((w) => w > 0) ? "power" : "speed";
+  const segments = intervalsFromLaps(laps, mode, lapMetric) ?? intervalsFromStreams(streams, mode);
+  if (!segments) return null;
+
+  const { source, reps, recoveries } = segments;
+  const output = (s) => (segments.metric === "power" ? s.powerAvg : s.speedKmh);
+  const pct = (a, b) => (Number.isFinite(a) && Number.isFinite(b) && b ? Math.round(((a - b) / b) * 1000) / 10 : null);
+
+  const change = pct(output(reps.at(-1)), output(reps[0])); // last rep vs first
+
+  return {
+    source,
+    metric: segments.metric,
+    ...workoutPattern(reps, mode),
+    reps: reps.map((r, i) => ({ rep: i + 1, ...r })),
+    recoveries,
+    fade_pct: change != null ? -change || 0 : null,
+    rep_changes_pct: reps.slice(1).map((r, i) => pct(output(r), output(reps[i]))),
+  };
+}
+
+function intervalsFromLaps(laps, mode, metric) {
+  if (!Array.isArray(laps) || laps.length < 3 || isAutoLaps(laps)) return null;
+
+  const segments = laps.map((l) => segmentFromLap(l, mode));
+  const value = (s) => (metric === "power" ? s.powerAvg : s.speedKmh);
+  const centers = twoMeans(segments.map(value));
+  if (!separated(centers, metric)) return null;
+
+  const isWork = segments.map((s) => Number.isFinite(value(s)) && value(s) >= centers.threshold);
+  const firstWork = isWork.indexOf(true);
+  const lastWork = isWork.lastIndexOf(true);
+  const reps = segments.filter((_, i) => isWork[i]);
+  if (reps.length < 2) return null;
+
+  return {
+    source: "laps",
+    metric,
+    reps,
+    recoveries: segments.filter((_, i) => !isWork[i] && i > firstWork && i < lastWork),
+  };
+}
+
+function intervalsFromStreams(streams, mode) {
+  const signal = intensitySignal(streams, mode);
+  if (!signal) return null;
+
+  const time = streams.time.data;
+  const smooth = smoothByTime(signal.values, time, INTERVAL_SMOOTH_SEC);
+  const centers = twoMeans(smooth);
+  if (!separated(centers, signal.metric)) return null;
+
+  const runs = classRuns(
+    smooth.map((v) => v >= centers.threshold),
+    time
+  );
+  const workRuns = runs.filter((r) => r.work);
+  if (workRuns.length < 2) return null;
+
+  const firstWork = runs.indexOf(workRuns[0]);
+  const lastWork = runs.indexOf(workRuns.at(-1));
+
+  return {
+    source: "streams",
+    metric: signal.metric,
+    reps: workRuns.map((r) => segmentFromStreams(streams, r.start, r.end, mode)),
+    recoveries: runs
+      .filter((r, i) => !r.work && i > firstWork && i < lastWork)
+      .map((r) => segmentFromStreams(streams, r.start, r.end, mode)),
+  };
+}
+
+/* --------------------------------------------------
+   Efficiency factor / aerobic decoupling
+-------------------------------------------------- */
+
+// Decoupling needs a long enough steady effort to mean anything
+const DECOUPLING_MIN_SEC = 20 * 60;
+
+function mean(xs) {
+  return xs.length ? xs.reduce((a, b) => a + b, 0) / xs.length : null;
+}
+
+/**
+ * Efficiency factor (output per heartbeat) and Pw:HR / Pa:HR decoupling
+ * between the first and second half.
+ * - rides with power: NP / avg HR (W/bpm)
+ * - otherwise: speed / avg HR (m/min per bpm), grade-adjusted for pace-based
+ *   sports when there is an altitude stream
+ * Decoupling (positive = output per beat dropped in the second half) is only
+ * computed for steady efforts of at least 20 min.
+ *
+ * { metric, unit, ef, first_half_ef, second_half_ef, decoupling_pct }
+ */
+export function computeEfficiency(streams, mode, { steady = true } = {}) {
+  const time = streams?.time?.data;
+  const hrSec = resamplePerSecond(streams?.heartrate?.data, time);
+  if (!hrSec.length || !hrSec.some((h) => h > 0)) return null;
+
+  const watts = streams?.watts?.data;
+  const usePower = mode !== "pace" && Array.isArray(watts) && watts.some((w) => w > 0);
+
+  let outputOf;
+  if (usePower) {
+    const wSec = resamplePerSecond(watts, time);
+    outputOf = (from, to) => {
+      const slice = wSec.slice(from, to);
+      return normalizedPower(slice, slice.map((_, i) => i));
+    };
+  } else {
+    const cum = (mode === "pace" && gradeAdjustedDistance(streams)) || streams?.distance?.data;
+    const dSec = resamplePerSecond(cum, time);
+    if (!dSec.length) return null;
+    outputOf = (from, to) => (to - 1 > from ? ((dSec[to - 1] - dSec[from]) / (to - 1 - from)) * 60 : null);
+  }
+
+  const efBetween = (from, to) => {
+    const out = outputOf(from, to);
+    const hr = mean(hrSec.slice(from, to).filter((h) => h > 0));
+    return out != null && hr ? out / hr : null;
+  };
+
+  const n = hrSec.length;
+  const ef = efBetween(0, n);
+  if (ef == null) return null;
+
+  const mid = Math.floor(n / 2);
+  const first = efBetween(0, mid);
+  const second = efBetween(mid, n);
+  const round = (x, d = 100) => (x != null ? Math.round(x * d) / d : null);
+
+  return {
+    metric: usePower ? "power" : "speed",
+    unit: usePower ? "W/bpm" : "m/min/bpm",
+    ef: round(ef, 1000),
+    first_half_ef: round(first, 1000),
+    second_half_ef: round(second, 1000),
+    decoupling_pct: steady && n >= DECOUPLING_MIN_SEC && first && second ? round(((first - second) / first) * 100, 10) : null,
+  };
+}
+
+/* --------------------------------------------------
+   Swims
+-------------------------------------------------- */
+
+// A watch pausing between lengths for longer than this starts a new set
+const SWIM_SET_GAP_SEC = 5;
+
+function swimRow(laps, { poolLengthM, pool }) {
+  const meters = laps.reduce((a, l) => a + (safeNum(l.distance) ?? 0), 0);
+  const seconds = laps.reduce((a, l) => a + (safeNum(l.moving_time) ?? safeNum(l.elapsed_time) ?? 0), 0);
+  const lengths = pool && poolLengthM > 0 ? Math.round(meters / poolLengthM) : null;
+  // Lap cadence of a swim is strokes per minute
+  const strokes = laps.every((l) => safeNum(l.average_cadence) > 0)
+    ? Math.round(laps.reduce((a, l) => a + (l.average_cadence * (safeNum(l.moving_time) ?? 0)) / 60, 0))
+    : null;
+  const hrLaps = laps.filter((l) => safeNum(l.average_heartrate) > 0);
+  const hrSeconds = hrLaps.reduce((a, l) => a + (safeNum(l.moving_time) ?? 0), 0);
+  return {
+    meters: Math.round(meters),
+    seconds,
+    secPer100m: meters > 0 && seconds > 0 ? Math.round((seconds / meters) * 1000) / 10 : null,
+    lengths,
+    strokes,
+    swolf: lengths && strokes != null ? Math.round(((seconds + strokes) / lengths) * 10) / 10 : null,
+    hrAvg: hrSeconds > 0
+      ? Math.round(hrLaps.reduce((a, l) => a + l.average_heartrate * (safeNum(l.moving_time) ?? 0), 0) / hrSeconds)
+      : null,
+    hrMax: laps.some((l) => safeNum(l.max_heartrate)) ? Math.max(...laps.map((l) => safeNum(l.max_heartrate) ?? 0)) : null,
+    restAfterS: 0,
+  };
+}
+
+/**
+ * Swim sets from Strava's /laps: pace per 100 m, lengths, strokes and SWOLF
+ * (seconds + strokes per length). Pool swims recorded one lap per length are
+ * regrouped into the sets between rests; other laps (manual / auto laps,
+ * open water) are one row each. Strokes come from the lap cadence when the
+ * watch records it. Stored as `derived.swim`; null without laps that have
+ * distance.
+ *
+ * { pool, pool_length_m, by: "length" | "lap", distance_m, moving_time_s,
+ *   pace_sec_per_100m, lengths, rest_s, swolf, strokes_per_length, sets }
+ */
+export function swimLaps(laps, { poolLengthM = 25, pool = true } = {}) {
+  if (!Array.isArray(laps)) return null;
+  const active = laps.filter((l) => safeNum(l.distance) > 0);
+  if (!active.length) return null;
+
+  const byLength = pool && active.every((l) => Math.abs(l.distance - poolLengthM) < 1);
+
+  // Consecutive laps of one set; rests are zero-distance laps or paused time inside a lap
+  const groups = [];
+  let current = null;
+  let pendingRest = 0;
+  for (const lap of laps) {
+    const paused = Math.max(0, (safeNum(lap.elapsed_time) ?? 0) - (safeNum(lap.moving_time) ?? 0));
+    if (!(safeNum(lap.distance) > 0)) {
+      pendingRest += safeNum(lap.elapsed_time) ?? 0;
+      continue;
+    }
+    if (!current || !byLength || pendingRest > 0) {
+      if (current) current.restAfterS = pendingRest;
+      current = { laps: [], restAfterS: 0 };
+      groups.push(current);
+      pendingRest = 0;
+    }
+    current.laps.push(lap);
+    if (byLength && paused > SWIM_SET_GAP_SEC) pendingRest += paused;
+  }
+
+  const sets = groups.map((g, i) => ({ set: i + 1, ...swimRow(g.laps, { poolLengthM, pool }), restAfterS: g.restAfterS }));
+  const total = swimRow(active, { poolLengthM, pool });
+  const swolfSets = sets.filter((r) => r.swolf != null);
+  const swolfLengths = swolfSets.reduce((a, r) => a + r.lengths, 0);
+
+  return {
+    pool,
+    pool_length_m: pool ? poolLengthM : null,
+    by: byLength ? "length" : "lap",
+    distance_m: total.meters,
+    moving_time_s: total.seconds,
+    pace_sec_per_100m: total.secPer100m,
+    lengths: total.lengths,
+    rest_s: sets.reduce((a, r) => a + r.restAfterS, 0),
+    swolf: swolfLengths > 0
+      ? Math.round((swolfSets.reduce((a, r) => a + r.swolf * r.lengths, 0) / swolfLengths) * 10) / 10
+      : null,
+    strokes_per_length: total.strokes != null && total.lengths ? Math.round((total.strokes / total.lengths) * 10) / 10 : null,
+    sets,
+  };
+}
+
+/**
+ * SWOLF over the sets: "even" | "better" | "fade" (second half vs first), or
+ * null with fewer than 4 sets that have it.
+ */
+export function swolfPattern(sets) {
+  const valid = (sets ?? []).filter((s) => Number.isFinite(s.swolf));
+  if (valid.length < 4) return null;
+  const mid = Math.floor(valid.length / 2);
+  const first = mean(valid.slice(0, mid).map((s) => s.swolf));
+  const second = mean(valid.slice(mid).map((s) => s.swolf));
+  const diff = second - first;
+  if (Math.abs(diff) < 2) return "even";
+  return diff < 0 ? "better" : "fade";
+}
+
+/* --------------------------------------------------
+   Sessions without distance (gym, HIIT, yoga)
+-------------------------------------------------- */
+
+const EFFORT_MIN_SEC = 15; // shorter HR spikes are not an effort block
+const EFFORT_GAP_SEC = 10; // dips shorter than this do not split a block
+// Average HR as a share of max HR → "light" below the first, "hard" from the second
+const SESSION_INTENSITY_PCT = [70, 80];
+
+/**
+ * Effort blocks (sets, rounds) of a session without distance: stretches of
+ * at least EFFORT_MIN_SEC with HR above halfway between the session average
+ * and max. { count, seconds, threshold_bpm } or null without HR.
+ */
+export function hrEfforts(streams) {
+  const hrSec = resamplePerSecond(streams?.heartrate?.data, streams?.time?.data);
+  const valid = hrSec.filter((h) => h > 0);
+  if (valid.length < EFFORT_MIN_SEC) return null;
+
+  const avg = mean(valid);
+  const max = Math.max(...valid);
+  const threshold = Math.round(avg + (max - avg) / 2);
+
+  const blocks = [];
+  let start = null;
+  let lastAbove = null;
+  hrSec.forEach((h, i) => {
+    if (!(h >= threshold)) return;
+    if (start != null && i - lastAbove > EFFORT_GAP_SEC) {
+      blocks.push(lastAbove - start + 1);
+      start = null;
+    }
+    if (start == null) start = i;
+    lastAbove = i;
+  });
+  if (start != null) blocks.push(lastAbove - start + 1);
+
+  const efforts = blocks.filter((sec) => sec >= EFFORT_MIN_SEC);
+  return { count: efforts.length, seconds: efforts.reduce((a, b) => a + b, 0), threshold_bpm: threshold };
+}
+
+/**
+ * HR-driven summary of a session without distance, stored as
+ * `derived.session`: { hr_avg_pct_max, intensity: "light" | "moderate" |
+ * "hard" | null, efforts, active_pct } (intensity needs the profile's max HR).
+ */
+export function summarizeSession(streams, { hrMax, movingTimeS, elapsedTimeS } = {}) {
+  const hr = statsFromStream(streams?.heartrate?.data);
+  const pct = hr.avg != null && hrMax > 0 ? Math.round((hr.avg / hrMax) * 100) : null;
+  const [light, hard] = SESSION_INTENSITY_PCT;
+  return {
+    hr_avg_pct_max: pct,
+    intensity: pct == null ? null : pct < light ? "light" : pct < hard ? "moderate" : "hard",
+    efforts: hrEfforts(streams),
+    active_pct: movingTimeS > 0 && elapsedTimeS > 0 ? Math.round((movingTimeS / elapsedTimeS) * 100) : null,
+  };
+}